@@ -0,0 +1,77 @@
+// app.js
+// The Express app: middleware and routes. server.js connects to MongoDB and
+// starts it; tests load it without either.
+const express = require("express");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const app = express();
+
+// Behind a proxy (load balancer, nginx) req.ip should be the client address,
+// which session listings rely on. TRUST_PROXY is a hop count, "true" or a list.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy)
+      ? Number(trustProxy)
+      : trustProxy === "true" || trustProxy
+  );
+}
+
+// Middlewares (see middleware/security.js). Allowed frontend origins come
+// from CORS_ORIGINS, e.g. "https://app.example.com,http://localhost:5173".
+const {
+  securityHeaders,
+  corsPolicy,
+  sanitizeBody,
+  parseQuery,
+  rateLimits,
+} = require("./middleware/security");
+app.set("query parser", parseQuery);
+app.use(securityHeaders);
+app.use(corsPolicy());
+app.use("/api", rateLimits.api);
+// Payment webhooks are signed over the raw body (routes/subscriptionRoutes.js)
+app.use("/api/subscriptions/webhook", express.raw({ type: "*/*" }));
+app.use(express.json());
+app.use(sanitizeBody);
+
+// Uploaded photos are not served statically: their visibility depends on the
+// viewer, so responses carry signed URLs (see utils/photoAccess.js) that
+// /api/files or the S3 bucket honour.
+
+// Import route modules
+const authRoutes = require("./routes/authRoutes");
+const profileRoutes = require("./routes/profileRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const interestRoutes = require("./routes/interestRoutes");
+const conversationRoutes = require("./routes/conversationRoutes");
+const fileRoutes = require("./routes/fileRoutes");
+const photoAccessRoutes = require("./routes/photoAccessRoutes");
+const schemaRoutes = require("./routes/schemaRoutes");
+const subscriptionRoutes = require("./routes/subscriptionRoutes");
+const { errorMiddleware, notFoundHandler } = require("./utils/errorHandler");
+
+// Test endpoint for checking API connectivity
+app.get("/api/health", (req, res) => {
+  res.json({ status: "ok", message: "API is running" });
+});
+
+// Use routes (all endpoints are prefixed with /api)
+app.use("/api/auth", rateLimits.auth, authRoutes);
+app.use("/api/profiles", profileRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/interests", interestRoutes);
+app.use("/api/conversations", conversationRoutes);
+app.use("/api/files", fileRoutes);
+app.use("/api/photo-access", photoAccessRoutes);
+app.use("/api/schemas", schemaRoutes);
+app.use("/api/subscriptions", subscriptionRoutes);
+
+// Unknown API routes, then every error in the shared response shape
+app.use("/api", notFoundHandler);
+app.use(errorMiddleware);
+
+module.exports = app;
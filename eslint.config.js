@@ -0,0 +1,23 @@
+// eslint.config.js
+const js = require("@eslint/js");
+const globals = require("globals");
+
+module.exports = [
+  { ignores: ["node_modules/", "uploads/", "logs/", "coverage/"] },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: "commonjs",
+      globals: globals.node,
+    },
+    rules: {
+      // Express error middleware needs all four parameters
+      "no-unused-vars": ["error", { args: "none", caughtErrors: "none" }],
+    },
+  },
+  {
+    files: ["tests/**/*.js"],
+    languageOptions: { globals: globals.jest },
+  },
+];
@@ -0,0 +1,12 @@
+// middleware/adminMiddleware.js
+const { ForbiddenError } = require("../utils/errorHandler");
+
+// Must run after authMiddleware: relies on the decoded token in req.user.
+const adminMiddleware = (req, res, next) => {
+  if (!req.user || req.user.role !== "admin") {
+    return next(new ForbiddenError("Admin privileges required"));
+  }
+  next();
+};
+
+module.exports = adminMiddleware;
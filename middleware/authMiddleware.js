@@ -1,32 +1,78 @@
 // middleware/authMiddleware.js
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { inactiveAccountMessage } = require("../utils/accountStatus");
+const { AuthError, ForbiddenError } = require("../utils/errorHandler");
 
-const authMiddleware = (req, res, next) => {
-  // Check for admin header first
-  if (req.header("X-Admin-Request") === "true") {
-    console.log(
-      "Auth Middleware: Admin request detected, bypassing token check."
-    );
-    // Optionally, set a flag or admin user info if needed downstream
-    // req.isAdmin = true;
-    return next(); // Admin is authorized, proceed
+/**
+ * Verifies an access token the same way for HTTP requests and WebSocket
+ * connections.
+ * @param {string} token - Raw JWT.
+ * @returns {Promise<{ decoded?: object, error?: string, status?: number }>}
+ *   error is a client-facing message when the token is refused; status is
+ *   set when it should not be a 401.
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { error: "Token is not valid" };
+  }
+
+  // Every access token belongs to a server-side session
+  if (!decoded.sid) {
+    return { error: "Token is not valid" };
   }
 
-  // If not admin, check for standard user token
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select("+passwordChangedAt"),
+    Session.findById(decoded.sid),
+  ]);
+  if (!user) {
+    return { error: "Token is not valid" };
+  }
+  if (!session || !session.isActive() || !session.user.equals(user._id)) {
+    return { error: "Session has ended, please log in again" };
+  }
+  // Reject tokens issued before the user's last password change/reset
+  if (user.changedPasswordAfter(decoded.iat)) {
+    return { error: "Password was changed, please log in again" };
+  }
+  // Deactivated or suspended accounts are refused even with a live session
+  const inactive = inactiveAccountMessage(user);
+  if (inactive) {
+    return { error: inactive, status: 403 };
+  }
+
+  return { decoded };
+};
+
+const authMiddleware = async (req, res, next) => {
+  // Admins and users alike authenticate with a signed JWT
   const token = req.header("Authorization")?.split(" ")[1]; // Expect token as "Bearer <token>"
   if (!token) {
-    return res
-      .status(401)
-      .json({ message: "No token or admin header, authorization denied" });
+    return next(new AuthError("No token, authorization denied"));
   }
 
+  let result;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // decoded payload (e.g., { userId: ... })
-    next();
+    result = await verifyAccessToken(token);
   } catch (err) {
-    res.status(401).json({ message: "Token is not valid" });
+    return next(err);
   }
+  if (result.error) {
+    return next(
+      result.status === 403
+        ? new ForbiddenError(result.error, { code: "ACCOUNT_INACTIVE" })
+        : new AuthError(result.error)
+    );
+  }
+
+  req.user = result.decoded; // decoded payload (e.g., { userId, role, sid })
+  next();
 };
 
 module.exports = authMiddleware;
+module.exports.verifyAccessToken = verifyAccessToken;
@@ -0,0 +1,19 @@
+// middleware/optionalAuthMiddleware.js
+const { verifyAccessToken } = require("./authMiddleware");
+
+// For public routes that personalise their response when a user is logged in:
+// sets req.user for a valid token, otherwise continues anonymously.
+const optionalAuthMiddleware = async (req, res, next) => {
+  const token = req.header("Authorization")?.split(" ")[1];
+  if (!token) return next();
+
+  try {
+    const result = await verifyAccessToken(token);
+    if (!result.error) req.user = result.decoded;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = optionalAuthMiddleware;
@@ -0,0 +1,161 @@
+// middleware/security.js
+// HTTP hardening wired up in app.js: security headers, CORS for the
+// configured origins, request input stripped of MongoDB operators and HTML,
+// and the rate limit policies routes choose from.
+const querystring = require("querystring");
+const helmet = require("helmet");
+const cors = require("cors");
+const { rateLimit } = require("express-rate-limit");
+const mongoSanitize = require("express-mongo-sanitize");
+const { clean: escapeHtml } = require("xss-clean/lib/xss");
+const { RateLimitError } = require("../utils/errorHandler");
+
+// Photos under /api/files are shown on the frontend's origin
+const securityHeaders = helmet({
+  crossOriginResourcePolicy: { policy: "cross-origin" },
+});
+
+// Deployed frontends allowed when CORS_ORIGINS is not set
+const DEFAULT_ORIGINS = [
+  "https://spontaneous-kelpie-84bc47.netlify.app",
+  "https://slvnk-frontend.vercel.app",
+];
+
+/**
+ * CORS for the browser origins allowed to call the API.
+ *
+ * CORS_ORIGINS: comma separated list of origins, e.g.
+ *   CORS_ORIGINS=https://app.example.com,http://localhost:5173
+ * It replaces the defaults: the deployed frontends above, FRONTEND_URL and
+ * the local dev servers.
+ */
+const corsPolicy = () => {
+  const origins = process.env.CORS_ORIGINS
+    ? process.env.CORS_ORIGINS.split(",")
+    : [
+        ...DEFAULT_ORIGINS,
+        process.env.FRONTEND_URL,
+        "http://localhost:3000",
+        "http://localhost:5173",
+      ];
+  return cors({
+    // Browsers send the origin without a trailing slash
+    origin: origins
+      .map((origin) => (origin || "").trim().replace(/\/+$/, ""))
+      .filter(Boolean),
+    credentials: true, // Allow cookies to be sent
+    methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Retry-After", "RateLimit", "RateLimit-Policy"],
+  });
+};
+
+// Secrets are compared or hashed exactly as typed, so never escaped
+const RAW_FIELDS = [
+  "password",
+  "currentPassword",
+  "newPassword",
+  "token",
+  "refreshToken",
+];
+
+const escapeStrings = (value, key) => {
+  if (typeof value === "string") {
+    return RAW_FIELDS.includes(key) ? value : escapeHtml(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => escapeStrings(item, key));
+  }
+  if (value && typeof value === "object") {
+    Object.keys(value).forEach((field) => {
+      value[field] = escapeStrings(value[field], field);
+    });
+  }
+  return value;
+};
+
+/**
+ * Removes keys starting with "$" (query operators such as $gt or $where) and
+ * HTML-escapes string values (< becomes &lt;). Dotted keys are kept: profile
+ * updates accept paths like "partnerPreferences.ageRange.min".
+ * @param {object} input - Parsed body or query; changed in place.
+ */
+const sanitizeInput = (input) =>
+  escapeStrings(mongoSanitize.sanitize(input, { allowDots: true }));
+
+// JSON bodies. Multipart bodies are parsed later, by middleware/upload.js,
+// which sanitizes them itself; raw ones (payment webhooks) are left as sent.
+const sanitizeBody = (req, res, next) => {
+  if (req.body && !Buffer.isBuffer(req.body)) {
+    req.body = sanitizeInput(req.body);
+  }
+  next();
+};
+
+// Express 5 parses req.query again on every access, so the query is sanitized
+// by the parser itself: app.set("query parser", parseQuery)
+const parseQuery = (queryString) =>
+  sanitizeInput(querystring.parse(queryString));
+
+// --- Rate limits ---
+// Counted per client IP (see TRUST_PROXY in app.js) and per process.
+// Each limit can be changed with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_LOGIN=20.
+
+const limiter = (name, { windowMinutes, limit, message, ...options }) =>
+  rateLimit({
+    windowMs: windowMinutes * 60 * 1000,
+    limit: parseInt(process.env[`RATE_LIMIT_${name}`], 10) || limit,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    handler: (req, res, next) => {
+      const retryAfter = Math.max(
+        Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000),
+        1
+      );
+      next(new RateLimitError(message, retryAfter));
+    },
+    ...options,
+  });
+
+const rateLimits = {
+  // Every API request
+  api: limiter("API", {
+    windowMinutes: 15,
+    limit: 600,
+    message: "Too many requests. Please slow down.",
+  }),
+  // Everything under /api/auth, on top of the stricter policies below
+  auth: limiter("AUTH", {
+    windowMinutes: 15,
+    limit: 100,
+    message: "Too many requests. Please try again later.",
+  }),
+  // Password, reset token and verification code checks; only failures count
+  login: limiter("LOGIN", {
+    windowMinutes: 15,
+    limit: 10,
+    skipSuccessfulRequests: true,
+    message: "Too many failed attempts. Please try again later.",
+  }),
+  // New accounts
+  signup: limiter("SIGNUP", {
+    windowMinutes: 60,
+    limit: 5,
+    message: "Too many accounts created. Please try again later.",
+  }),
+  // Requests that send an email or SMS
+  notify: limiter("NOTIFY", {
+    windowMinutes: 60,
+    limit: 5,
+    message: "Too many emails or messages requested. Please try again later.",
+  }),
+};
+
+module.exports = {
+  securityHeaders,
+  corsPolicy,
+  sanitizeInput,
+  sanitizeBody,
+  parseQuery,
+  rateLimits,
+};
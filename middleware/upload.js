@@ -1,67 +1,134 @@
 // middleware/upload.js
+// Single upload pipeline for registration, /me/upload-picture and the photo
+// gallery. Files are held in memory, checked by their real content here, and
+// written to disk in several sizes by utils/imagePipeline.storeImage.
 const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
+const { detectImageType } = require("../utils/imagePipeline");
+const { ValidationError } = require("../utils/errorHandler");
+const { FILE_RULES } = require("../utils/validationSchemas");
+const { sanitizeInput } = require("./security");
 
-// Define storage location and filename
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, "../uploads/profile-pics");
-    // Create directory if it doesn't exist
-    fs.mkdirSync(uploadPath, { recursive: true });
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    // Create a unique filename: fieldname-timestamp.extension
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const extension = path.extname(file.originalname);
-    cb(null, file.fieldname + "-" + uniqueSuffix + extension);
-  },
-});
-
-// Filter for image files
+// Quick pre-check on the declared type; the magic-byte check below is what counts
 const fileFilter = (req, file, cb) => {
-  // Accept images only
-  if (!file.originalname.match(/\.(jpg|jpeg|png|gif)$/i)) {
+  if (!file.mimetype.startsWith("image/")) {
     req.fileValidationError =
-      "Only image files (jpg, jpeg, png, gif) are allowed!";
+      "Only image files (jpg, jpeg, png, gif, webp) are allowed!";
     return cb(new Error("Only image files are allowed!"), false);
   }
   cb(null, true);
 };
 
+// Max photos a user can keep in their gallery (User.photos)
+const MAX_PROFILE_PHOTOS = FILE_RULES.photos.maxCount;
+const MAX_IMAGE_MB = FILE_RULES.profileImage.maxBytes / (1024 * 1024);
+
 // Configure multer instance
-const upload = multer({
-  storage: storage,
+const multerInstance = multer({
+  storage: multer.memoryStorage(),
   limits: {
-    fileSize: 1024 * 1024 * 5, // 5MB file size limit
+    fileSize: FILE_RULES.profileImage.maxBytes,
   },
   fileFilter: fileFilter,
-}).single("profileImage"); // Expecting a single file with the fieldname 'profileImage'
+});
+const upload = multerInstance.single("profileImage"); // Expecting a single file with the fieldname 'profileImage'
+const uploadPhotos = multerInstance.array("photos", MAX_PROFILE_PHOTOS); // Gallery uploads, several files under 'photos'
 
-// Middleware function to handle upload and errors
-const uploadMiddleware = (req, res, next) => {
-  upload(req, res, function (err) {
+// CSV files for the admin bulk import (field 'file'), parsed by utils/csv.js
+const MAX_CSV_MB = FILE_RULES.csv.maxBytes / (1024 * 1024);
+const csvFileFilter = (req, file, cb) => {
+  const isCsv =
+    /\.csv$/i.test(file.originalname) ||
+    ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype);
+  if (!isCsv) {
+    req.fileValidationError = "Only CSV files are allowed!";
+    return cb(new Error("Only CSV files are allowed!"), false);
+  }
+  cb(null, true);
+};
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_RULES.csv.maxBytes },
+  fileFilter: csvFileFilter,
+}).single("file");
+
+const uploadError = (next, field, message) =>
+  next(new ValidationError(message, { errors: [{ field, message }] }));
+
+// Wraps a multer handler with consistent error responses
+const handleUpload = (multerHandler, field) => (req, res, next) => {
+  multerHandler(req, res, function (err) {
     if (req.fileValidationError) {
-      return res.status(400).json({ message: req.fileValidationError });
+      return uploadError(next, field, req.fileValidationError);
     }
     if (err instanceof multer.MulterError) {
       // A Multer error occurred when uploading.
       if (err.code === "LIMIT_FILE_SIZE") {
-        return res
-          .status(400)
-          .json({ message: "File size cannot be larger than 5MB!" });
+        return uploadError(
+          next,
+          field,
+          `File size cannot be larger than ${MAX_IMAGE_MB}MB!`
+        );
+      }
+      if (err.code === "LIMIT_UNEXPECTED_FILE" && err.field === "photos") {
+        return uploadError(
+          next,
+          field,
+          `You can upload at most ${MAX_PROFILE_PHOTOS} photos at once.`
+        );
       }
       // Handle other Multer errors
-      return res.status(400).json({ message: err.message });
+      return uploadError(next, field, err.message);
     } else if (err) {
       // An unknown error occurred when uploading.
-      console.error("Unknown upload error:", err);
-      return res.status(500).json({ message: "Error uploading file." });
+      return next(err);
+    }
+
+    // Trust the bytes, not the extension or the client's mimetype
+    const files = req.files || (req.file ? [req.file] : []);
+    for (const file of files) {
+      file.imageType = detectImageType(file.buffer);
+      if (!file.imageType) {
+        return uploadError(
+          next,
+          field,
+          `${file.originalname} is not a valid JPEG, PNG, GIF or WebP image.`
+        );
+      }
     }
+    // Text fields come with the multipart body, so app.js's sanitizeBody
+    // never saw them
+    if (req.body) req.body = sanitizeInput(req.body);
     // Everything went fine.
     next();
   });
 };
 
+const uploadMiddleware = handleUpload(upload, "profileImage");
+
+// Same error responses as handleUpload, without the image checks. The file
+// is required.
+const handleCsvUpload = (req, res, next) => {
+  uploadCsv(req, res, function (err) {
+    if (req.fileValidationError) {
+      return uploadError(next, "file", req.fileValidationError);
+    }
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `File size cannot be larger than ${MAX_CSV_MB}MB!`
+          : err.message;
+      return uploadError(next, "file", message);
+    } else if (err) {
+      return next(err);
+    }
+    if (!req.file) {
+      return uploadError(next, "file", "A CSV file is required.");
+    }
+    next();
+  });
+};
+
 module.exports = uploadMiddleware;
+module.exports.uploadPhotos = handleUpload(uploadPhotos, "photos");
+module.exports.uploadCsv = handleCsvUpload;
+module.exports.MAX_PROFILE_PHOTOS = MAX_PROFILE_PHOTOS;
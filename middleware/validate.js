@@ -0,0 +1,154 @@
+// middleware/validate.js
+const { body, query, validationResult } = require("express-validator");
+const { ValidationError } = require("../utils/errorHandler");
+const {
+  SCHEMAS,
+  isValidMobile,
+  normalizeMobile,
+  isAgeWithin,
+} = require("../utils/validationSchemas");
+
+// Runs after express-validator chains: fails the request with a
+// VALIDATION_FAILED error listing every problem, or continues.
+const validate = (req, res, next) => {
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    return next(ValidationError.fromValidationResult(result));
+  }
+  next();
+};
+
+const LOCATIONS = { body, query };
+
+// Country a mobile number is read for. Undefined on partial updates that
+// leave the country out: the model checks those against the stored country.
+const mobileCountry = (req, rule) =>
+  req.body[rule.countryField] || rule.defaultCountry;
+
+const rangeText = (min, max) => {
+  if (min !== undefined && max !== undefined) {
+    return ` between ${min} and ${max}`;
+  }
+  if (min !== undefined) return ` of at least ${min}`;
+  if (max !== undefined) return ` of at most ${max}`;
+  return "";
+};
+
+// Adds the checks for one rule (see utils/validationSchemas.js) to chain
+const applyRule = (chain, path, rule) => {
+  const { type, min, max, minLength, maxLength } = rule;
+  switch (type) {
+    case "number":
+      chain
+        .isFloat({ min, max })
+        .withMessage(`${path} must be a number${rangeText(min, max)}`);
+      break;
+    case "integer":
+      chain
+        .isInt({ min, max })
+        .withMessage(`${path} must be a whole number${rangeText(min, max)}`);
+      break;
+    case "boolean":
+      chain.isBoolean().withMessage(`${path} must be true or false`);
+      break;
+    case "date":
+      chain.isISO8601().withMessage(`${path} must be a date (YYYY-MM-DD)`);
+      if (rule.minAge !== undefined || rule.maxAge !== undefined) {
+        chain
+          .bail()
+          .custom((value) => isAgeWithin(value, rule.minAge, rule.maxAge))
+          .withMessage(
+            `Age must be between ${rule.minAge} and ${rule.maxAge} years`
+          );
+      }
+      break;
+    case "email":
+      chain
+        .isEmail()
+        .withMessage("Enter a valid email")
+        .bail()
+        .trim()
+        .toLowerCase();
+      break;
+    case "mobile":
+      chain
+        .isString()
+        .withMessage(`${path} must be text`)
+        .bail()
+        .custom((value, { req }) => {
+          const country = mobileCountry(req, rule);
+          return country === undefined || isValidMobile(value, country);
+        })
+        .withMessage("Enter a valid mobile number for the selected country")
+        .bail()
+        // Stored and compared in E.164 only
+        .customSanitizer((value, { req }) => {
+          const country = mobileCountry(req, rule);
+          return country === undefined
+            ? value
+            : normalizeMobile(value, country);
+        });
+      break;
+    case "objectId":
+      chain.isMongoId().withMessage(`${path} must be a valid ID`);
+      break;
+    case "array":
+      chain.isArray().withMessage(`${path} must be a list`);
+      break;
+    default:
+      chain.isString().withMessage(`${path} must be text`);
+  }
+  if (rule.enum) {
+    chain
+      .isIn(rule.enum)
+      .withMessage(`${path} must be one of: ${rule.enum.join(", ")}`);
+  }
+  if (minLength !== undefined || maxLength !== undefined) {
+    chain
+      .isLength({ min: minLength, max: maxLength })
+      .withMessage(
+        `${path} must have a length${rangeText(minLength, maxLength)}`
+      );
+  }
+  if (rule.pattern) {
+    chain
+      .matches(new RegExp(rule.pattern))
+      .withMessage(`${path} has an invalid format`);
+  }
+  return chain;
+};
+
+const fieldChains = (location, path, rule) => {
+  const chain = location(path);
+  if (rule.required) {
+    chain.exists({ values: "falsy" }).withMessage(`${path} is required`).bail();
+  } else {
+    // null clears an optional field
+    chain.optional({ values: "null" });
+  }
+  const chains = [applyRule(chain, path, rule)];
+  if (rule.items) {
+    chains.push(applyRule(location(`${path}.*`), `${path}[]`, rule.items));
+  }
+  return chains;
+};
+
+/**
+ * Validation middleware for a named schema from utils/validationSchemas.js:
+ * its express-validator chains followed by validate.
+ * @param {string} name - Key of SCHEMAS.
+ */
+const validateSchema = (name) => {
+  const schema = SCHEMAS[name];
+  if (!schema) throw new Error(`Unknown validation schema: ${name}`);
+  const location = LOCATIONS[schema.location];
+  return [
+    ...Object.entries(schema.fields).flatMap(([path, rule]) =>
+      fieldChains(location, path, rule)
+    ),
+    validate,
+  ];
+};
+
+module.exports = validate;
+module.exports.validateSchema = validateSchema;
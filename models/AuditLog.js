@@ -0,0 +1,57 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+// Who did what to which account, and when. Written by utils/audit.js and
+// never changed afterwards: updates and deletes are refused below.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    actorRole: { type: String }, // Role at the time of the action
+    action: { type: String, required: true, index: true }, // e.g. "user.update"
+    target: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    // Fields the action changed; field is a dotted path such as
+    // "partnerPreferences.ageRange.min"
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed },
+        redacted: { type: Boolean }, // Secret values (passwords) are not kept
+      },
+    ],
+    // Anything else worth keeping, e.g. a reason or the number of sessions revoked
+    metadata: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+// --- Append-only ---
+const refuseChange = function (next) {
+  next(new Error("Audit log entries cannot be changed or deleted"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  refuseChange
+);
+auditLogSchema.pre("deleteOne", { document: true, query: false }, refuseChange);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
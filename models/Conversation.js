@@ -0,0 +1,34 @@
+// models/Conversation.js
+const mongoose = require("mongoose");
+
+const conversationSchema = new mongoose.Schema(
+  {
+    // Always two users, stored in ascending id order so a pair maps to one document
+    participants: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    ],
+    participantKey: { type: String, required: true, unique: true }, // "<idA>:<idB>"
+    lastMessage: {
+      text: { type: String },
+      sender: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      sentAt: { type: Date },
+    },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+
+conversationSchema.statics.keyFor = function (userA, userB) {
+  return [String(userA), String(userB)].sort().join(":");
+};
+
+conversationSchema.methods.hasParticipant = function (userId) {
+  return this.participants.some((p) => p.equals(userId));
+};
+
+conversationSchema.methods.otherParticipant = function (userId) {
+  return this.participants.find((p) => !p.equals(userId));
+};
+
+module.exports = mongoose.model("Conversation", conversationSchema);
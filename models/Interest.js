@@ -0,0 +1,97 @@
+// models/Interest.js
+const mongoose = require("mongoose");
+
+const interestSchema = new mongoose.Schema(
+  {
+    from: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined", "withdrawn"],
+      default: "pending",
+    },
+    message: { type: String, trim: true, maxlength: 300 }, // Optional note to the recipient
+    respondedAt: { type: Date }, // When accepted/declined/withdrawn
+  },
+  { timestamps: true }
+);
+
+// One interest document per direction; re-sending reuses it
+interestSchema.index({ from: 1, to: 1 }, { unique: true });
+
+// --- Find the interests between two users, in either direction ---
+interestSchema.statics.findBetween = function (userA, userB) {
+  return this.find({
+    $or: [
+      { from: userA, to: userB },
+      { from: userB, to: userA },
+    ],
+  });
+};
+
+// --- Whether two users have an accepted connection ---
+interestSchema.statics.areConnected = async function (userA, userB) {
+  const accepted = await this.exists({
+    $or: [
+      { from: userA, to: userB },
+      { from: userB, to: userA },
+    ],
+    status: "accepted",
+  });
+  return !!accepted;
+};
+
+// --- Which of the given users have an accepted connection with userId ---
+interestSchema.statics.connectedIds = async function (userId, otherIds) {
+  const accepted = await this.find({
+    status: "accepted",
+    $or: [
+      { from: userId, to: { $in: otherIds } },
+      { from: { $in: otherIds }, to: userId },
+    ],
+  }).select("from to");
+  return new Set(
+    accepted.map((i) =>
+      String(i.from) === String(userId) ? String(i.to) : String(i.from)
+    )
+  );
+};
+
+/**
+ * Connection status between a viewer and another profile, from the viewer's
+ * side: "none", "sent", "received", "connected", "declined" (the viewer's
+ * interest was declined) or "you_declined".
+ * @returns {Promise<{ status: string, interestId: (string|null) }>}
+ */
+interestSchema.statics.connectionStatus = async function (viewerId, otherId) {
+  const interests = await this.findBetween(viewerId, otherId);
+  const sent = interests.find((i) => i.from.equals(viewerId));
+  const received = interests.find((i) => i.from.equals(otherId));
+
+  const accepted = [sent, received].find((i) => i && i.status === "accepted");
+  if (accepted) return { status: "connected", interestId: accepted._id };
+  if (sent && sent.status === "pending") {
+    return { status: "sent", interestId: sent._id };
+  }
+  if (received && received.status === "pending") {
+    return { status: "received", interestId: received._id };
+  }
+  if (sent && sent.status === "declined") {
+    return { status: "declined", interestId: sent._id };
+  }
+  if (received && received.status === "declined") {
+    return { status: "you_declined", interestId: received._id };
+  }
+  return { status: "none", interestId: null };
+};
+
+module.exports = mongoose.model("Interest", interestSchema);
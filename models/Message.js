@@ -0,0 +1,39 @@
+// models/Message.js
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      required: [true, "Message text is required"],
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    readAt: { type: Date }, // Read receipt, set when the recipient opens the conversation
+  },
+  { timestamps: true }
+);
+
+// History is paged newest first within a conversation
+messageSchema.index({ conversation: 1, _id: -1 });
+// Unread counts per recipient
+messageSchema.index({ recipient: 1, readAt: 1 });
+// Messages sent today, for plan allowances (utils/subscriptions.js)
+messageSchema.index({ sender: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,34 @@
+// models/Otp.js
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+const otpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    channel: { type: String, enum: ["email", "mobile"], required: true },
+    codeHash: { type: String, required: true }, // Never store the plain code
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB purge expired codes on its own
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// --- Compare a candidate code against the stored hash ---
+otpSchema.methods.compareCode = async function (candidateCode) {
+  return await bcrypt.compare(String(candidateCode), this.codeHash);
+};
+
+otpSchema.methods.isExpired = function () {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+module.exports = mongoose.model("Otp", otpSchema);
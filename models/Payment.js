@@ -0,0 +1,43 @@
+// models/Payment.js
+const mongoose = require("mongoose");
+
+// A checkout for a membership plan with a payment provider (utils/payments).
+// The provider's webhook settles it; a paid one starts or extends the
+// member's subscription.
+const paymentSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    plan: { type: String, required: true }, // Key in utils/plans.js
+    amount: { type: Number, required: true }, // In the currency's minor unit
+    currency: { type: String, required: true },
+    provider: { type: String, required: true }, // e.g. "mock"
+    providerPaymentId: { type: String }, // The provider's checkout id
+    status: {
+      type: String,
+      enum: ["pending", "paid", "failed", "cancelled"],
+      default: "pending",
+    },
+    paidAt: { type: Date },
+    subscription: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription" },
+    // When a webhook last started granting the plan; a paid payment without
+    // subscription is granted again by a later webhook (utils/subscriptions.js)
+    grantStartedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Webhooks find the payment by the provider's id
+paymentSchema.index(
+  { provider: 1, providerPaymentId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { providerPaymentId: { $type: "string" } },
+  }
+);
+
+module.exports = mongoose.model("Payment", paymentSchema);
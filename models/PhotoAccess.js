@@ -0,0 +1,31 @@
+// models/PhotoAccess.js
+const mongoose = require("mongoose");
+
+// A request by one member to see another member's photos, and the owner's answer
+const photoAccessSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    requester: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "granted", "denied", "revoked"],
+      default: "pending",
+    },
+    respondedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// One document per owner/requester pair; asking again reuses it
+photoAccessSchema.index({ owner: 1, requester: 1 }, { unique: true });
+
+module.exports = mongoose.model("PhotoAccess", photoAccessSchema);
@@ -0,0 +1,33 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+// One document per logged-in device. Access tokens carry the session id
+// (sid) so revoking the session cuts them off straight away.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true, select: false },
+    userAgent: { type: String, default: "" },
+    device: { type: String, default: "Unknown device" }, // e.g. "Chrome on Android"
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Drop sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt.getTime() > Date.now();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,51 @@
+// models/Subscription.js
+const mongoose = require("mongoose");
+
+// A member's time on a membership plan (see utils/subscriptions.js). The
+// current one is the active subscription whose endsAt has not passed; older
+// ones stay as history.
+const subscriptionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    plan: { type: String, required: true }, // Key in utils/plans.js
+    status: {
+      type: String,
+      enum: ["active", "replaced", "cancelled"], // replaced: by another plan
+      default: "active",
+    },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    // As bought; later changes to the plan do not affect it. null is no limit.
+    entitlements: {
+      contactViews: { type: Number, default: null },
+      messagesPerDay: { type: Number, default: null },
+      highlightedProfile: { type: Boolean, default: false },
+    },
+    // Profiles whose contact details the member unlocked, and how many of
+    // them count against entitlements.contactViews
+    contactsViewed: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    contactViewsUsed: { type: Number, default: 0 },
+    source: { type: String, enum: ["checkout", "admin"], required: true },
+    payments: [{ type: mongoose.Schema.Types.ObjectId, ref: "Payment" }],
+    grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Admin who granted or last extended it
+    cancelledAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+subscriptionSchema.index({ user: 1, status: 1, endsAt: -1 });
+
+// --- The user's current subscription, or null ---
+subscriptionSchema.statics.findCurrent = function (userId) {
+  return this.findOne({
+    user: userId,
+    status: "active",
+    endsAt: { $gt: new Date() },
+  }).sort({ endsAt: -1 });
+};
+
+module.exports = mongoose.model("Subscription", subscriptionSchema);
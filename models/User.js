@@ -1,6 +1,37 @@
 // models/User.js
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs"); // Import bcrypt for password hashing
+const crypto = require("crypto");
+const { normalizeMobile } = require("../utils/mobile");
+
+// Review state of a photo (see utils/moderation.js). Unset on photos uploaded
+// before moderation existed, which count as approved.
+const photoModerationFields = {
+  status: { type: String, enum: ["pending", "approved", "rejected"] },
+  reasonCode: { type: String },
+  note: { type: String },
+  reviewedAt: { type: Date },
+};
+
+const AGE_LIMITS = { min: 18, max: 100 };
+const HEIGHT_LIMITS = { min: 120, max: 240 }; // Same as heightCm
+
+// One end of a { min, max } range, checked against the other end
+const rangeEnd = (rangePath, end, limits) => ({
+  type: Number,
+  ...limits,
+  validate: {
+    validator: function (value) {
+      const min = end === "min" ? value : this.get(`${rangePath}.min`);
+      const max = end === "max" ? value : this.get(`${rangePath}.max`);
+      return min == null || max == null || min <= max;
+    },
+    message: `${rangePath}.min cannot be greater than ${rangePath}.max`,
+  },
+});
+
+// Profile text that goes back to review whenever the owner edits it
+const MODERATED_FIELDS = ["name", "bio"];
 
 const userSchema = new mongoose.Schema(
   {
@@ -19,6 +50,14 @@ const userSchema = new mongoose.Schema(
       minlength: [6, "Password must be at least 6 characters long"],
       select: false, // Don't return password by default
     },
+    passwordChangedAt: { type: Date, select: false }, // Tokens issued before this are rejected
+    passwordResetTokenHash: { type: String, select: false },
+    passwordResetExpires: { type: Date, select: false },
+    // Login lockout (see utils/loginLockout.js)
+    failedLoginAttempts: { type: Number, default: 0, select: false },
+    lockCount: { type: Number, default: 0, select: false }, // Lockouts since the last successful login
+    lockUntil: { type: Date, select: false },
+    unlockTokenHash: { type: String, select: false },
     mobileNumber: {
       // Added for verification/contact
       type: String,
@@ -29,10 +68,12 @@ const userSchema = new mongoose.Schema(
       // match: [/^[6-9]\d{9}$/, 'Please use a valid Indian mobile number']
     },
     isVerified: {
-      // For email/mobile verification status
+      // True once both email and mobile are verified (see pre-save hook)
       type: Boolean,
       default: false,
     },
+    emailVerified: { type: Boolean, default: false },
+    mobileVerified: { type: Boolean, default: false },
     role: {
       type: String,
       enum: ["user", "admin"],
@@ -43,6 +84,10 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    suspendedUntil: { type: Date }, // Temporarily inactive until this date
+    statusReason: { type: String, trim: true }, // Admin's reason for the last status change
+    statusChangedAt: { type: Date },
+    statusChangedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
 
     // --- Personal Details (Step 1 & 3 expansion) ---
     name: {
@@ -144,13 +189,95 @@ const userSchema = new mongoose.Schema(
     // --- About Me & Photos (Step 3/4) ---
     bio: { type: String, trim: true, maxlength: 500 }, // Renamed from 'about'
     profilePicture: { type: String, default: "" }, // Main profile picture URL
+    profilePictureSizes: {
+      // Resized copies of profilePicture (see utils/imagePipeline.js)
+      thumb: { type: String },
+      card: { type: String },
+      full: { type: String },
+      blur: { type: String },
+      ...photoModerationFields,
+    },
     photos: [{ type: String }], // Array of additional photo URLs
+    photoSizes: [
+      // Resized copies of each photo, matched to photos[] by `full`
+      {
+        _id: false,
+        thumb: { type: String },
+        card: { type: String },
+        full: { type: String },
+        blur: { type: String },
+        ...photoModerationFields,
+      },
+    ],
+    photoVisibility: {
+      // Who sees the real photos; everyone else gets blurred placeholders
+      type: String,
+      enum: ["everyone", "connections", "on_request"],
+      default: "everyone",
+    },
+
+    // --- Moderation (see utils/moderation.js) ---
+    // Unset on profiles created before moderation existed, which count as approved
+    moderation: {
+      status: {
+        type: String,
+        enum: ["pending", "approved", "rejected"],
+        index: true,
+      },
+      reasonCode: { type: String },
+      note: { type: String },
+      submittedAt: { type: Date },
+      reviewedAt: { type: Date },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    },
+
+    // --- Membership (see utils/subscriptions.js) ---
+    // Set while the member's plan lists the profile first in searches
+    highlightedUntil: { type: Date },
+
+    // --- Privacy (see utils/profileSerializer.js) ---
+    privacy: {
+      // Who besides the owner and admins sees the email and mobile number
+      email: {
+        type: String,
+        enum: ["nobody", "connections", "members"],
+        default: "nobody",
+      },
+      mobile: {
+        type: String,
+        enum: ["nobody", "connections", "members"],
+        default: "nobody",
+      },
+      // Who sees the full name; everyone else sees the last name as an initial
+      lastName: {
+        type: String,
+        enum: ["connections", "members", "everyone"],
+        default: "members",
+      },
+    },
+
+    // --- Shortlist & Block Lists (private to the owner) ---
+    shortlistedProfiles: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+    },
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+      select: false,
+      index: true, // "Who blocked me" lookups
+    },
 
     // --- Partner Preferences (Separate section, maybe different model later) ---
     // Basic preferences included here for now
     partnerPreferences: {
-      ageRange: { min: { type: Number }, max: { type: Number } },
-      heightRangeCm: { min: { type: Number }, max: { type: Number } },
+      ageRange: {
+        min: rangeEnd("partnerPreferences.ageRange", "min", AGE_LIMITS),
+        max: rangeEnd("partnerPreferences.ageRange", "max", AGE_LIMITS),
+      },
+      heightRangeCm: {
+        min: rangeEnd("partnerPreferences.heightRangeCm", "min", HEIGHT_LIMITS),
+        max: rangeEnd("partnerPreferences.heightRangeCm", "max", HEIGHT_LIMITS),
+      },
       religion: [{ type: String }], // Can prefer multiple
       caste: [{ type: String }],
       maritalStatus: [{ type: String }],
@@ -164,6 +291,26 @@ const userSchema = new mongoose.Schema(
   { timestamps: true } // Adds createdAt and updatedAt fields
 );
 
+// --- Mobile numbers are stored in E.164 only (see utils/mobile.js) ---
+// Covers every way a number gets in (routes, imports, scripts), read for the
+// user's own country. A changed country re-reads a number that fits it.
+userSchema.pre("validate", function (next) {
+  const mobileChanged = this.isModified("mobileNumber");
+  if (!mobileChanged && !this.isModified("country")) return next();
+  if (!this.mobileNumber) return next(); // "required" reports it
+  const normalized = normalizeMobile(this.mobileNumber, this.country);
+  if (normalized) {
+    this.mobileNumber = normalized;
+  } else if (mobileChanged) {
+    this.invalidate(
+      "mobileNumber",
+      "Enter a valid mobile number for the selected country",
+      this.mobileNumber
+    );
+  }
+  next();
+});
+
 // --- Password Hashing Middleware ---
 userSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -174,12 +321,35 @@ userSchema.pre("save", async function (next) {
     const salt = await bcrypt.genSalt(10);
     // Hash the password using the salt
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Backdate by a second so a token signed right after the change
+      // (same iat second) is still accepted
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error); // Pass error to the next middleware
   }
 });
 
+// --- Keep isVerified in sync with the per-channel flags ---
+userSchema.pre("save", function (next) {
+  if (this.isModified("emailVerified") || this.isModified("mobileVerified")) {
+    this.isVerified = this.emailVerified && this.mobileVerified;
+  }
+  next();
+});
+
+// --- New profiles and edits to moderated text wait for review ---
+userSchema.pre("save", function (next) {
+  // An explicit status (e.g. set by an admin) wins
+  if (this.isModified("moderation.status")) return next();
+  if (this.isNew || MODERATED_FIELDS.some((field) => this.isModified(field))) {
+    this.moderation = { status: "pending", submittedAt: new Date() };
+  }
+  next();
+});
+
 // --- Method to compare password ---
 userSchema.methods.comparePassword = async function (candidatePassword) {
   // 'this.password' won't be available here due to 'select: false'
@@ -193,4 +363,32 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, userWithPassword.password);
 };
 
+// --- Whether the account may sign in and be shown to others ---
+userSchema.methods.isAccountActive = function () {
+  return (
+    this.isActive &&
+    !(this.suspendedUntil && this.suspendedUntil.getTime() > Date.now())
+  );
+};
+
+// --- Method to check whether a token was issued before the last password change ---
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  // JWT iat is in seconds
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// --- Method to create a single-use password reset token ---
+// Only the SHA-256 hash is stored; the plain token is returned to be emailed.
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  const ttlMinutes = parseInt(process.env.RESET_TOKEN_TTL_MINUTES, 10) || 30;
+  this.passwordResetTokenHash = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  return resetToken;
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -1,22 +1,159 @@
 // routes/adminRoutes.js
 const express = require("express");
 const router = express.Router();
-const bcrypt = require("bcrypt");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { body, param, query, matchedData } = require("express-validator");
+const validate = require("../middleware/validate");
+const { validateSchema } = validate;
+const { rateLimits } = require("../middleware/security");
 const User = require("../models/User");
-const staticAdminMiddleware = require("../middleware/staticAdminMiddleware");
+const Subscription = require("../models/Subscription");
+const authMiddleware = require("../middleware/authMiddleware");
+const adminMiddleware = require("../middleware/adminMiddleware");
+const { createSession, revokeSessions } = require("../utils/tokens");
+const createPhotoRouter = require("./photoRoutes");
+const moderationRoutes = require("./moderationRoutes");
+const {
+  ACCOUNT_ACTIONS,
+  ACCOUNT_STATUSES,
+  accountStatusFilter,
+  describeAccountStatus,
+  inactiveAccountMessage,
+  setAccountStatus,
+} = require("../utils/accountStatus");
+const {
+  ADMIN_FIELDS,
+  resolveUpdatePaths,
+  applyUpdate,
+} = require("../utils/profileUpdate");
+const { diffFields, recordAudit } = require("../utils/audit");
+const { checkPassword } = require("../utils/loginLockout");
+const auditRoutes = require("./auditRoutes");
+const analyticsRoutes = require("./analyticsRoutes");
+const { presentPhotos } = require("../utils/photoAccess");
+const { uploadCsv } = require("../middleware/upload");
+const {
+  EXPORT_COLUMNS,
+  importUsers,
+  exportCsvValues,
+  exportJson,
+} = require("../utils/userTransfer");
+const { toCsvLine } = require("../utils/csv");
+const { getPlan } = require("../utils/plans");
+const {
+  describeMembership,
+  grantPlan,
+  extendSubscription,
+  cancelSubscription,
+} = require("../utils/subscriptions");
+const {
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errorHandler");
 
-// Apply the static admin middleware to all admin routes
-router.use(staticAdminMiddleware);
+// Admin Login - the only admin route reachable without a token
+router.post(
+  "/auth/login",
+  rateLimits.login,
+  validateSchema("adminLogin"),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
 
-// Get Admin Statistics - ONLY total users now
-router.get("/stats", async (req, res, next) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    res.json({ totalUsers }); // Simplified stats
-  } catch (err) {
-    next(err);
+      const user = await User.findOne({ email: email.toLowerCase() });
+
+      // Same response for unknown email, wrong password and non-admin accounts
+      if (
+        !user ||
+        user.role !== "admin" ||
+        !(await checkPassword(user, password))
+      ) {
+        return next(new AuthError("Invalid admin credentials."));
+      }
+
+      const inactive = inactiveAccountMessage(user);
+      if (inactive) {
+        return next(new ForbiddenError(inactive, { code: "ACCOUNT_INACTIVE" }));
+      }
+
+      // role "admin" is carried in the access token
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+      await recordAudit(req, {
+        action: "admin.login",
+        actor: { userId: user._id, role: user.role },
+        target: user._id,
+      });
+
+      const userForResponse = await presentPhotos(user, true);
+      delete userForResponse.password;
+
+      res.json({
+        success: true,
+        token,
+        refreshToken,
+        expiresIn,
+        user: userForResponse,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
+
+// Every other admin route requires a valid token carrying role "admin"
+router.use(authMiddleware, adminMiddleware);
+
+// Review queue for profiles and photos
+router.use("/moderation", moderationRoutes);
+
+// Audit log of admin and sensitive account actions
+router.use("/audit", auditRoutes);
+
+// Fields recorded when an account is created or deleted
+const AUDITED_ACCOUNT_FIELDS = [
+  "name",
+  "email",
+  "mobileNumber",
+  "gender",
+  "dateOfBirth",
+  "city",
+  "state",
+  "country",
+  "role",
+  "isVerified",
+  "isActive",
+];
+
+// Dashboard statistics: totals, registrations, distributions, funnel
+router.use("/stats", analyticsRoutes);
+
+// Query for the user list filters: filter ('recent', 'week', 'month') and
+// status ('active', 'deactivated', 'suspended')
+const userListQuery = (filterType, status) => {
+  const conditions = {};
+
+  // Date calculations
+  const now = new Date();
+  const today = new Date(now.setHours(0, 0, 0, 0));
+  const oneWeekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+  const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+  if (filterType === "week") {
+    conditions.createdAt = { $gte: oneWeekAgo };
+  } else if (filterType === "month") {
+    conditions.createdAt = { $gte: firstDayOfMonth };
+  } else {
+    // 'recent' uses default sort, no date filter needed here
+  }
+  if (ACCOUNT_STATUSES.includes(status)) {
+    Object.assign(conditions, accountStatusFilter(status));
+  }
+  return conditions;
+};
 
 // Get Users with Filtering and Pagination
 router.get("/users", async (req, res, next) => {
@@ -24,46 +161,153 @@ router.get("/users", async (req, res, next) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 9; // Default limit (e.g., 9 for 3x3 grid)
     const filterType = req.query.filter || "recent"; // 'recent', 'week', 'month'
+    const status = req.query.status; // 'active', 'deactivated', 'suspended'
     const skip = (page - 1) * limit;
 
-    let query = {};
+    const query = userListQuery(filterType, status);
     let sort = { createdAt: -1 }; // Default sort for recent
 
-    // Date calculations
-    const now = new Date();
-    const today = new Date(now.setHours(0, 0, 0, 0));
-    const oneWeekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const firstDayOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-    if (filterType === "week") {
-      query.createdAt = { $gte: oneWeekAgo };
-    } else if (filterType === "month") {
-      query.createdAt = { $gte: firstDayOfMonth };
-    } else {
-      // 'recent' uses default sort, no date filter needed here
-    }
-
     // Count total users matching the filter
     const totalUsers = await User.countDocuments(query);
 
     // Get paginated users matching the filter
     const users = await User.find(query).sort(sort).skip(skip).limit(limit);
 
+    // Admins see every photo; stored URLs are swapped for signed ones
     res.json({
-      users,
+      users: await Promise.all(
+        users.map(async (user) => ({
+          ...(await presentPhotos(user, true)),
+          accountStatus: describeAccountStatus(user),
+        }))
+      ),
       totalUsers,
       totalPages: Math.ceil(totalUsers / limit),
       currentPage: page,
       limit,
       filter: filterType,
+      status,
     });
   } catch (err) {
     next(err);
   }
 });
 
+// Export the filtered user list (same filter/status params as GET /users,
+// without paging) as CSV or JSON: ?format=csv|json
+router.get(
+  "/users/export",
+  [
+    query("format")
+      .default("csv")
+      .isIn(["csv", "json"])
+      .withMessage("format must be csv or json"),
+  ],
+  validate,
+  async (req, res, next) => {
+    let cursor;
+    try {
+      // req.query itself does not keep the validators' sanitized values
+      const { format } = matchedData(req, { locations: ["query"] });
+      const filterType = req.query.filter || "recent";
+      const status = req.query.status;
+      cursor = User.find(userListQuery(filterType, status))
+        .sort({ createdAt: -1 })
+        .cursor();
+
+      let count = 0;
+      const lines = async function* () {
+        if (format === "csv") {
+          yield toCsvLine(EXPORT_COLUMNS);
+          for await (const user of cursor) {
+            yield toCsvLine(exportCsvValues(user));
+            count += 1;
+          }
+        } else {
+          yield "[";
+          for await (const user of cursor) {
+            yield `${count ? "," : ""}\n${JSON.stringify(exportJson(user))}`;
+            count += 1;
+          }
+          yield "\n]\n";
+        }
+      };
+
+      const date = new Date().toISOString().slice(0, 10);
+      res.attachment(`users-${date}.${format}`);
+      // Streamed, so large lists are never held in memory. pipeline waits for
+      // the client to take each chunk and stops if they disconnect.
+      await pipeline(Readable.from(lines()), res);
+
+      await recordAudit(req, {
+        action: "user.export",
+        metadata: { format, filter: filterType, status, count },
+      });
+    } catch (err) {
+      // The client went away mid-export; there is no one to answer
+      if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+      next(err);
+    } finally {
+      if (cursor) await cursor.close();
+    }
+  }
+);
+
+// Bulk create users from a CSV file (multipart field "file"), one user per
+// row. ?dryRun=true only validates. Unless ?skipInvalid=true, nothing is
+// created when any row is invalid or conflicts with another user.
+router.post(
+  "/users/import",
+  uploadCsv,
+  [
+    query("dryRun").optional().isBoolean().toBoolean(),
+    query("skipInvalid").optional().isBoolean().toBoolean(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { dryRun, skipInvalid } = matchedData(req, {
+        locations: ["query"],
+      });
+      const { created, ...result } = await importUsers(
+        req.file.buffer.toString("utf8"),
+        { dryRun, skipInvalid, adminId: req.user.userId }
+      );
+
+      await recordAudit(
+        req,
+        created.map(({ line, user }) => ({
+          action: "user.create",
+          target: user._id,
+          changes: diffFields(null, user.toObject(), AUDITED_ACCOUNT_FIELDS),
+          metadata: { source: "import", line },
+        }))
+      );
+
+      let status = 200;
+      let message = "Dry run: nothing was created.";
+      if (result.committed) {
+        status = 201;
+        message = `${result.summary.created} users created.`;
+      } else if (!dryRun) {
+        status = 422;
+        message =
+          "Nothing was created: fix the rows with problems, or import with skipInvalid=true to create the others.";
+      }
+      res.status(status).json({
+        success: status !== 422,
+        ...(status === 422 && { code: "IMPORT_BLOCKED" }),
+        message,
+        ...result,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Add an Offline User (Admin can manually create a user)
-router.post("/users", async (req, res, next) => {
+router.post("/users", validateSchema("createUser"), async (req, res, next) => {
   try {
     // Extract required fields from request body
     const {
@@ -84,55 +328,24 @@ router.post("/users", async (req, res, next) => {
       annualIncome,
     } = req.body;
 
-    // Validate essential fields
-    if (
-      !name ||
-      !email ||
-      !password ||
-      !mobileNumber ||
-      !gender ||
-      !dateOfBirth ||
-      !city ||
-      !state
-    ) {
-      return res.status(400).json({
-        message: "Missing required fields",
-        required: [
-          "name",
-          "email",
-          "password",
-          "mobileNumber",
-          "gender",
-          "dateOfBirth",
-          "city",
-          "state",
-        ],
-      });
-    }
-
     // Check if user already exists
     let user = await User.findOne({ email });
     if (user)
-      return res
-        .status(400)
-        .json({ message: "User with this email already exists" });
+      return next(new ConflictError("User with this email already exists"));
 
     // Check if mobile number is already registered
     user = await User.findOne({ mobileNumber });
     if (user)
-      return res
-        .status(400)
-        .json({ message: "User with this mobile number already exists" });
-
-    // Hash the password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+      return next(
+        new ConflictError("User with this mobile number already exists")
+      );
 
     // Create new user with all fields
     user = new User({
       name,
       email,
-      password: hashedPassword,
+      password, // Hashed by the model's pre-save hook
+
       mobileNumber,
       gender,
       dateOfBirth,
@@ -147,23 +360,29 @@ router.post("/users", async (req, res, next) => {
       annualIncome,
       role: "user", // Default role
       isVerified: true, // Admin-created users are verified by default
+      emailVerified: true,
+      mobileVerified: true,
       isActive: true, // Admin-created users are active by default
+      moderation: {
+        // ...and skip the review queue
+        status: "approved",
+        reviewedAt: new Date(),
+        reviewedBy: req.user.userId,
+      },
     });
 
     await user.save();
+    await recordAudit(req, {
+      action: "user.create",
+      target: user._id,
+      changes: diffFields(null, user.toObject(), AUDITED_ACCOUNT_FIELDS),
+    });
     res.status(201).json({
       message: "User created successfully",
-      user,
+      user: await presentPhotos(user, true),
       success: true,
     });
   } catch (err) {
-    console.error("Error creating user:", err);
-    if (err.name === "ValidationError") {
-      return res.status(400).json({
-        message: "Validation error",
-        errors: Object.values(err.errors).map((e) => e.message),
-      });
-    }
     next(err);
   }
 });
@@ -172,34 +391,369 @@ router.post("/users", async (req, res, next) => {
 router.delete("/users/:id", async (req, res, next) => {
   try {
     const deletedUser = await User.findByIdAndDelete(req.params.id);
-    if (!deletedUser)
-      return res.status(404).json({ message: "User not found" });
+    if (!deletedUser) return next(new NotFoundError("User not found"));
+    await recordAudit(req, {
+      action: "user.delete",
+      target: deletedUser._id,
+      changes: diffFields(deletedUser.toObject(), null, AUDITED_ACCOUNT_FIELDS),
+    });
     res.json({ message: "User deleted successfully", deletedUser });
   } catch (err) {
     next(err);
   }
 });
 
+// Account status changes: activate, deactivate, or suspend until a date
+const accountStatusValidators = [
+  body("action")
+    .isIn(ACCOUNT_ACTIONS)
+    .withMessage(`action must be one of: ${ACCOUNT_ACTIONS.join(", ")}`),
+  body("until")
+    .if(body("action").equals("suspend"))
+    .isISO8601()
+    .withMessage("until must be a date")
+    .bail()
+    .toDate()
+    .custom((until) => until > new Date())
+    .withMessage("until must be in the future"),
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+];
+
+// Admins cannot lock themselves out
+const includesSelf = (req, userIds) =>
+  req.body.action !== "activate" &&
+  userIds.some((id) => String(id) === String(req.user.userId));
+
+const STATUS_FIELDS = ["isActive", "suspendedUntil", "statusReason"];
+
+const loadStatuses = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } })
+    .select(STATUS_FIELDS.join(" "))
+    .lean();
+  return new Map(users.map((user) => [String(user._id), user]));
+};
+
+// Applies req.body's action and audits it for every user it reached
+const changeAccountStatus = async (req, userIds) => {
+  const { action, until, reason } = req.body;
+  const before = await loadStatuses(userIds);
+  const result = await setAccountStatus(
+    userIds,
+    action,
+    { until, reason },
+    req.user.userId
+  );
+  const after = await loadStatuses(userIds);
+  await recordAudit(
+    req,
+    [...after.keys()].map((id) => ({
+      action: `user.${action}`,
+      target: id,
+      changes: diffFields(before.get(id), after.get(id), STATUS_FIELDS),
+      metadata: userIds.length > 1 ? { bulk: true } : undefined,
+    }))
+  );
+  return result;
+};
+
+// Bulk: body { userIds: [...], action, until?, reason? }
+router.post(
+  "/users/status",
+  [
+    body("userIds")
+      .isArray({ min: 1, max: 500 })
+      .withMessage("userIds must list between 1 and 500 user IDs"),
+    body("userIds.*").isMongoId().withMessage("Invalid user ID format"),
+    ...accountStatusValidators,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const userIds = [...new Set(req.body.userIds)];
+      if (includesSelf(req, userIds)) {
+        return next(
+          new ValidationError(
+            "You cannot deactivate or suspend your own account."
+          )
+        );
+      }
+      const { action } = req.body;
+      const result = await changeAccountStatus(req, userIds);
+      res.json({
+        success: true,
+        message: `Account action "${action}" applied`,
+        matched: result.matched,
+        modified: result.modified,
+        notFound: userIds.length - result.matched,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Single user: body { action, until?, reason? }
+router.post(
+  "/users/:id/status",
+  [
+    param("id").isMongoId().withMessage("Invalid user ID format"),
+    ...accountStatusValidators,
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      if (includesSelf(req, [req.params.id])) {
+        return next(
+          new ValidationError(
+            "You cannot deactivate or suspend your own account."
+          )
+        );
+      }
+      const { action } = req.body;
+      const result = await changeAccountStatus(req, [req.params.id]);
+      if (result.matched === 0) {
+        return next(new NotFoundError("User not found"));
+      }
+      const user = await User.findById(req.params.id);
+      res.json({
+        success: true,
+        message: `Account action "${action}" applied`,
+        accountStatus: describeAccountStatus(user),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Edit any whitelisted field of a user (see utils/profileUpdate.js). Nested
+// objects such as partnerPreferences are merged; send only what changes.
+router.patch(
+  "/users/:id",
+  [param("id").isMongoId().withMessage("Invalid user ID format")],
+  validateSchema("updateUser"),
+  async (req, res, next) => {
+    try {
+      const { accepted, rejected } = resolveUpdatePaths(req.body, ADMIN_FIELDS);
+      if (rejected.length > 0) {
+        return next(
+          new ValidationError(
+            `These fields cannot be edited here: ${rejected.join(", ")}`,
+            {
+              errors: rejected.map((field) => ({
+                field,
+                message: "Not editable",
+              })),
+            }
+          )
+        );
+      }
+      if (
+        accepted.role !== undefined &&
+        String(req.params.id) === String(req.user.userId)
+      ) {
+        return next(new ValidationError("You cannot change your own role."));
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+
+      const changes = applyUpdate(user, accepted);
+      const changedFields = Object.keys(changes);
+      if (changedFields.length > 0) {
+        // Corrections by an admin do not send the profile back to moderation
+        user.markModified("moderation.status");
+        await user.save();
+        await recordAudit(req, {
+          action: "user.update",
+          target: user._id,
+          changes,
+        });
+      }
+
+      // A new password or role must not live on in existing sessions
+      if (changes.password || changes.role) {
+        await revokeSessions(
+          { user: user._id },
+          changes.password ? "password_reset_by_admin" : "role_changed"
+        );
+      }
+
+      const userObject = await presentPhotos(user, true);
+      delete userObject.password;
+      res.json({
+        success: true,
+        message: changedFields.length
+          ? "User updated successfully"
+          : "Nothing to update",
+        changedFields,
+        changes,
+        user: userObject,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// --- Membership plans (see utils/subscriptions.js) ---
+
+// A user's plan, what is left of it, and all their subscriptions, newest first
+router.get(
+  "/users/:id/subscription",
+  [param("id").isMongoId().withMessage("Invalid user ID format")],
+  validate,
+  async (req, res, next) => {
+    try {
+      if (!(await User.exists({ _id: req.params.id }))) {
+        return next(new NotFoundError("User not found"));
+      }
+      const [membership, subscriptions] = await Promise.all([
+        describeMembership(req.params.id),
+        Subscription.find({ user: req.params.id }).sort({ createdAt: -1 }),
+      ]);
+      res.json({ success: true, membership, subscriptions });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Grant a plan without payment: body { plan, days?, reason? }. days
+// defaults to the plan's duration; granting the user's current plan extends it.
+router.post(
+  "/users/:id/subscription",
+  [param("id").isMongoId().withMessage("Invalid user ID format")],
+  validateSchema("grantPlan"),
+  async (req, res, next) => {
+    try {
+      if (!(await User.exists({ _id: req.params.id }))) {
+        return next(new NotFoundError("User not found"));
+      }
+      const { plan, reason } = req.body;
+      const days = Number(req.body.days) || getPlan(plan).durationDays;
+      const subscription = await grantPlan(req.params.id, plan, {
+        source: "admin",
+        days,
+        grantedBy: req.user.userId,
+      });
+      await recordAudit(req, {
+        action: "subscription.grant",
+        target: req.params.id,
+        metadata: { plan, days, endsAt: subscription.endsAt, reason },
+      });
+      res.status(201).json({
+        success: true,
+        message: `${getPlan(plan).name} plan granted`,
+        membership: await describeMembership(req.params.id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Add days to the user's current plan: body { days, reason? }
+router.post(
+  "/users/:id/subscription/extend",
+  [param("id").isMongoId().withMessage("Invalid user ID format")],
+  validateSchema("extendPlan"),
+  async (req, res, next) => {
+    try {
+      const days = Number(req.body.days);
+      const subscription = await extendSubscription(req.params.id, days, {
+        grantedBy: req.user.userId,
+      });
+      if (!subscription) {
+        return next(new NotFoundError("This user has no current plan"));
+      }
+      await recordAudit(req, {
+        action: "subscription.extend",
+        target: req.params.id,
+        metadata: {
+          plan: subscription.plan,
+          days,
+          endsAt: subscription.endsAt,
+          reason: req.body.reason,
+        },
+      });
+      res.json({
+        success: true,
+        message: `Plan extended by ${days} days`,
+        membership: await describeMembership(req.params.id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// End the user's current plan now: body { reason? }
+router.delete(
+  "/users/:id/subscription",
+  [
+    param("id").isMongoId().withMessage("Invalid user ID format"),
+    body("reason")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const subscription = await cancelSubscription(req.params.id);
+      if (!subscription) {
+        return next(new NotFoundError("This user has no current plan"));
+      }
+      await recordAudit(req, {
+        action: "subscription.cancel",
+        target: req.params.id,
+        metadata: { plan: subscription.plan, reason: (req.body || {}).reason },
+      });
+      res.json({
+        success: true,
+        message: "Plan cancelled",
+        membership: await describeMembership(req.params.id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Manage a user's photo gallery on their behalf
+router.use(
+  "/users/:id/photos",
+  createPhotoRouter((req) => req.params.id)
+);
+
 // GET a Single User's Details by ID (for Admin)
 router.get("/users/:id", async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id); // Fetch all details, including password hash initially
 
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return next(new NotFoundError("User not found"));
     }
 
-    // Convert to plain object to manipulate before sending
-    const userObject = user.toObject();
+    // Convert to plain object to manipulate before sending (photos signed)
+    const userObject = await presentPhotos(user, true);
     // Remove password before sending response
     delete userObject.password;
 
+    userObject.accountStatus = describeAccountStatus(user);
+
     res.json({ success: true, user: userObject });
   } catch (err) {
-    console.error("Error fetching user details:", err);
-    if (err.name === "CastError") {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
     next(err);
   }
 });
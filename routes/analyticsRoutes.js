@@ -0,0 +1,105 @@
+// routes/analyticsRoutes.js
+// Admin dashboard figures, mounted under /api/admin/stats behind the admin
+// guard in adminRoutes. Every report takes from/to (ISO dates, registration
+// date of the members counted) and refresh=true to bypass the cache.
+const express = require("express");
+const router = express.Router();
+const { query, matchedData } = require("express-validator");
+const validate = require("../middleware/validate");
+const { dateRangeCondition } = require("../utils/dateRange");
+const {
+  BUCKETS,
+  cached,
+  accountOverview,
+  registrationSeries,
+  profileDistributions,
+  completionFunnel,
+} = require("../utils/analytics");
+
+const rangeValidators = [
+  query("from").optional().isISO8601().withMessage("from must be a date"),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("to must be a date")
+    .custom(
+      (to, { req }) =>
+        !req.query.from || Date.parse(req.query.from) <= Date.parse(to)
+    )
+    .withMessage("to must not be before from"),
+  query("refresh").optional().isBoolean().toBoolean(),
+];
+
+/**
+ * Handler answering with a cached report.
+ * @param {string} name - Report name, part of the cache key.
+ * @param {(range: object|undefined, params: object) => Promise<object>} compute
+ *   params holds the validated query params.
+ * @param {Array<string>} [keyParams] - Other query params the report depends on.
+ */
+const report = (name, compute, keyParams = []) => {
+  return async (req, res, next) => {
+    try {
+      // req.query itself does not keep the validators' sanitized values
+      const params = matchedData(req, { locations: ["query"] });
+      const key = JSON.stringify([
+        name,
+        params.from,
+        params.to,
+        ...keyParams.map((param) => params[param]),
+      ]);
+      const result = await cached(
+        key,
+        () => compute(dateRangeCondition(params.from, params.to), params),
+        params.refresh === true
+      );
+      res.json({
+        success: true,
+        ...result.data,
+        generatedAt: result.generatedAt,
+        cached: result.cached,
+      });
+    } catch (err) {
+      next(err);
+    }
+  };
+};
+
+// Totals, active vs inactive and verified vs unverified accounts
+router.get("/", rangeValidators, validate, report("overview", accountOverview));
+
+// Registrations per bucket (day, week or month; default day)
+router.get(
+  "/registrations",
+  [
+    ...rangeValidators,
+    query("bucket")
+      .default("day")
+      .isIn(BUCKETS)
+      .withMessage(`bucket must be one of: ${BUCKETS.join(", ")}`),
+  ],
+  validate,
+  report(
+    "registrations",
+    (range, { bucket }) => registrationSeries(range, bucket),
+    ["bucket"]
+  )
+);
+
+// Members by gender, religion, state, city, age band and profileCreatedBy
+router.get(
+  "/distributions",
+  rangeValidators,
+  validate,
+  report("distributions", profileDistributions)
+);
+
+// How far members got in completing their profile
+router.get(
+  "/funnel",
+  rangeValidators,
+  validate,
+  report("funnel", completionFunnel)
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// routes/auditRoutes.js
+// Read-only view of the audit log, mounted under /api/admin/audit behind the
+// admin guard in adminRoutes.
+const express = require("express");
+const router = express.Router();
+const { query, matchedData } = require("express-validator");
+const validate = require("../middleware/validate");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { parseMultiValue } = require("../utils/profileSearch");
+const { dateRangeCondition } = require("../utils/dateRange");
+
+// Fields shown for the actor and target of each entry
+const USER_SUMMARY_FIELDS = "name email role";
+
+// Entries, newest first. Filters: actor, target (user IDs), action (one or
+// several, comma separated), from/to (ISO dates, inclusive). Actor and target
+// stay as IDs, with actorUser/targetUser summaries while the accounts exist.
+router.get(
+  "/",
+  [
+    query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+    query("target").optional().isMongoId().withMessage("Invalid target ID"),
+    query("from").optional().isISO8601().withMessage("from must be a date"),
+    query("to").optional().isISO8601().withMessage("to must be a date"),
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      // req.query itself does not keep the validators' sanitized values
+      const params = matchedData(req, { locations: ["query"] });
+      const { actor, target, from, to, page = 1, limit = 50 } = params;
+
+      const filter = {};
+      if (actor) filter.actor = actor;
+      if (target) filter.target = target;
+      const actions = parseMultiValue(req.query.action);
+      if (actions.length > 0) filter.action = { $in: actions };
+      if (from || to) filter.createdAt = dateRangeCondition(from, to);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        AuditLog.countDocuments(filter),
+      ]);
+
+      const userIds = entries.flatMap((entry) => [entry.actor, entry.target]);
+      const users = await User.find({ _id: { $in: userIds.filter(Boolean) } })
+        .select(USER_SUMMARY_FIELDS)
+        .lean();
+      const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+      res.json({
+        success: true,
+        entries: entries.map((entry) => ({
+          ...entry,
+          actorUser: usersById.get(String(entry.actor)) || null,
+          targetUser: usersById.get(String(entry.target)) || null,
+        })),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
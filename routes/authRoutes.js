@@ -2,84 +2,53 @@
 const express = require("express");
 const router = express.Router();
 // const bcrypt = require("bcrypt"); // bcrypt is handled by the model's pre-save hook now
-const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator"); // Re-added 'body' for login validation
-const multer = require("multer"); // Import multer
-const path = require("path"); // To handle file paths
-const fs = require("fs"); // To ensure upload directory exists
+const crypto = require("crypto");
 
 const User = require("../models/User");
-const handleValidationError = require("../middleware/handleValidationError"); // Assuming a helper for formatting Mongoose errors
-
-// --- Multer Configuration for Profile Pictures ---
-const profilePicStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadPath = path.join(__dirname, "../uploads/profile-pictures");
-    // Ensure the directory exists
-    fs.mkdirSync(uploadPath, { recursive: true });
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Create a unique filename: fieldname-timestamp.extension
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    cb(
-      null,
-      file.fieldname + "-" + uniqueSuffix + path.extname(file.originalname)
-    );
-  },
-});
-
-const fileFilter = (req, file, cb) => {
-  // Accept only image files
-  if (file.mimetype.startsWith("image/")) {
-    cb(null, true);
-  } else {
-    cb(new Error("Not an image! Please upload only images."), false);
-  }
-};
-
-const uploadProfilePic = multer({
-  storage: profilePicStorage,
-  fileFilter: fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-}).single("profileImage"); // Field name expected from the frontend
-// ---------------------------------------------
+const Session = require("../models/Session");
+const authMiddleware = require("../middleware/authMiddleware");
+const uploadMiddleware = require("../middleware/upload");
+const { issueOtp, verifyOtp } = require("../utils/otp");
+const { sendEmail } = require("../utils/notifier");
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+} = require("../utils/tokens");
+const { storeImage, removeImage } = require("../utils/imagePipeline");
+const { presentPhotos } = require("../utils/photoAccess");
+const {
+  describeAccountStatus,
+  inactiveAccountMessage,
+} = require("../utils/accountStatus");
+const { recordAudit } = require("../utils/audit");
+const {
+  checkPassword,
+  requestUnlock,
+  unlockWithToken,
+} = require("../utils/loginLockout");
+const { validateSchema } = require("../middleware/validate");
+const { rateLimits } = require("../middleware/security");
+const {
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+} = require("../utils/errorHandler");
 
 // Registration Endpoint - Updated for comprehensive fields AND file upload
 router.post(
   "/register",
-  // 1. Apply Multer middleware first to handle potential file upload
-  (req, res, next) => {
-    uploadProfilePic(req, res, function (err) {
-      if (err instanceof multer.MulterError) {
-        // A Multer error occurred when uploading (e.g., file size limit)
-        let message = "File upload error.";
-        if (err.code === "LIMIT_FILE_SIZE") {
-          message = "Image size cannot exceed 5MB.";
-        }
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: message,
-            errors: { profileImage: message },
-          });
-      } else if (err) {
-        // An unknown error occurred when uploading (e.g., wrong file type)
-        return res
-          .status(400)
-          .json({
-            success: false,
-            message: err.message || "Invalid file type.",
-            errors: { profileImage: err.message || "Invalid file type." },
-          });
-      }
-      // Everything went fine with multer, proceed to next middleware/handler
-      next();
-    });
-  },
-  // 2. Now handle the rest of the registration logic
+  rateLimits.signup,
+  // 1. Apply the shared upload pipeline first to handle a potential file upload
+  uploadMiddleware,
+  // 2. Check the text fields against the "register" schema
+  validateSchema("register"),
+  // 3. Now handle the rest of the registration logic
   async (req, res, next) => {
+    let storedSizes; // Resized copies of the uploaded picture, if any
     try {
       // File info is in req.file (if uploaded), text fields are in req.body
       // console.log("Registration Body:", req.body);
@@ -124,43 +93,25 @@ router.post(
         bio,
       } = req.body;
 
-      // Basic check for essential fields (Email, Password, Mobile, Name, Gender, DOB, City, State, Country)
-      if (
-        !email ||
-        !password ||
-        !mobileNumber ||
-        !name ||
-        !gender ||
-        !dateOfBirth ||
-        !city ||
-        !state ||
-        !country
-      ) {
-        return res.status(400).json({
-          success: false,
-          message: "Missing essential registration fields.",
-        });
-      }
-
       // Check if user exists by email or mobile
       const existingUser = await User.findOne({
         $or: [{ email: email.toLowerCase() }, { mobileNumber }],
       });
       if (existingUser) {
         let message = "User already exists.";
+        let field;
         if (existingUser.email === email.toLowerCase()) {
           message = "An account with this email already exists.";
+          field = "email";
         } else if (existingUser.mobileNumber === mobileNumber) {
           message = "An account with this mobile number already exists.";
+          field = "mobileNumber";
         }
-        // Important: If an image was uploaded but user exists, we should delete the uploaded file
-        if (req.file) {
-          fs.unlink(req.file.path, (unlinkErr) => {
-            if (unlinkErr)
-              console.error("Error deleting orphaned upload:", unlinkErr);
-          });
-        }
-        return res.status(400).json({ success: false, message });
+        return next(
+          new ConflictError(message, {
+            errors: field ? [{ field, message: "Already in use" }] : undefined,
+          })
+        );
       }
 
       // Create new user instance
@@ -203,50 +154,59 @@ router.post(
         bio,
       });
 
-      // Add profile picture path if uploaded
+      // Add profile picture if uploaded. Validate first so a rejected
+      // registration never writes image files.
       if (req.file) {
-        // Store the path relative to the server root or a base URL
-        // Example: store '/uploads/profile-pictures/profileImage-1678886400000-123456789.jpg'
-        const relativePath = path
-          .join("/uploads/profile-pictures", req.file.filename)
-          .replace(/\\/g, "/");
-        newUser.profilePicture = relativePath;
+        await newUser.validate();
+        storedSizes = await storeImage(req.file.buffer, "profileImage");
+        newUser.profilePicture = storedSizes.full;
+        newUser.profilePictureSizes = { ...storedSizes, status: "pending" };
       }
 
       // Save the user
       const savedUser = await newUser.save();
 
-      // Prepare response
-      const userForResponse = savedUser.toObject();
+      // Prepare response (own photos, signed)
+      const userForResponse = await presentPhotos(savedUser, true);
       delete userForResponse.password;
 
-      // Issue JWT token
-      const payload = { userId: savedUser._id, role: savedUser.role };
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || "1d",
-      });
+      // Start a session: short-lived access token + rotating refresh token
+      const { token, refreshToken, expiresIn } = await createSession(
+        savedUser,
+        req
+      );
+
+      // Kick off email and mobile verification; a delivery failure must not
+      // fail the registration itself, the user can request a new code later
+      const verification = {};
+      for (const channel of ["email", "mobile"]) {
+        try {
+          const result = await issueOtp(savedUser, channel);
+          verification[channel] = result.sent ? "sent" : "pending";
+        } catch (otpErr) {
+          console.error(`Error sending ${channel} OTP:`, otpErr);
+          verification[channel] = "failed";
+        }
+      }
 
-      res.status(201).json({ success: true, token, user: userForResponse });
+      res.status(201).json({
+        success: true,
+        token,
+        refreshToken,
+        expiresIn,
+        user: userForResponse,
+        verification,
+      });
     } catch (err) {
-      // If save fails (e.g., validation error) and a file was uploaded, delete the file
-      if (req.file && err.name === "ValidationError") {
-        fs.unlink(req.file.path, (unlinkErr) => {
-          if (unlinkErr)
-            console.error(
-              "Error deleting file after validation failure:",
-              unlinkErr
-            );
-        });
+      // If save fails after the picture was stored, delete its files
+      if (storedSizes) {
+        await removeImage(storedSizes);
       }
-      // Handle potential Mongoose validation errors
-      if (err.name === "ValidationError") {
-        return handleValidationError(err, res);
+      // Image that passed the type check but could not be decoded
+      if (err instanceof ValidationError && !err.errors) {
+        err.errors = [{ field: "profileImage", message: err.message }];
       }
-      // Handle other errors
-      console.error("Registration Error:", err);
-      res
-        .status(500)
-        .json({ success: false, message: "Server error during registration." });
+      next(err);
     }
   }
 );
@@ -254,20 +214,10 @@ router.post(
 // Login Endpoint - Updated to use comparePassword method and select password
 router.post(
   "/login",
-  [
-    body("email").isEmail().normalizeEmail().withMessage("Enter a valid email"),
-    body("password").notEmpty().withMessage("Password is required"),
-  ],
+  rateLimits.login,
+  validateSchema("login"),
   async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: "Validation failed",
-          errors: errors.array(),
-        });
-      }
       const { email, password } = req.body;
 
       // Find user by email and explicitly select the password
@@ -276,44 +226,435 @@ router.post(
       );
 
       if (!user) {
-        return res
-          .status(401)
-          .json({ success: false, message: "Invalid email or password." }); // Use 401 for auth errors
+        return next(new AuthError("Invalid email or password.")); // Use 401 for auth errors
       }
 
-      // Use the comparePassword method from the User model
-      const isMatch = await user.comparePassword(password);
+      // Wrong passwords count towards a lockout (utils/loginLockout.js)
+      const isMatch = await checkPassword(user, password);
 
       if (!isMatch) {
-        return res
-          .status(401)
-          .json({ success: false, message: "Invalid email or password." });
+        return next(new AuthError("Invalid email or password."));
       }
 
-      // Check if user is active (optional)
-      // if (!user.isActive) {
-      //   return res.status(403).json({ success: false, message: 'Account is deactivated.' });
-      // }
+      // Deactivated and suspended accounts cannot sign in
+      const inactive = inactiveAccountMessage(user);
+      if (inactive) {
+        return next(
+          new ForbiddenError(inactive, {
+            code: "ACCOUNT_INACTIVE",
+            details: { account: describeAccountStatus(user) },
+          })
+        );
+      }
 
-      // Issue JWT token
-      const payload = { userId: user._id, role: user.role }; // Include role
-      const token = jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRES_IN || "1d",
-      });
+      // Start a session: short-lived access token + rotating refresh token
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
 
-      // Prepare user object for response (without password)
-      const userForResponse = user.toObject();
+      // Prepare user object for response (without password, photos signed)
+      const userForResponse = await presentPhotos(user, true);
       delete userForResponse.password;
 
-      res.json({ success: true, token, user: userForResponse });
+      res.json({
+        success: true,
+        token,
+        refreshToken,
+        expiresIn,
+        user: userForResponse,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Send (or resend) a verification code by email or SMS
+router.post(
+  "/verify/send",
+  authMiddleware,
+  rateLimits.notify,
+  validateSchema("sendVerification"),
+  async (req, res, next) => {
+    try {
+      const { channel } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+      if (user[`${channel}Verified`]) {
+        return next(
+          new ValidationError(`Your ${channel} is already verified.`)
+        );
+      }
+
+      const result = await issueOtp(user, channel);
+      if (!result.sent) {
+        return next(
+          new RateLimitError(
+            `Please wait ${result.retryAfter} seconds before requesting a new code.`,
+            result.retryAfter
+          )
+        );
+      }
+
+      res.json({
+        success: true,
+        message: `Verification code sent to your ${channel}.`,
+      });
     } catch (err) {
-      console.error("Login Error:", err);
-      res
-        .status(500)
-        .json({ success: false, message: "Server error during login." });
-      // next(err);
+      next(err);
     }
   }
 );
 
+// Confirm a verification code; marks the channel (and possibly the account) verified
+router.post(
+  "/verify/confirm",
+  authMiddleware,
+  rateLimits.login,
+  validateSchema("confirmVerification"),
+  async (req, res, next) => {
+    try {
+      const { channel, code } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+
+      const outcome = await verifyOtp(user._id, channel, code);
+      if (outcome !== "valid") {
+        const messages = {
+          invalid: "Incorrect verification code.",
+          expired: "Verification code has expired. Please request a new one.",
+          missing: "No verification code pending. Please request a new one.",
+          locked: "Too many incorrect attempts. Please request a new code.",
+        };
+        return next(
+          new ValidationError(messages[outcome], {
+            code: "INVALID_CODE",
+            details: { reason: outcome },
+          })
+        );
+      }
+
+      user[`${channel}Verified`] = true;
+      await user.save();
+
+      res.json({
+        success: true,
+        message: `Your ${channel} has been verified.`,
+        emailVerified: user.emailVerified,
+        mobileVerified: user.mobileVerified,
+        isVerified: user.isVerified,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Forgot Password - emails a single-use reset link
+router.post(
+  "/forgot-password",
+  rateLimits.notify,
+  validateSchema("forgotPassword"),
+  async (req, res, next) => {
+    // Same answer whether or not the email is registered
+    const genericMessage =
+      "If an account exists for this email, a password reset link has been sent.";
+    try {
+      const user = await User.findOne({ email: req.body.email.toLowerCase() });
+      if (!user) {
+        return res.json({ success: true, message: genericMessage });
+      }
+
+      const resetToken = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      const resetUrl = `${
+        process.env.FRONTEND_URL || "http://localhost:5173"
+      }/reset-password?token=${resetToken}`;
+      try {
+        await sendEmail({
+          to: user.email,
+          subject: "Reset your password",
+          text: `Use this link to set a new password: ${resetUrl}\nIf you did not ask for a reset, you can ignore this email.`,
+        });
+      } catch (mailErr) {
+        // Don't leave a usable token behind if it never reached the user. The
+        // answer stays the generic one: an error here would tell that the
+        // email is registered.
+        console.error("Error sending password reset email:", mailErr);
+        user.passwordResetTokenHash = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+      }
+
+      res.json({ success: true, message: genericMessage });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Reset Password - consumes the reset token and sets a new password
+router.post(
+  "/reset-password",
+  rateLimits.login,
+  validateSchema("resetPassword"),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      const tokenHash = crypto
+        .createHash("sha256")
+        .update(String(token))
+        .digest("hex");
+      const user = await User.findOne({
+        passwordResetTokenHash: tokenHash,
+        passwordResetExpires: { $gt: new Date() },
+      });
+      if (!user) {
+        return next(
+          new ValidationError("Reset link is invalid or has expired.")
+        );
+      }
+
+      // Hashed by pre-save hook, which also stamps passwordChangedAt so all
+      // earlier tokens stop working
+      user.password = password;
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      // Proving access to the email also lifts a login lockout
+      user.failedLoginAttempts = 0;
+      user.lockCount = 0;
+      user.lockUntil = undefined;
+      user.unlockTokenHash = undefined;
+      await user.save();
+      const revoked = await revokeSessions(
+        { user: user._id },
+        "password_reset"
+      );
+      await recordAudit(req, {
+        action: "auth.password_reset",
+        actor: { userId: user._id, role: user.role },
+        target: user._id,
+        changes: { password: { redacted: true } },
+        metadata: { sessionsRevoked: revoked },
+      });
+
+      res.json({
+        success: true,
+        message:
+          "Password has been reset. Please log in with your new password.",
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Request Unlock - emails a new unlock link if the account is locked
+router.post(
+  "/unlock/request",
+  rateLimits.notify,
+  validateSchema("requestUnlock"),
+  async (req, res, next) => {
+    try {
+      await requestUnlock(req.body.email);
+      // Same answer whether or not the account exists or is locked
+      res.json({
+        success: true,
+        message:
+          "If this account is locked, a link to unlock it has been sent to its email.",
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Unlock - consumes the link emailed when the account was locked
+router.post(
+  "/unlock",
+  rateLimits.login,
+  validateSchema("unlockAccount"),
+  async (req, res, next) => {
+    try {
+      const user = await unlockWithToken(req.body.token);
+      if (!user) {
+        return next(
+          new ValidationError("Unlock link is invalid or was already used.")
+        );
+      }
+      await recordAudit(req, {
+        action: "auth.unlock",
+        actor: { userId: user._id, role: user.role },
+        target: user._id,
+      });
+      res.json({
+        success: true,
+        message: "Your account is unlocked. You can log in again.",
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Change Password - for a logged-in user who knows the current password
+router.post(
+  "/change-password",
+  authMiddleware,
+  rateLimits.login,
+  validateSchema("changePassword"),
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+
+      const isMatch = await checkPassword(user, currentPassword);
+      if (!isMatch) {
+        return next(new AuthError("Current password is incorrect."));
+      }
+
+      user.password = newPassword; // Hashed by pre-save hook
+      await user.save();
+
+      // Log out every device, then start a fresh session for this one
+      const revoked = await revokeSessions(
+        { user: user._id },
+        "password_change"
+      );
+      await recordAudit(req, {
+        action: "auth.password_change",
+        target: user._id,
+        changes: { password: { redacted: true } },
+        metadata: { sessionsRevoked: revoked },
+      });
+      const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+      res.json({
+        success: true,
+        message: "Password changed.",
+        token,
+        refreshToken,
+        expiresIn,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Refresh - trade a refresh token for a new access/refresh pair
+router.post("/refresh", validateSchema("refresh"), async (req, res, next) => {
+  try {
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return next(
+        new AuthError(
+          "Refresh token is invalid or expired. Please log in again."
+        )
+      );
+    }
+
+    const { token, refreshToken, expiresIn } = result;
+    res.json({ success: true, token, refreshToken, expiresIn });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout - ends the current session only
+router.post("/logout", authMiddleware, async (req, res, next) => {
+  try {
+    await revokeSessions(
+      { _id: req.user.sid, user: req.user.userId },
+      "logout"
+    );
+    res.json({ success: true, message: "Logged out." });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Logout All - ends every session of the user, on all devices
+router.post("/logout-all", authMiddleware, async (req, res, next) => {
+  try {
+    const revoked = await revokeSessions(
+      { user: req.user.userId },
+      "logout_all"
+    );
+    await recordAudit(req, {
+      action: "auth.logout_all",
+      target: req.user.userId,
+      metadata: { sessionsRevoked: revoked },
+    });
+    res.json({
+      success: true,
+      message: "Logged out of all devices.",
+      revoked,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// List the user's active sessions (devices)
+router.get("/sessions", authMiddleware, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.user.sid),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Revoke one of the user's sessions (e.g. a lost phone)
+router.delete("/sessions/:id", authMiddleware, async (req, res, next) => {
+  try {
+    if (!/^[a-f\d]{24}$/i.test(req.params.id)) {
+      return next(new ValidationError("Invalid session ID format"));
+    }
+    const revoked = await revokeSessions(
+      { _id: req.params.id, user: req.user.userId },
+      "revoked_by_user"
+    );
+    if (!revoked) {
+      return next(new NotFoundError("Session not found"));
+    }
+    await recordAudit(req, {
+      action: "auth.session_revoke",
+      target: req.user.userId,
+      metadata: { sessionId: req.params.id },
+    });
+    res.json({ success: true, message: "Session revoked." });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
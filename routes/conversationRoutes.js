@@ -0,0 +1,146 @@
+// routes/conversationRoutes.js
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const { body } = require("express-validator");
+const validate = require("../middleware/validate");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const authMiddleware = require("../middleware/authMiddleware");
+const {
+  MAX_MESSAGE_LENGTH,
+  openConversation,
+  listMessages,
+  sendMessage,
+  markRead,
+} = require("../utils/messaging");
+const { isOnline } = require("../utils/realtime");
+const { serializeProfiles } = require("../utils/profileSerializer");
+
+// Profile fields shown for the other participant in the conversation list
+const PARTICIPANT_FIELDS =
+  "name gender city state profilePicture profilePictureSizes photoVisibility privacy";
+
+router.use(authMiddleware);
+
+// List the user's conversations, most recent first, with unread counts
+router.get("/", async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const conversations = await Conversation.find({ participants: userId })
+      .populate("participants", PARTICIPANT_FIELDS)
+      .sort({ updatedAt: -1 });
+
+    const unread = await Message.aggregate([
+      {
+        $match: {
+          recipient: new mongoose.Types.ObjectId(userId),
+          readAt: null,
+        },
+      },
+      { $group: { _id: "$conversation", count: { $sum: 1 } } },
+    ]);
+    const unreadByConversation = new Map(
+      unread.map(({ _id, count }) => [String(_id), count])
+    );
+
+    // The other participant of each conversation, photos as this user may see them
+    const others = await serializeProfiles(
+      conversations.map((conversation) =>
+        conversation.participants.find((p) => !p._id.equals(userId))
+      ),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      conversations: conversations.map((conversation, i) => {
+        const other = others[i];
+        return {
+          id: conversation._id,
+          participant: other,
+          online: other ? isOnline(other._id) : false,
+          lastMessage: conversation.lastMessage,
+          unreadCount: unreadByConversation.get(String(conversation._id)) || 0,
+          updatedAt: conversation.updatedAt,
+        };
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Open (or fetch) the conversation with a connected user
+router.post(
+  "/",
+  [body("userId").isMongoId().withMessage("Invalid user ID format")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const conversation = await openConversation(
+        req.user.userId,
+        req.body.userId
+      );
+      res.json({ success: true, conversation });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Message history, newest first. Page back with ?before=<nextCursor>
+router.get("/:id/messages", async (req, res, next) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 30, 1),
+      100
+    );
+    const page = await listMessages(req.user.userId, req.params.id, {
+      before: req.query.before,
+      limit,
+    });
+    res.json({ success: true, ...page });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Send a message (also delivered live over the WebSocket channel)
+router.post(
+  "/:id/messages",
+  [
+    body("text")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: MAX_MESSAGE_LENGTH })
+      .withMessage(
+        `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`
+      ),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const message = await sendMessage(
+        req.user.userId,
+        req.params.id,
+        req.body.text
+      );
+      res.status(201).json({ success: true, message });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Mark the conversation read (sends a read receipt to the other participant)
+router.post("/:id/read", async (req, res, next) => {
+  try {
+    const result = await markRead(req.user.userId, req.params.id);
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
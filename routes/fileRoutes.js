@@ -0,0 +1,32 @@
+// routes/fileRoutes.js
+// Serves files behind signed, expiring URLs produced by the local storage
+// driver (utils/storage/localDriver.js). S3 signed URLs go to the bucket directly.
+const express = require("express");
+const router = express.Router();
+const { getStorage } = require("../utils/storage");
+const { NotFoundError, ForbiddenError } = require("../utils/errorHandler");
+
+router.get("/*key", (req, res, next) => {
+  const storage = getStorage();
+  if (storage.name !== "local") {
+    return next(new NotFoundError("File not found"));
+  }
+
+  const key = req.params.key.join("/");
+  const { expires, signature } = req.query;
+  if (!storage.verifySignature(key, expires, signature)) {
+    return next(new ForbiddenError("File link is invalid or has expired"));
+  }
+
+  let filePath;
+  try {
+    filePath = storage.filePath(key);
+  } catch (err) {
+    return next(new NotFoundError("File not found"));
+  }
+  res.sendFile(filePath, (err) => {
+    if (err && !res.headersSent) next(new NotFoundError("File not found"));
+  });
+});
+
+module.exports = router;
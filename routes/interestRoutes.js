@@ -0,0 +1,264 @@
+// routes/interestRoutes.js
+const express = require("express");
+const router = express.Router();
+const { body, param, query } = require("express-validator");
+const validate = require("../middleware/validate");
+const Interest = require("../models/Interest");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/authMiddleware");
+const {
+  visibleProfileFilter,
+  getViewerRelations,
+  findVisibleMember,
+} = require("../utils/profileRelations");
+const { serializeProfiles } = require("../utils/profileSerializer");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errorHandler");
+
+// Profile fields shown alongside an interest in the inbox/outbox
+const PROFILE_SUMMARY_FIELDS =
+  "name gender dateOfBirth city state country religion occupation profilePicture profilePictureSizes photoVisibility privacy";
+
+const STATUSES = ["pending", "accepted", "declined", "withdrawn"];
+
+router.use(authMiddleware);
+
+// Send Interest to another profile
+router.post(
+  "/",
+  [
+    body("to").isMongoId().withMessage("Invalid profile ID format"),
+    body("message")
+      .optional()
+      .isString()
+      .isLength({ max: 300 })
+      .withMessage("Message cannot exceed 300 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const fromId = req.user.userId;
+      const { to: toId, message } = req.body;
+
+      if (String(toId) === String(fromId)) {
+        return next(
+          new ValidationError("You cannot send an interest to yourself.")
+        );
+      }
+
+      // Blocked, inactive and unapproved profiles look the same as missing ones
+      const recipient = await findVisibleMember(req.user, toId, "_id");
+      if (!recipient) {
+        return next(new NotFoundError("Profile not found"));
+      }
+
+      const existing = await Interest.findBetween(fromId, toId);
+      const sent = existing.find((i) => i.from.equals(fromId));
+      const received = existing.find((i) => i.from.equals(toId));
+
+      if (existing.some((i) => i.status === "accepted")) {
+        return next(
+          new ConflictError("You are already connected with this profile.")
+        );
+      }
+      if (received && received.status === "pending") {
+        return next(
+          new ConflictError(
+            "This profile has already sent you an interest. Accept it instead.",
+            { details: { interestId: received._id } }
+          )
+        );
+      }
+      if (sent && sent.status === "pending") {
+        return next(
+          new ConflictError(
+            "You have already sent an interest to this profile.",
+            { details: { interestId: sent._id } }
+          )
+        );
+      }
+      if (sent && sent.status === "declined") {
+        return next(
+          new ConflictError("This profile has declined your interest.")
+        );
+      }
+
+      let interest;
+      if (sent) {
+        // Previously withdrawn: send it again
+        sent.status = "pending";
+        sent.message = message;
+        sent.respondedAt = undefined;
+        interest = await sent.save();
+      } else {
+        interest = await Interest.create({ from: fromId, to: toId, message });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Interest sent successfully",
+        interest,
+      });
+    } catch (err) {
+      // Two simultaneous sends race on the unique index
+      if (err.code === 11000) {
+        return next(
+          new ConflictError(
+            "You have already sent an interest to this profile."
+          )
+        );
+      }
+      next(err);
+    }
+  }
+);
+
+// Paginated interests where the user is `ownField`, populated with the other side
+const listInterests = async (req, res, next, ownField, otherField) => {
+  try {
+    const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limitNum = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || 10, 1),
+      50
+    );
+    const skip = (pageNum - 1) * limitNum;
+
+    // Blocked (either way), inactive and unapproved profiles are left out,
+    // as in every other profile listing
+    const { hiddenIds } = await getViewerRelations(req.user.userId);
+    const others = await Interest.distinct(otherField, {
+      [ownField]: req.user.userId,
+    });
+    const visibleIds = await User.find({
+      _id: { $in: others, $nin: hiddenIds },
+      ...visibleProfileFilter(),
+    }).distinct("_id");
+
+    const filter = {
+      [ownField]: req.user.userId,
+      [otherField]: { $in: visibleIds },
+    };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [interests, total] = await Promise.all([
+      Interest.find(filter)
+        .populate(otherField, PROFILE_SUMMARY_FIELDS)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limitNum),
+      Interest.countDocuments(filter),
+    ]);
+
+    // The other side's photos as this user is allowed to see them
+    const profiles = await serializeProfiles(
+      interests.map((interest) => interest[otherField]),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      results: interests.map((interest, i) => ({
+        ...interest.toObject(),
+        [otherField]: profiles[i],
+      })),
+      total,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(total / limitNum),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Received interests, optionally filtered by status
+router.get(
+  "/inbox",
+  [query("status").optional().isIn(STATUSES).withMessage("Invalid status")],
+  validate,
+  (req, res, next) => listInterests(req, res, next, "to", "from")
+);
+
+// Sent interests, optionally filtered by status
+router.get(
+  "/outbox",
+  [query("status").optional().isIn(STATUSES).withMessage("Invalid status")],
+  validate,
+  (req, res, next) => listInterests(req, res, next, "from", "to")
+);
+
+// Status changes of pending interests and who may make them. Accepting also
+// needs the sender to still be visible to the recipient.
+const TRANSITIONS = {
+  withdraw: { actor: "from", status: "withdrawn", verb: "withdrawn" },
+  accept: {
+    actor: "to",
+    status: "accepted",
+    verb: "accepted",
+    needsVisibleSender: true,
+  },
+  decline: { actor: "to", status: "declined", verb: "declined" },
+};
+
+Object.entries(TRANSITIONS).forEach(([action, transition]) => {
+  router.post(
+    `/:id/${action}`,
+    [param("id").isMongoId().withMessage("Invalid interest ID format")],
+    validate,
+    async (req, res, next) => {
+      try {
+        // Only the sender (withdraw) or recipient (accept/decline) may act
+        const own = {
+          _id: req.params.id,
+          [transition.actor]: req.user.userId,
+        };
+
+        if (transition.needsVisibleSender) {
+          const pending = await Interest.findOne({
+            ...own,
+            status: "pending",
+          }).select("from");
+          // A blocked or deactivated sender looks the same as a missing one
+          if (
+            pending &&
+            !(await findVisibleMember(req.user, pending.from, "_id"))
+          ) {
+            return next(new NotFoundError("Interest not found"));
+          }
+        }
+
+        // Conditional on the status, so of two simultaneous actions on the
+        // same interest only one succeeds
+        const interest = await Interest.findOneAndUpdate(
+          { ...own, status: "pending" },
+          { status: transition.status, respondedAt: new Date() },
+          { new: true, runValidators: true }
+        );
+        if (!interest) {
+          const current = await Interest.findOne(own).select("status");
+          if (!current) {
+            return next(new NotFoundError("Interest not found"));
+          }
+          return next(
+            new ConflictError(
+              `Only pending interests can be ${transition.verb}; this one is ${current.status}.`
+            )
+          );
+        }
+
+        res.json({
+          success: true,
+          message: `Interest ${transition.verb}`,
+          interest,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+// routes/moderationRoutes.js
+// Admin review queue for profiles and photos, mounted under
+// /api/admin/moderation behind the admin guard in adminRoutes.
+const express = require("express");
+const router = express.Router();
+const path = require("path");
+const { body, param, query, matchedData } = require("express-validator");
+const validate = require("../middleware/validate");
+const User = require("../models/User");
+const { presentPhotos, signSizes } = require("../utils/photoAccess");
+const {
+  REJECTION_REASONS,
+  describeReview,
+  reviewProfile,
+  reviewPhoto,
+} = require("../utils/moderation");
+const { recordAudit } = require("../utils/audit");
+const { NotFoundError } = require("../utils/errorHandler");
+
+const STATUSES = ["pending", "approved", "rejected"];
+
+// Fields shown for each profile in the queue
+const QUEUE_PROFILE_FIELDS =
+  "name email gender dateOfBirth city state bio profilePicture profilePictureSizes photos photoSizes moderation createdAt";
+
+const queueValidators = [
+  query("status").optional().isIn(STATUSES).withMessage("Invalid status"),
+  query("page").optional().isInt({ min: 1 }).toInt(),
+  query("limit").optional().isInt({ min: 1, max: 50 }).toInt(),
+];
+
+// Paginated users matching filter, oldest submission first
+const findQueuePage = async (req, filter) => {
+  // req.query itself does not keep the validators' sanitized values
+  const { page = 1, limit = 20 } = matchedData(req, { locations: ["query"] });
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(QUEUE_PROFILE_FIELDS)
+      .sort({ "moderation.submittedAt": 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+  return {
+    users,
+    pagination: { total, page, limit, totalPages: Math.ceil(total / limit) },
+  };
+};
+
+// The reason codes admins can pick from, with the text users see
+router.get("/reasons", (req, res) => {
+  res.json({ success: true, reasons: REJECTION_REASONS });
+});
+
+// Profiles by moderation status (pending by default)
+router.get("/profiles", queueValidators, validate, async (req, res, next) => {
+  try {
+    const status = req.query.status || "pending";
+    const { users, pagination } = await findQueuePage(req, {
+      "moderation.status": status,
+    });
+    res.json({
+      success: true,
+      results: await Promise.all(
+        users.map((user) => presentPhotos(user, true))
+      ),
+      ...pagination,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Photos by moderation status (pending by default), grouped by user
+router.get("/photos", queueValidators, validate, async (req, res, next) => {
+  try {
+    const status = req.query.status || "pending";
+    const { users, pagination } = await findQueuePage(req, {
+      $or: [
+        { "photoSizes.status": status },
+        { "profilePictureSizes.status": status },
+      ],
+    });
+
+    const results = await Promise.all(
+      users.map(async (user) => {
+        const plain = user.toObject();
+        // Profiles from before the resize pipeline have no sizes at all
+        const photos = (plain.photoSizes || []).filter(
+          (s) => s.status === status
+        );
+        // A primary picture uploaded directly is not in the gallery
+        if (
+          plain.profilePictureSizes &&
+          plain.profilePictureSizes.status === status &&
+          !plain.photos.includes(plain.profilePicture)
+        ) {
+          photos.push(plain.profilePictureSizes);
+        }
+        return {
+          user: { _id: user._id, name: user.name, email: user.email },
+          photos: await Promise.all(
+            photos.map(async (sizes) => ({
+              fileName: path.basename(sizes.full),
+              ...(await signSizes(sizes)),
+            }))
+          ),
+        };
+      })
+    );
+
+    res.json({ success: true, results, ...pagination });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// approve needs nothing else; reject needs a reason code and takes a note
+const DECISIONS = {
+  approve: { status: "approved", validators: [] },
+  reject: {
+    status: "rejected",
+    validators: [
+      body("reasonCode")
+        .isIn(Object.keys(REJECTION_REASONS))
+        .withMessage(
+          `reasonCode must be one of: ${Object.keys(REJECTION_REASONS).join(
+            ", "
+          )}`
+        ),
+      body("note")
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage("Note cannot exceed 500 characters"),
+    ],
+  },
+};
+
+const decisionFrom = (req, decision) => ({
+  status: decision.status,
+  reasonCode: decision.status === "rejected" ? req.body.reasonCode : undefined,
+  note: decision.status === "rejected" ? req.body.note : undefined,
+});
+
+Object.entries(DECISIONS).forEach(([action, decision]) => {
+  // Approve or reject a profile
+  router.post(
+    `/profiles/:id/${action}`,
+    [
+      param("id").isMongoId().withMessage("Invalid user ID format"),
+      ...decision.validators,
+    ],
+    validate,
+    async (req, res, next) => {
+      try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+          return next(new NotFoundError("User not found"));
+        }
+        const previousStatus = describeReview(user.moderation).status;
+        const review = decisionFrom(req, decision);
+        await reviewProfile(user, review, req.user.userId);
+        await recordAudit(req, {
+          action: `moderation.profile.${action}`,
+          target: user._id,
+          changes: {
+            "moderation.status": { from: previousStatus, to: decision.status },
+          },
+          metadata: { reasonCode: review.reasonCode, note: review.note },
+        });
+        res.json({
+          success: true,
+          message: `Profile ${decision.status}`,
+          moderation: describeReview(user.moderation),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+
+  // Approve or reject one of a user's photos, by file name
+  router.post(
+    `/photos/:userId/:fileName/${action}`,
+    [
+      param("userId").isMongoId().withMessage("Invalid user ID format"),
+      ...decision.validators,
+    ],
+    validate,
+    async (req, res, next) => {
+      try {
+        const user = await User.findById(req.params.userId);
+        if (!user) {
+          return next(new NotFoundError("User not found"));
+        }
+        const review = decisionFrom(req, decision);
+        await reviewPhoto(user, req.params.fileName, review);
+        await recordAudit(req, {
+          action: `moderation.photo.${action}`,
+          target: user._id,
+          metadata: {
+            fileName: req.params.fileName,
+            reasonCode: review.reasonCode,
+            note: review.note,
+          },
+        });
+        res.json({
+          success: true,
+          message: `Photo ${decision.status}`,
+          fileName: req.params.fileName,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+});
+
+module.exports = router;
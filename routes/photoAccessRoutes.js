@@ -0,0 +1,251 @@
+// routes/photoAccessRoutes.js
+// Photo visibility settings, requests to see restricted photos, and the
+// authorized photo route that hands out signed or blurred URLs.
+const express = require("express");
+const router = express.Router();
+const { body, param, query } = require("express-validator");
+const validate = require("../middleware/validate");
+const PhotoAccess = require("../models/PhotoAccess");
+const User = require("../models/User");
+const authMiddleware = require("../middleware/authMiddleware");
+const optionalAuthMiddleware = require("../middleware/optionalAuthMiddleware");
+const { findVisibleMember } = require("../utils/profileRelations");
+const { PHOTO_VISIBILITIES, presentProfile } = require("../utils/photoAccess");
+const { serializeProfiles } = require("../utils/profileSerializer");
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errorHandler");
+
+// Profile fields shown alongside a request
+const PROFILE_SUMMARY_FIELDS =
+  "name gender city state profilePicture profilePictureSizes photoVisibility privacy";
+
+const STATUSES = ["pending", "granted", "denied", "revoked"];
+
+// Change who can see the logged-in user's photos
+router.put(
+  "/visibility",
+  authMiddleware,
+  [
+    body("photoVisibility")
+      .isIn(PHOTO_VISIBILITIES)
+      .withMessage(
+        `photoVisibility must be one of: ${PHOTO_VISIBILITIES.join(", ")}`
+      ),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findByIdAndUpdate(
+        req.user.userId,
+        { photoVisibility: req.body.photoVisibility },
+        { new: true }
+      ).select("photoVisibility");
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+      res.json({
+        success: true,
+        message: "Photo visibility updated",
+        photoVisibility: user.photoVisibility,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Ask another member for access to their photos
+router.post(
+  "/requests",
+  authMiddleware,
+  [body("ownerId").isMongoId().withMessage("Invalid profile ID format")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const requesterId = req.user.userId;
+      const { ownerId } = req.body;
+
+      if (String(ownerId) === String(requesterId)) {
+        return next(
+          new ValidationError("You cannot request access to your own photos.")
+        );
+      }
+
+      // Blocked, inactive and unapproved profiles look the same as missing ones
+      const owner = await findVisibleMember(req.user, ownerId, "_id");
+      if (!owner) {
+        return next(new NotFoundError("Profile not found"));
+      }
+
+      const existing = await PhotoAccess.findOne({
+        owner: ownerId,
+        requester: requesterId,
+      });
+      if (existing && existing.status === "granted") {
+        return next(
+          new ConflictError(
+            "You already have access to this member's photos.",
+            {
+              details: { requestId: existing._id },
+            }
+          )
+        );
+      }
+      if (existing && existing.status === "pending") {
+        return next(
+          new ConflictError(
+            "You have already requested access to these photos.",
+            {
+              details: { requestId: existing._id },
+            }
+          )
+        );
+      }
+      if (existing) {
+        // Denied or revoked: the owner can still grant it from their list
+        return next(
+          new ConflictError("This member has not shared their photos with you.")
+        );
+      }
+
+      const request = await PhotoAccess.create({
+        owner: ownerId,
+        requester: requesterId,
+      });
+      res.status(201).json({
+        success: true,
+        message: "Photo access requested",
+        request,
+      });
+    } catch (err) {
+      // Two simultaneous requests race on the unique index
+      if (err.code === 11000) {
+        return next(
+          new ConflictError(
+            "You have already requested access to these photos."
+          )
+        );
+      }
+      next(err);
+    }
+  }
+);
+
+// Requests where the user is `ownField`, populated with the other side
+const listRequests = async (req, res, next, ownField, otherField) => {
+  try {
+    const filter = { [ownField]: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+
+    const requests = await PhotoAccess.find(filter)
+      .populate(otherField, PROFILE_SUMMARY_FIELDS)
+      .sort({ updatedAt: -1 });
+    const profiles = await serializeProfiles(
+      requests.map((request) => request[otherField]),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      requests: requests.map((request, i) => ({
+        ...request.toObject(),
+        [otherField]: profiles[i],
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Requests for the user's photos, optionally filtered by status
+router.get(
+  "/requests/received",
+  authMiddleware,
+  [query("status").optional().isIn(STATUSES).withMessage("Invalid status")],
+  validate,
+  (req, res, next) => listRequests(req, res, next, "owner", "requester")
+);
+
+// Requests the user has made
+router.get(
+  "/requests/sent",
+  authMiddleware,
+  [query("status").optional().isIn(STATUSES).withMessage("Invalid status")],
+  validate,
+  (req, res, next) => listRequests(req, res, next, "requester", "owner")
+);
+
+// Owner decisions and the states they apply to. Granting also works on
+// denied or revoked requests, so an owner can change their mind.
+const TRANSITIONS = {
+  grant: { from: ["pending", "denied", "revoked"], status: "granted" },
+  deny: { from: ["pending"], status: "denied" },
+  revoke: { from: ["granted"], status: "revoked" },
+};
+
+Object.entries(TRANSITIONS).forEach(([action, transition]) => {
+  router.post(
+    `/requests/:id/${action}`,
+    authMiddleware,
+    [param("id").isMongoId().withMessage("Invalid request ID format")],
+    validate,
+    async (req, res, next) => {
+      try {
+        const request = await PhotoAccess.findById(req.params.id);
+        if (!request || String(request.owner) !== String(req.user.userId)) {
+          return next(new NotFoundError("Request not found"));
+        }
+        if (!transition.from.includes(request.status)) {
+          return next(
+            new ConflictError(
+              `This request is ${request.status} and cannot be ${transition.status}.`
+            )
+          );
+        }
+
+        request.status = transition.status;
+        request.respondedAt = new Date();
+        await request.save();
+
+        res.json({
+          success: true,
+          message: `Photo access ${transition.status}`,
+          request,
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+});
+
+// A member's photos as the viewer is allowed to see them
+router.get(
+  "/:userId/photos",
+  optionalAuthMiddleware,
+  [param("userId").isMongoId().withMessage("Invalid profile ID format")],
+  validate,
+  async (req, res, next) => {
+    try {
+      // Owners and admins also see hidden profiles' photos
+      const owner = await findVisibleMember(
+        req.user,
+        req.params.userId,
+        "profilePicture profilePictureSizes photos photoSizes photoVisibility"
+      );
+      if (!owner) {
+        return next(new NotFoundError("Profile not found"));
+      }
+
+      const photos = await presentProfile(owner, req.user);
+      res.json({ success: true, ...photos });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
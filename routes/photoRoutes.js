@@ -0,0 +1,127 @@
+// routes/photoRoutes.js
+// Photo gallery endpoints, mounted for the logged-in user under
+// /api/profiles/me/photos and for admins under /api/admin/users/:id/photos.
+const express = require("express");
+const path = require("path");
+const User = require("../models/User");
+const { uploadPhotos } = require("../middleware/upload");
+const {
+  addPhotos,
+  reorderPhotos,
+  setPrimaryPhoto,
+  deletePhoto,
+} = require("../utils/photoGallery");
+const { presentPhotos } = require("../utils/photoAccess");
+const { diffFields, recordAudit } = require("../utils/audit");
+const { NotFoundError } = require("../utils/errorHandler");
+
+// Gallery fields compared in the audit entry of an admin's change
+const GALLERY_FIELDS = ["photos", "profilePicture"];
+
+const galleryState = (user) => ({
+  photos: [...user.photos],
+  profilePicture: user.profilePicture,
+});
+
+/**
+ * @param {(req: import('express').Request) => string} resolveUserId - Whose gallery to act on.
+ */
+const createPhotoRouter = (resolveUserId) => {
+  const router = express.Router({ mergeParams: true });
+
+  // Only the owner or an admin gets here, so photos are never blurred. URLs
+  // are signed, so fileNames gives the names the routes below expect.
+  const galleryResponse = async (user, message) => {
+    const presented = await presentPhotos(user, true);
+    return {
+      success: true,
+      message,
+      photos: presented.photos,
+      photoSizes: presented.photoSizes,
+      fileNames: user.photos.map((url) => path.basename(url)),
+      profilePicture: presented.profilePicture,
+      profilePictureSizes: presented.profilePictureSizes,
+    };
+  };
+
+  // Runs a gallery operation on the target user and answers with the gallery.
+  // An admin's change to someone else's gallery is audited, with audit as
+  // the action name.
+  const withUser = (operation, message, audit) => async (req, res, next) => {
+    try {
+      const user = await User.findById(resolveUserId(req));
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+      const before = galleryState(user);
+      const updated = await operation(user, req);
+      if (audit && String(user._id) !== String(req.user.userId)) {
+        await recordAudit(req, {
+          action: audit,
+          target: user._id,
+          changes: diffFields(before, galleryState(updated), GALLERY_FIELDS),
+        });
+      }
+      res.json(await galleryResponse(updated, message));
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // List photos
+  router.get(
+    "/",
+    withUser(async (user) => user)
+  );
+
+  // Upload one or more photos (multipart field "photos")
+  router.post(
+    "/",
+    uploadPhotos,
+    withUser(
+      // Photos uploaded by an admin skip the moderation queue
+      (user, req) =>
+        addPhotos(
+          user,
+          req.files,
+          req.user.role === "admin" ? "approved" : "pending"
+        ),
+      "Photos uploaded",
+      "photo.upload"
+    )
+  );
+
+  // Reorder: body { order: ["<fileName>", ...] }
+  router.put(
+    "/order",
+    withUser(
+      (user, req) => reorderPhotos(user, req.body.order),
+      "Photos reordered",
+      "photo.reorder"
+    )
+  );
+
+  // Make a photo the primary profile picture
+  router.put(
+    "/:fileName/primary",
+    withUser(
+      (user, req) => setPrimaryPhoto(user, req.params.fileName),
+      "Primary photo updated",
+      "photo.set_primary"
+    )
+  );
+
+  // Delete a photo (also removes the file from uploads/)
+  router.delete(
+    "/:fileName",
+    withUser(
+      (user, req) => deletePhoto(user, req.params.fileName),
+      "Photo deleted",
+      "photo.delete"
+    )
+  );
+
+  return router;
+};
+
+module.exports = createPhotoRouter;
@@ -1,9 +1,68 @@
 // routes/profileRoutes.js
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
+const path = require("path");
+const { body } = require("express-validator");
+const validate = require("../middleware/validate");
+const { validateSchema } = validate;
 const User = require("../models/User");
+const Interest = require("../models/Interest");
 const authMiddleware = require("../middleware/authMiddleware");
+const optionalAuthMiddleware = require("../middleware/optionalAuthMiddleware");
 const uploadMiddleware = require("../middleware/upload");
+const createPhotoRouter = require("./photoRoutes");
+const { storeImage, removeImage } = require("../utils/imagePipeline");
+const {
+  OPPOSITE_GENDER,
+  preferenceFilter,
+  scoreCompatibility,
+} = require("../utils/matching");
+const {
+  buildSearchConditions,
+  buildSearchFacets,
+} = require("../utils/profileSearch");
+const {
+  visibleProfileFilter,
+  getViewerRelations,
+  isBlockedBetween,
+  findVisibleMember,
+  annotateProfile,
+} = require("../utils/profileRelations");
+const {
+  PRIVACY_SETTINGS,
+  sharesContacts,
+  serializeProfile,
+  serializeProfiles,
+} = require("../utils/profileSerializer");
+const {
+  describeMembership,
+  useContactView,
+} = require("../utils/subscriptions");
+const {
+  describeReview,
+  resubmitProfile,
+} = require("../utils/moderation");
+const { recordAudit } = require("../utils/audit");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errorHandler");
+const {
+  PROFILE_FIELDS,
+  resolveUpdatePaths,
+  applyUpdate,
+} = require("../utils/profileUpdate");
+
+// Max search results shown to users who have not completed verification
+const UNVERIFIED_SEARCH_LIMIT =
+  parseInt(process.env.UNVERIFIED_SEARCH_LIMIT, 10) || 5;
+
+// Max candidates loaded and scored per /matches request; the newest ones
+// meeting the hard preferences win, and the response says it was truncated
+const MATCH_CANDIDATE_POOL =
+  parseInt(process.env.MATCH_CANDIDATE_POOL, 10) || 500;
 
 // --- Specific routes first (e.g., /me, /search) ---
 
@@ -12,185 +71,559 @@ router.get("/me", authMiddleware, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.userId).select("-password");
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return next(new NotFoundError("User not found"));
     }
-    res.json({ success: true, user });
+    res.json({ success: true, user: await serializeProfile(user, req.user) });
   } catch (err) {
     next(err);
   }
 });
 
-// Update logged-in user profile
-router.put("/me", authMiddleware, async (req, res, next) => {
-  const {
-    name,
-    age,
-    location,
-    religion,
-    education,
-    occupation,
-    motherTongue,
-    maritalStatus,
-    about,
-  } = req.body;
-  const userId = req.user.userId;
-
+/**
+ * Applies a partial update to the logged-in user's own profile and answers
+ * with what changed. Fields outside PROFILE_FIELDS (email, mobile number,
+ * password, role, verification, ...) are refused; they have their own flows.
+ * @param {{ accepted: object, rejected: Array<string> }} update - From
+ *   resolveUpdatePaths.
+ * @param {(user: object, req: object) => Promise<object>} present - Builds
+ *   the response body's data from the saved user.
+ */
+const updateOwnProfile = async (req, res, next, update, present) => {
+  const { accepted, rejected } = update;
+  if (rejected.length > 0) {
+    return next(
+      new ValidationError(
+        `These fields cannot be edited here: ${rejected.join(", ")}`,
+        {
+          errors: rejected.map((field) => ({ field, message: "Not editable" })),
+        }
+      )
+    );
+  }
   try {
-    const user = await User.findById(userId);
+    const user = await User.findById(req.user.userId);
     if (!user) {
-      return res.status(404).json({ message: "User not found" });
+      return next(new NotFoundError("User not found"));
     }
-    // Update fields
-    if (name !== undefined) user.name = name;
-    if (age !== undefined) user.age = age;
-    if (location !== undefined) user.location = location;
-    if (religion !== undefined) user.religion = religion;
-    if (education !== undefined) user.education = education;
-    if (occupation !== undefined) user.occupation = occupation;
-    if (motherTongue !== undefined) user.motherTongue = motherTongue;
-    if (maritalStatus !== undefined) user.maritalStatus = maritalStatus;
-    if (about !== undefined) user.about = about;
-
-    const updatedUser = await user.save();
-    const userResponse = updatedUser.toObject();
-    delete userResponse.password;
-
+    // Edits to name or bio send the profile back to moderation (see User)
+    const changedFields = Object.keys(applyUpdate(user, accepted));
+    if (changedFields.length > 0) await user.save();
     res.json({
       success: true,
-      user: userResponse,
-      message: "Profile updated successfully",
+      message: changedFields.length
+        ? "Profile updated successfully"
+        : "Nothing to update",
+      changedFields,
+      ...(await present(user, req)),
     });
   } catch (err) {
-    console.error("Error updating profile:", err);
-    if (err.name === "ValidationError") {
-      return res
-        .status(400)
-        .json({ message: "Validation error", errors: err.errors });
+    next(err);
+  }
+};
+
+const presentOwnProfile = async (user, req) => ({
+  user: await serializeProfile(user, req.user),
+});
+
+const presentPreferences = async (user) => ({
+  partnerPreferences: user.partnerPreferences,
+});
+
+// Update logged-in user profile: any of PROFILE_FIELDS, nested objects such
+// as partnerPreferences merged key by key. PUT is kept for older clients and
+// behaves the same.
+["patch", "put"].forEach((method) => {
+  router[method](
+    "/me",
+    authMiddleware,
+    validateSchema("updateProfile"),
+    (req, res, next) =>
+      updateOwnProfile(
+        req,
+        res,
+        next,
+        resolveUpdatePaths(req.body, PROFILE_FIELDS),
+        presentOwnProfile
+      )
+  );
+});
+
+// Logged-in user's partner preferences
+router.get("/me/preferences", authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select(
+      "partnerPreferences"
+    );
+    if (!user) {
+      return next(new NotFoundError("User not found"));
     }
+    res.json({ success: true, ...(await presentPreferences(user)) });
+  } catch (err) {
     next(err);
   }
 });
 
+// Update partner preferences; the body is the partnerPreferences object,
+// e.g. { "ageRange": { "max": 32 }, "religion": ["Hindu", "Jain"] }
+["patch", "put"].forEach((method) => {
+  router[method](
+    "/me/preferences",
+    authMiddleware,
+    validateSchema("updatePreferences"),
+    (req, res, next) =>
+      updateOwnProfile(
+        req,
+        res,
+        next,
+        resolveUpdatePaths({ partnerPreferences: req.body || {} }, [
+          "partnerPreferences",
+        ]),
+        presentPreferences
+      )
+  );
+});
+
 // Upload profile picture for logged-in user OR specific user by admin
 router.post(
   "/me/upload-picture",
-  [authMiddleware, uploadMiddleware],
+  [authMiddleware, uploadMiddleware, validateSchema("uploadPicture")],
   async (req, res, next) => {
     if (!req.file) {
-      return res
-        .status(400)
-        .json({ message: "No file uploaded or middleware error occurred." });
+      return next(
+        new ValidationError("No file uploaded or middleware error occurred.")
+      );
     }
 
-    let targetUserId;
-    const isAdminRequest = req.header("X-Admin-Request") === "true";
+    // Admins upload on behalf of the user given in the body
+    const isAdminRequest = req.user.role === "admin" && req.body.userId;
+    const targetUserId = isAdminRequest ? req.body.userId : req.user.userId;
 
-    if (isAdminRequest) {
-      // Admin request: Get userId from request body
-      targetUserId = req.body.userId;
-      if (!targetUserId) {
-        return res
-          .status(400)
-          .json({ message: "Admin upload request requires userId in body" });
-      }
-      console.log(`Admin upload request for user ID: ${targetUserId}`);
-    } else {
-      // Standard user request: Get userId from JWT token (set by authMiddleware)
-      if (!req.user || !req.user.userId) {
-        // This case shouldn't happen if authMiddleware ran correctly for non-admin
-        return res
-          .status(401)
-          .json({ message: "User ID not found in token for standard upload" });
+    let sizes;
+    try {
+      const existing = await User.findById(targetUserId).select(
+        "profilePicture profilePictureSizes photos"
+      );
+      if (!existing) {
+        return next(new NotFoundError("User not found for picture update"));
       }
-      targetUserId = req.user.userId;
-      console.log(`Standard upload request for user ID: ${targetUserId}`);
-    }
 
-    const filePath = `/uploads/profile-pics/${req.file.filename}`;
+      // Resize, strip metadata and store thumb/card/full/blur copies
+      sizes = await storeImage(req.file.buffer, "profileImage");
 
-    try {
       const user = await User.findByIdAndUpdate(
         targetUserId, // Use the determined target user ID
-        { profilePicture: filePath },
+        {
+          profilePicture: sizes.full,
+          // Pictures uploaded by an admin skip the moderation queue
+          profilePictureSizes: {
+            ...sizes,
+            status: req.user.role === "admin" ? "approved" : "pending",
+          },
+        },
         { new: true }
       ).select("-password");
 
-      if (!user) {
-        return res
-          .status(404)
-          .json({ message: "User not found for picture update" });
+      if (isAdminRequest) {
+        await recordAudit(req, {
+          action: "user.picture.upload",
+          target: user._id,
+          changes: {
+            profilePicture: {
+              from: existing.profilePicture || null,
+              to: user.profilePicture,
+            },
+          },
+        });
       }
 
+      // The replaced picture's files go too, unless it is also a gallery photo
+      if (
+        existing.profilePicture &&
+        !existing.photos.includes(existing.profilePicture)
+      ) {
+        await removeImage({
+          ...existing.toObject().profilePictureSizes,
+          full: existing.profilePicture,
+        });
+      }
+
+      // Stored URLs are not public; the response carries signed ones
+      const userResponse = await serializeProfile(user, req.user);
       res.json({
         success: true,
         message: "Profile picture uploaded successfully",
-        filePath: filePath,
-        user: user,
+        filePath: userResponse.profilePicture,
+        sizes: userResponse.profilePictureSizes,
+        user: userResponse,
       });
     } catch (err) {
-      console.error("Error updating user profile picture in DB:", err);
-      // Handle potential CastError if targetUserId format is wrong
-      if (err.name === "CastError") {
-        return res
-          .status(400)
-          .json({ message: "Invalid user ID format provided" });
+      if (sizes) await removeImage(sizes);
+      next(err);
+    }
+  }
+);
+
+// Who sees the logged-in user's email, mobile number and last name
+router.put(
+  "/me/privacy",
+  authMiddleware,
+  PRIVACY_SETTINGS.map((setting) => {
+    const options = User.schema.path(`privacy.${setting}`).enumValues;
+    return body(setting)
+      .optional()
+      .isIn(options)
+      .withMessage(`${setting} must be one of: ${options.join(", ")}`);
+  }),
+  validate,
+  async (req, res, next) => {
+    try {
+      const update = {};
+      PRIVACY_SETTINGS.forEach((setting) => {
+        if (req.body[setting] !== undefined) {
+          update[`privacy.${setting}`] = req.body[setting];
+        }
+      });
+      const user = await User.findByIdAndUpdate(
+        req.user.userId,
+        { $set: update },
+        { new: true }
+      ).select("privacy");
+      if (!user) {
+        return next(new NotFoundError("User not found"));
       }
+      res.json({
+        success: true,
+        message: "Privacy settings updated",
+        privacy: user.privacy,
+      });
+    } catch (err) {
       next(err);
     }
   }
 );
 
-// Search profiles (requires auth, includes filtering and pagination)
-router.get("/search", authMiddleware, async (req, res, next) => {
+// Moderation state of the logged-in user's profile and photos, with reasons
+router.get("/me/moderation", authMiddleware, async (req, res, next) => {
   try {
-    const {
-      gender,
-      minAge,
-      maxAge,
-      location,
-      religion,
-      page = 1,
-      limit = 10, // Default limit
-    } = req.query;
-
-    // Base filter: exclude the logged-in user
-    const filter = { _id: { $ne: req.user.userId } };
-
-    // Add query filters
-    if (gender) filter.gender = gender;
-    if (location) filter.location = { $regex: new RegExp(location, "i") }; // Case-insensitive search
-    if (religion) filter.religion = { $regex: new RegExp(religion, "i") };
-    if (minAge || maxAge) {
-      filter.age = {};
-      if (minAge) filter.age.$gte = Number(minAge);
-      if (maxAge) filter.age.$lte = Number(maxAge);
+    const user = await User.findById(req.user.userId).select(
+      "moderation photos photoSizes profilePicture profilePictureSizes"
+    );
+    if (!user) {
+      return next(new NotFoundError("User not found"));
     }
+    const pictureInGallery = user.photos.includes(user.profilePicture);
+    res.json({
+      success: true,
+      profile: {
+        ...describeReview(user.moderation),
+        submittedAt: user.moderation && user.moderation.submittedAt,
+      },
+      photos: user.photoSizes.map((sizes) => ({
+        fileName: path.basename(sizes.full),
+        ...describeReview(sizes),
+      })),
+      // A picture uploaded directly rather than picked from the gallery
+      profilePicture:
+        user.profilePicture && !pictureInGallery
+          ? {
+              fileName: path.basename(user.profilePicture),
+              ...describeReview(user.profilePictureSizes),
+            }
+          : null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
+// Send a rejected profile back for review after fixing it. Rejected photos
+// are replaced instead: delete them and upload new ones.
+router.post(
+  "/me/moderation/resubmit",
+  authMiddleware,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) {
+        return next(new NotFoundError("User not found"));
+      }
+      await resubmitProfile(user);
+      res.json({
+        success: true,
+        message: "Profile resubmitted for review",
+        moderation: describeReview(user.moderation),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Photo gallery of the logged-in user (upload, reorder, primary, delete)
+router.use(
+  "/me/photos",
+  authMiddleware,
+  createPhotoRouter((req) => req.user.userId)
+);
+
+// Profile fields shown in the shortlist and block list
+const PROFILE_SUMMARY_FIELDS =
+  "name gender dateOfBirth city state country religion occupation profilePicture profilePictureSizes photoVisibility privacy";
+
+// Get the logged-in user's shortlist or block list, populated with profile summaries.
+// The shortlist only shows profiles that are currently visible.
+const listRelation = (field, key, visibleOnly) => async (req, res, next) => {
+  try {
+    // Like search: nobody blocked in either direction
+    const match = visibleOnly
+      ? {
+          _id: { $nin: (await getViewerRelations(req.user.userId)).hiddenIds },
+          ...visibleProfileFilter(),
+        }
+      : undefined;
+    const user = await User.findById(req.user.userId)
+      .select(`+${field}`)
+      .populate({ path: field, select: PROFILE_SUMMARY_FIELDS, match });
+    if (!user) {
+      return next(new NotFoundError("User not found"));
+    }
+    res.json({
+      success: true,
+      [key]: await serializeProfiles(user[field], req.user),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Add a profile to / remove it from the logged-in user's shortlist or block list
+const updateRelation = (field, operator) => async (req, res, next) => {
+  const userId = req.user.userId;
+  const targetId = req.params.id;
+  try {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return next(new ValidationError("Invalid profile ID format"));
+    }
+    if (String(targetId) === String(userId)) {
+      return next(new ValidationError("You cannot do this to yourself."));
+    }
+    if (operator === "$addToSet") {
+      const exists = await User.exists({ _id: targetId });
+      const hidden =
+        field === "shortlistedProfiles" &&
+        (await isBlockedBetween(userId, targetId));
+      if (!exists || hidden) {
+        return next(new NotFoundError("Profile not found"));
+      }
+    }
+
+    const update = { [operator]: { [field]: targetId } };
+    // Blocking someone also drops them from the shortlist
+    if (field === "blockedUsers" && operator === "$addToSet") {
+      update.$pull = { shortlistedProfiles: targetId };
+    }
+    await User.updateOne({ _id: userId }, update);
+
+    res.json({ success: true, profileId: targetId });
+  } catch (err) {
+    next(err);
+  }
+};
+
+router.get(
+  "/me/shortlist",
+  authMiddleware,
+  listRelation("shortlistedProfiles", "shortlist", true)
+);
+router.post(
+  "/me/shortlist/:id",
+  authMiddleware,
+  updateRelation("shortlistedProfiles", "$addToSet")
+);
+router.delete(
+  "/me/shortlist/:id",
+  authMiddleware,
+  updateRelation("shortlistedProfiles", "$pull")
+);
+router.get(
+  "/me/blocked",
+  authMiddleware,
+  listRelation("blockedUsers", "blocked")
+);
+router.post(
+  "/me/blocked/:id",
+  authMiddleware,
+  updateRelation("blockedUsers", "$addToSet")
+);
+router.delete(
+  "/me/blocked/:id",
+  authMiddleware,
+  updateRelation("blockedUsers", "$pull")
+);
+
+// Search profiles (requires auth, includes filtering, facets and pagination)
+// Every filter takes one or several values: ?city=Pune,Mumbai or ?city=Pune&city=Mumbai
+router.get("/search", authMiddleware, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, facets = "true" } = req.query;
+
+    const relations = await getViewerRelations(req.user.userId);
+
+    // Base filter: exclude the logged-in user, blocked users (both directions)
+    // and profiles not yet approved by moderation
+    const baseFilter = {
+      _id: {
+        $nin: [
+          new mongoose.Types.ObjectId(req.user.userId),
+          ...relations.hiddenIds,
+        ],
+      },
+      ...visibleProfileFilter(),
+    };
+    const conditions = buildSearchConditions(req.query);
+    const filter = { ...baseFilter, ...conditions };
+
+    let pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    let limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+
+    // Unverified users only get a preview: the first page, capped in size
+    const limited = !relations.viewer || !relations.viewer.isVerified;
+    if (limited) {
+      pageNum = 1;
+      limitNum = Math.min(limitNum, UNVERIFIED_SEARCH_LIMIT);
+    }
     const skip = (pageNum - 1) * limitNum;
 
-    // Execute query with filters and pagination
-    const users = await User.find(filter)
-      .select("-password") // Exclude password
-      .limit(limitNum)
-      .skip(skip)
-      .sort({ createdAt: -1 }) // Optional: Sort by newest first
-      .exec();
+    // Profiles highlighted by their owner's plan first, then newest first
+    const ranked = await User.aggregate([
+      { $match: filter },
+      {
+        $addFields: {
+          isHighlighted: { $gt: ["$highlightedUntil", new Date()] },
+        },
+      },
+      { $sort: { isHighlighted: -1, createdAt: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limitNum },
+      { $project: { _id: 1 } },
+    ]);
+    const found = await User.find({
+      _id: { $in: ranked.map(({ _id }) => _id) },
+    }).select("-password"); // Exclude password
+    const byId = new Map(found.map((user) => [String(user._id), user]));
+    const users = ranked
+      .map(({ _id }) => byId.get(String(_id)))
+      .filter(Boolean);
 
     // Get total count for pagination info
     const count = await User.countDocuments(filter);
 
+    // Facet counts: each filter's options counted with all the other filters applied
+    let facetCounts;
+    if (facets !== "false") {
+      const searchFacets = buildSearchFacets(conditions);
+      const [raw] = await User.aggregate([
+        { $match: baseFilter },
+        searchFacets.stage,
+      ]);
+      facetCounts = searchFacets.format(raw || {});
+    }
+
     res.json({
       success: true,
-      results: users, // Changed key to 'results' for consistency?
+      results: await serializeProfiles(
+        users.map((user) => annotateProfile(user, relations)),
+        req.user
+      ), // Changed key to 'results' for consistency?
       total: count,
       page: pageNum,
       limit: limitNum,
-      totalPages: Math.ceil(count / limitNum),
+      totalPages: limited ? 1 : Math.ceil(count / limitNum),
+      facets: facetCounts,
+      limited,
+      ...(limited && {
+        message: "Verify your email and mobile number to see all results.",
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Partner matches ranked by two-way compatibility score
+router.get("/matches", authMiddleware, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, minScore = 0 } = req.query;
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 10, 1), 50);
+    const minScoreNum = Number(minScore) || 0;
+
+    const relations = await getViewerRelations(req.user.userId);
+    const { viewer } = relations;
+    if (!viewer) {
+      return next(new NotFoundError("User not found"));
+    }
+
+    const targetGender = OPPOSITE_GENDER[viewer.gender];
+    if (!targetGender) {
+      return next(
+        new ValidationError(
+          "Matches are only available for Male and Female profiles."
+        )
+      );
+    }
+
+    // Hard preferences are applied here, so older matching profiles are not
+    // crowded out of the pool by newer ones that could never match
+    const filter = {
+      _id: { $nin: [viewer._id, ...relations.hiddenIds] },
+      gender: targetGender,
+      ...visibleProfileFilter(),
+      ...preferenceFilter(viewer.partnerPreferences),
+    };
+    const [candidates, candidateCount] = await Promise.all([
+      User.find(filter)
+        .select("-password")
+        .sort({ createdAt: -1 })
+        .limit(MATCH_CANDIDATE_POOL)
+        .exec(),
+      User.countDocuments(filter),
+    ]);
+    const truncated = candidateCount > candidates.length;
+
+    const ranked = candidates
+      .map((candidate) => ({
+        profile: annotateProfile(candidate, relations),
+        ...scoreCompatibility(viewer, candidate),
+      }))
+      .filter((match) => match.score >= minScoreNum)
+      .sort((a, b) => b.score - a.score);
+
+    const skip = (pageNum - 1) * limitNum;
+    const pageResults = ranked.slice(skip, skip + limitNum);
+    const profiles = await serializeProfiles(
+      pageResults.map((match) => match.profile),
+      req.user
+    );
+    res.json({
+      success: true,
+      results: pageResults.map((match, i) => ({
+        ...match,
+        profile: profiles[i],
+      })),
+      // Of the scored candidates; see truncated
+      total: ranked.length,
+      page: pageNum,
+      limit: limitNum,
+      totalPages: Math.ceil(ranked.length / limitNum),
+      truncated,
+      ...(truncated && {
+        candidates: candidateCount,
+        scored: candidates.length,
+        message: `Only the ${candidates.length} newest of ${candidateCount} profiles meeting your preferences were ranked. Narrow your partner preferences to see the rest.`,
+      }),
     });
   } catch (err) {
-    console.error("Search error:", err);
     next(err);
   }
 });
@@ -198,7 +631,8 @@ router.get("/search", authMiddleware, async (req, res, next) => {
 // --- Generic routes last (e.g., /:id) ---
 
 // Get All Profiles (Public? - Simplified, no filtering here now)
-router.get("/", async (req, res, next) => {
+// Logged-in viewers don't see blocked users and get the isShortlisted flag
+router.get("/", optionalAuthMiddleware, async (req, res, next) => {
   // This route now just gets all profiles (paginated) without filters
   // Consider if authentication or different logic is needed here
   try {
@@ -207,68 +641,128 @@ router.get("/", async (req, res, next) => {
     const limitNum = parseInt(limit, 10);
     const skip = (pageNum - 1) * limitNum;
 
-    const profiles = await User.find({})
+    const relations = req.user
+      ? await getViewerRelations(req.user.userId)
+      : null;
+    const filter = relations
+      ? { _id: { $nin: relations.hiddenIds }, ...visibleProfileFilter() }
+      : visibleProfileFilter();
+
+    const profiles = await User.find(filter)
       .select("-password")
       .limit(limitNum)
       .skip(skip)
       .sort({ createdAt: -1 })
       .exec();
 
-    const count = await User.countDocuments({});
-    res.json({ count, profiles }); // Original response format
+    const count = await User.countDocuments(filter);
+    res.json({
+      count,
+      profiles: await serializeProfiles(
+        relations
+          ? profiles.map((profile) => annotateProfile(profile, relations))
+          : profiles,
+        req.user
+      ),
+    }); // Original response format
   } catch (err) {
     next(err);
   }
 });
 
+// The profile req.params.id names, or null when the viewer may not see it
+// (see findVisibleMember)
+const findVisibleProfile = (req) =>
+  findVisibleMember(req.user, req.params.id, "-password");
+
 // Get Single Profile by ID (Public?)
 router.get("/:id", authMiddleware, async (req, res, next) => {
   // This will now only match if it's not /me or /search
   try {
-    const profile = await User.findById(req.params.id).select("-password");
+    const profile = await findVisibleProfile(req);
     if (!profile) {
       // Return a success=false structure for consistency if preferred, or just 404
-      return res
-        .status(404)
-        .json({ success: false, message: "Profile not found" });
+      return next(new NotFoundError("Profile not found"));
     }
+    // Connection status between the viewer and this profile
+    const connection = profile._id.equals(req.user.userId)
+      ? { status: "self", interestId: null }
+      : await Interest.connectionStatus(req.user.userId, profile._id);
+
+    const relations = await getViewerRelations(req.user.userId);
+
     // Wrap the successful response as expected by the frontend
-    res.json({ success: true, profile: profile });
+    res.json({
+      success: true,
+      profile: await serializeProfile(
+        annotateProfile(profile, relations),
+        req.user
+      ),
+      connection,
+    });
   } catch (err) {
-    // Handle CastError specifically if ID format is invalid
-    if (err.name === "CastError") {
-      return res
-        .status(400)
-        .json({ success: false, message: "Invalid profile ID format" });
-    }
-    // Pass other errors to the central error handler
     next(err);
   }
 });
 
-// Update Profile by ID (Protected - for admin or owner?)
-// Keep this only if admin functionality is intended
-router.put("/:id", authMiddleware, async (req, res, next) => {
+// Unlock a profile's email and mobile number (as far as its privacy settings
+// share them) with one of the viewer's plan contact views. Connections and
+// profiles unlocked before do not use one.
+router.post("/:id/contact", authMiddleware, async (req, res, next) => {
   try {
-    // Add proper admin check or ensure this matches /me logic if only self-update allowed
-    if (req.user.userId !== req.params.id /* && !req.user.isAdmin */) {
-      return res.status(403).json({ message: "Unauthorized action" });
+    const profile = await findVisibleProfile(req);
+    if (!profile) {
+      return next(new NotFoundError("Profile not found"));
     }
-    const updatedData = req.body;
-    const updatedProfile = await User.findByIdAndUpdate(
-      req.params.id,
-      updatedData,
-      { new: true }
-    ).select("-password");
-    if (!updatedProfile)
-      return res.status(404).json({ message: "Profile not found" });
-    res.json(updatedProfile);
-  } catch (err) {
-    if (err.name === "CastError") {
-      return res.status(400).json({ message: "Invalid profile ID format" });
+    if (profile._id.equals(req.user.userId)) {
+      return next(new ValidationError("These are your own contact details."));
     }
+    if (req.user.role !== "admin") {
+      const connected = await Interest.areConnected(
+        req.user.userId,
+        profile._id
+      );
+      if (!sharesContacts(profile, connected ? "connections" : "members")) {
+        return next(
+          new ForbiddenError("This member does not share contact details.", {
+            code: "CONTACT_HIDDEN",
+          })
+        );
+      }
+      if (!connected) await useContactView(req.user.userId, profile._id);
+    }
+
+    const { email, mobileNumber } = await serializeProfile(profile, req.user);
+    res.json({
+      success: true,
+      contact: { email, mobileNumber },
+      membership: await describeMembership(req.user.userId),
+    });
+  } catch (err) {
     next(err);
   }
 });
 
+// Update Profile by ID - only the owner's own profile, same as PATCH /me.
+// Admins edit other users through PATCH /api/admin/users/:id.
+router.put(
+  "/:id",
+  authMiddleware,
+  (req, res, next) => {
+    if (String(req.user.userId) !== req.params.id) {
+      return next(new ForbiddenError("Unauthorized action"));
+    }
+    next();
+  },
+  validateSchema("updateProfile"),
+  (req, res, next) =>
+    updateOwnProfile(
+      req,
+      res,
+      next,
+      resolveUpdatePaths(req.body, PROFILE_FIELDS),
+      presentOwnProfile
+    )
+);
+
 module.exports = router;
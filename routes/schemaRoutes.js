@@ -0,0 +1,31 @@
+// routes/schemaRoutes.js
+// The request schemas the API validates against (utils/validationSchemas.js),
+// for clients to build and check their forms with. Public: registration needs
+// them before there is a token.
+const express = require("express");
+const router = express.Router();
+const {
+  SCHEMAS,
+  MOBILE_FORMATS,
+  DEFAULT_MOBILE_FORMAT,
+} = require("../utils/validationSchemas");
+const { NotFoundError } = require("../utils/errorHandler");
+
+// Every schema, plus the mobile number formats "mobile" fields use
+router.get("/", (req, res) => {
+  res.json({
+    success: true,
+    schemas: SCHEMAS,
+    mobileFormats: { ...MOBILE_FORMATS, default: DEFAULT_MOBILE_FORMAT },
+  });
+});
+
+// One schema by name, e.g. /api/schemas/register
+router.get("/:name", (req, res, next) => {
+  if (!Object.hasOwn(SCHEMAS, req.params.name)) {
+    return next(new NotFoundError(`No schema named ${req.params.name}`));
+  }
+  res.json({ success: true, schema: SCHEMAS[req.params.name] });
+});
+
+module.exports = router;
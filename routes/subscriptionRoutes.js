@@ -0,0 +1,170 @@
+// routes/subscriptionRoutes.js
+// Membership plans: the plans on offer, the member's own plan, checkouts with
+// the payment provider (utils/payments) and the provider's webhook.
+const express = require("express");
+const router = express.Router();
+const { validateSchema } = require("../middleware/validate");
+const User = require("../models/User");
+const Payment = require("../models/Payment");
+const authMiddleware = require("../middleware/authMiddleware");
+const { FREE_PLAN, PLANS, getPlan } = require("../utils/plans");
+const {
+  getPaymentProvider,
+  isMockPaymentsEnabled,
+} = require("../utils/payments");
+const { describeMembership, settlePayment } = require("../utils/subscriptions");
+const { recordAudit } = require("../utils/audit");
+const { NotFoundError } = require("../utils/errorHandler");
+
+// Fields of a payment shown to its member
+const PAYMENT_FIELDS =
+  "plan amount currency provider status paidAt subscription createdAt";
+
+// Audits the plan a settled checkout started or extended
+const auditPurchase = (req, payment) =>
+  recordAudit(req, {
+    action: "subscription.purchase",
+    actor: { userId: payment.user, role: "user" },
+    target: payment.user,
+    metadata: {
+      plan: payment.plan,
+      paymentId: payment._id,
+      amount: payment.amount,
+      currency: payment.currency,
+    },
+  });
+
+// Plans on offer, and what members get without one. Public.
+router.get("/plans", (req, res) => {
+  res.json({ success: true, plans: Object.values(PLANS), free: FREE_PLAN });
+});
+
+// Payment provider webhook. app.js keeps this body raw, as providers sign
+// the exact bytes they send.
+router.post("/webhook", async (req, res, next) => {
+  try {
+    const provider = getPaymentProvider();
+    const event = provider.parseWebhook({
+      rawBody: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+      headers: req.headers,
+    });
+    const { payment, settled } = await settlePayment(provider.name, event);
+    if (settled && payment.status === "paid") await auditPurchase(req, payment);
+    res.json({ success: true, received: true });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.use(authMiddleware);
+
+// The member's plan, entitlements and what is left of them
+router.get("/me", async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      membership: await describeMembership(req.user.userId),
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The member's payments, newest first
+router.get("/payments", async (req, res, next) => {
+  try {
+    const payments = await Payment.find({ user: req.user.userId })
+      .select(PAYMENT_FIELDS)
+      .sort({ createdAt: -1 });
+    res.json({ success: true, payments });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Start paying for a plan: body { plan }. Send the member to checkoutUrl;
+// the plan starts (or, for their current plan, is extended) once the
+// provider reports the payment through the webhook.
+router.post("/checkout", validateSchema("checkout"), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select("email");
+    if (!user) {
+      return next(new NotFoundError("User not found"));
+    }
+    const plan = getPlan(req.body.plan);
+    const provider = getPaymentProvider();
+    const payment = await Payment.create({
+      user: user._id,
+      plan: plan.key,
+      amount: plan.price.amount,
+      currency: plan.price.currency,
+      provider: provider.name,
+    });
+
+    const returnUrl = `${
+      process.env.FRONTEND_URL || "http://localhost:5173"
+    }/membership?payment=${payment._id}`;
+    const { providerPaymentId, checkoutUrl } = await provider.createCheckout({
+      paymentId: String(payment._id),
+      amount: payment.amount,
+      currency: payment.currency,
+      description: `${plan.name} membership (${plan.durationDays} days)`,
+      email: user.email,
+      successUrl: returnUrl,
+      cancelUrl: `${returnUrl}&cancelled=true`,
+    });
+    payment.providerPaymentId = providerPaymentId;
+    await payment.save();
+
+    res.status(201).json({
+      success: true,
+      paymentId: payment._id,
+      checkoutUrl,
+      amount: payment.amount,
+      currency: payment.currency,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mock provider only: settle one of the member's checkouts as if they had
+// paid (or failed or cancelled) on the provider's page. Body { outcome }. Only
+// mounted when the mock provider is enabled.
+if (isMockPaymentsEnabled()) {
+  router.post(
+    "/mock-checkout/:id",
+    validateSchema("mockCheckout"),
+    async (req, res, next) => {
+      try {
+        const provider = getPaymentProvider();
+        const payment = await Payment.findOne({
+          provider: provider.name,
+          providerPaymentId: req.params.id,
+          user: req.user.userId,
+        });
+        if (!payment) {
+          return next(new NotFoundError("Checkout not found"));
+        }
+
+        const webhook = provider.buildWebhook(req.params.id, req.body.outcome);
+        const { payment: settledPayment, settled } = await settlePayment(
+          provider.name,
+          provider.parseWebhook(webhook)
+        );
+        if (settled && settledPayment.status === "paid") {
+          await auditPurchase(req, settledPayment);
+        }
+        res.json({
+          success: true,
+          payment: { id: settledPayment._id, status: settledPayment.status },
+          membership: await describeMembership(req.user.userId),
+        });
+      } catch (err) {
+        next(err);
+      }
+    }
+  );
+}
+
+module.exports = router;
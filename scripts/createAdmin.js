@@ -0,0 +1,51 @@
+// scripts/createAdmin.js
+// Promotes an existing user to admin, or creates a new admin account.
+// Usage: npm run create-admin -- <email> [password] [mobileNumber]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config();
+
+const run = async () => {
+  const [email, password, mobileNumber] = process.argv.slice(2);
+  if (!email) {
+    console.error("Usage: npm run create-admin -- <email> [password] [mobile]");
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let user = await User.findOne({ email: email.toLowerCase() });
+  if (user) {
+    user.role = "admin";
+    if (password) user.password = password; // Hashed by pre-save hook
+    await user.save();
+    console.log(`Promoted ${user.email} to admin.`);
+  } else {
+    if (!password || !mobileNumber) {
+      console.error("A new admin account needs a password and mobile number.");
+      process.exit(1);
+    }
+    user = await User.create({
+      email,
+      password, // Hashed by pre-save hook
+      mobileNumber,
+      name: "Administrator",
+      gender: "Other",
+      dateOfBirth: new Date("1970-01-01"),
+      city: "N/A",
+      state: "N/A",
+      role: "admin",
+      isVerified: true,
+    });
+    console.log(`Created admin account ${user.email}.`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("create-admin failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+// scripts/migrateStorage.js
+// Moves uploaded images referenced by users from local disk (uploads/
+// profile-pics and the older uploads/profile-pictures) into the storage
+// backend selected by STORAGE_DRIVER, and rewrites the stored URLs.
+// Usage: npm run migrate-storage -- [--dry-run] [--delete-source]
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const User = require("../models/User");
+const { getStorage } = require("../utils/storage");
+const { IMAGE_SIZES } = require("../utils/imagePipeline");
+
+const UPLOADS_ROOT = path.join(__dirname, "../uploads");
+const TARGET_DIR = "profile-pics";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const deleteSource = args.includes("--delete-source");
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+const isLocalUrl = (url) =>
+  typeof url === "string" && url.startsWith("/uploads/");
+
+const run = async () => {
+  const storage = getStorage();
+  console.log(
+    `Migrating uploads to the "${storage.name}" storage driver${
+      dryRun ? " (dry run)" : ""
+    }.`
+  );
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const migrated = new Map(); // old URL -> new URL, shared across users
+  const sourcesToDelete = new Set();
+  const stats = { users: 0, files: 0, missing: 0, failed: 0 };
+
+  const migrateUrl = async (url) => {
+    if (!isLocalUrl(url)) return url;
+    if (migrated.has(url)) return migrated.get(url);
+
+    const sourcePath = path.resolve(
+      UPLOADS_ROOT,
+      url.slice("/uploads/".length)
+    );
+    if (!sourcePath.startsWith(UPLOADS_ROOT + path.sep)) return url;
+    const key = `${TARGET_DIR}/${path.basename(url)}`;
+    const newUrl = storage.publicUrl(key);
+
+    if (newUrl === url) {
+      migrated.set(url, url); // Already where it belongs
+      return url;
+    }
+    if (!fs.existsSync(sourcePath)) {
+      console.warn(`  missing file for ${url}, leaving as is`);
+      stats.missing += 1;
+      return url;
+    }
+
+    try {
+      if (!dryRun) {
+        const data = await fs.promises.readFile(sourcePath);
+        const contentType =
+          CONTENT_TYPES[path.extname(sourcePath).toLowerCase()] ||
+          "application/octet-stream";
+        await storage.put(key, data, contentType);
+      }
+      stats.files += 1;
+      sourcesToDelete.add(sourcePath);
+      migrated.set(url, newUrl);
+      return newUrl;
+    } catch (err) {
+      console.error(`  failed to copy ${url}:`, err.message);
+      stats.failed += 1;
+      return url;
+    }
+  };
+
+  // Only the URLs move; moderation fields (status, reasonCode, ...) are kept
+  const migrateSizes = async (sizes) => {
+    if (!sizes) return sizes;
+    const result = { ...sizes };
+    for (const size of Object.keys(IMAGE_SIZES)) {
+      if (sizes[size]) result[size] = await migrateUrl(sizes[size]);
+    }
+    return result;
+  };
+
+  const cursor = User.find({
+    $or: [{ profilePicture: /^\/uploads\// }, { photos: /^\/uploads\// }],
+  })
+    .select("profilePicture profilePictureSizes photos photoSizes")
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    const update = {
+      profilePicture: await migrateUrl(user.profilePicture),
+      photos: [],
+      photoSizes: [],
+    };
+    if (user.profilePictureSizes) {
+      update.profilePictureSizes = await migrateSizes(user.profilePictureSizes);
+    }
+    for (const photo of user.photos || []) {
+      update.photos.push(await migrateUrl(photo));
+    }
+    for (const sizes of user.photoSizes || []) {
+      update.photoSizes.push(await migrateSizes(sizes));
+    }
+
+    if (!dryRun) {
+      await User.updateOne({ _id: user._id }, { $set: update });
+    }
+    stats.users += 1;
+    console.log(
+      `  user ${user._id}: ${update.profilePicture || "(no picture)"}`
+    );
+  }
+
+  if (deleteSource && !dryRun) {
+    for (const sourcePath of sourcesToDelete) {
+      await fs.promises.unlink(sourcePath).catch(() => {});
+    }
+  }
+
+  console.log(
+    `Done. Users updated: ${stats.users}, files copied: ${stats.files}, missing: ${stats.missing}, failed: ${stats.failed}.`
+  );
+  if (!deleteSource && stats.files > 0 && !dryRun) {
+    console.log(
+      "Source files were kept; rerun with --delete-source to remove them."
+    );
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("migrate-storage failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+// scripts/normalizeMobileNumbers.js
+// Rewrites mobile numbers stored before numbers were kept in E.164 (see
+// utils/mobile.js), so duplicate checks compare like with like. Numbers that
+// are not valid for the user's country, or that another account already has
+// in E.164, are reported and left as they are.
+// Usage: npm run normalize-mobiles -- [--dry-run]
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const User = require("../models/User");
+const { normalizeMobile } = require("../utils/mobile");
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+const run = async () => {
+  console.log(`Normalizing mobile numbers${dryRun ? " (dry run)" : ""}.`);
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const stats = { updated: 0, invalid: 0, duplicate: 0 };
+  const seen = new Map(); // E.164 number -> id of the user who has it
+
+  // Oldest first: the account that had a number first keeps it
+  const cursor = User.find({ mobileNumber: { $exists: true } })
+    .select("mobileNumber country")
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const user of cursor) {
+    const normalized = normalizeMobile(user.mobileNumber, user.country);
+    if (!normalized) {
+      console.warn(`  user ${user._id}: invalid number, left as is`);
+      stats.invalid += 1;
+      continue;
+    }
+    const owner = seen.get(normalized);
+    if (owner) {
+      console.warn(
+        `  user ${user._id}: ${normalized} also belongs to user ${owner}, left as is`
+      );
+      stats.duplicate += 1;
+      continue;
+    }
+    seen.set(normalized, user._id);
+    if (normalized === user.mobileNumber) continue;
+
+    if (!dryRun) {
+      try {
+        await User.updateOne(
+          { _id: user._id },
+          { $set: { mobileNumber: normalized } }
+        );
+      } catch (err) {
+        // Another account's number is stored in E.164 and sorts later
+        if (err.code !== 11000) throw err;
+        console.warn(
+          `  user ${user._id}: ${normalized} is already taken, left as is`
+        );
+        stats.duplicate += 1;
+        continue;
+      }
+    }
+    stats.updated += 1;
+  }
+
+  console.log(
+    `Done. Updated: ${stats.updated}, invalid: ${stats.invalid}, duplicates: ${stats.duplicate}.`
+  );
+  await mongoose.disconnect();
+};
+
+run().catch((err) => {
+  console.error("normalize-mobiles failed:", err.message);
+  process.exit(1);
+});
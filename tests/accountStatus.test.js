@@ -0,0 +1,127 @@
+// Admins deactivate, suspend and reactivate accounts; inactive accounts
+// cannot sign in and drop out of profile listings
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createApprovedUser,
+  createAdmin,
+  login,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let admin;
+
+beforeEach(async () => {
+  const user = await createAdmin();
+  admin = { user, ...(await signIn(user)) };
+});
+
+const changeStatus = (userId, body) =>
+  request(app)
+    .post(`/api/admin/users/${userId}/status`)
+    .set(bearer(admin.token))
+    .send(body);
+
+const listedIds = async () => {
+  const res = await request(app).get("/api/profiles");
+  return res.body.profiles.map((profile) => String(profile._id));
+};
+
+describe("account status", () => {
+  test("a deactivated member is signed out, refused and unlisted", async () => {
+    const user = await createApprovedUser();
+    const { token } = await signIn(user);
+    expect(await listedIds()).toEqual([String(user._id)]);
+
+    const res = await changeStatus(user._id, {
+      action: "deactivate",
+      reason: "Fake profile",
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.accountStatus).toMatchObject({
+      status: "deactivated",
+      reason: "Fake profile",
+    });
+
+    const me = await request(app).get("/api/profiles/me").set(bearer(token));
+    expect(me.status).toBe(401);
+    const refused = await login(user);
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe("ACCOUNT_INACTIVE");
+    expect(await listedIds()).toEqual([]);
+
+    expect((await changeStatus(user._id, { action: "activate" })).status).toBe(
+      200
+    );
+    expect((await login(user)).status).toBe(200);
+    expect(await listedIds()).toEqual([String(user._id)]);
+  });
+
+  test("a suspension needs a future date and ends by itself", async () => {
+    const user = await createApprovedUser();
+
+    const undated = await changeStatus(user._id, { action: "suspend" });
+    expect(undated.status).toBe(400);
+    expect(undated.body.errors[0].field).toBe("until");
+    const past = await changeStatus(user._id, {
+      action: "suspend",
+      until: new Date(Date.now() - DAY_MS).toISOString(),
+    });
+    expect(past.status).toBe(400);
+
+    const until = new Date(Date.now() + DAY_MS);
+    const res = await changeStatus(user._id, {
+      action: "suspend",
+      until: until.toISOString(),
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.accountStatus.status).toBe("suspended");
+    expect((await login(user)).body.message).toBe(
+      `Account is suspended until ${until.toISOString()}.`
+    );
+
+    // Once the date has passed the account is active again
+    await User.updateOne(
+      { _id: user._id },
+      { suspendedUntil: new Date(Date.now() - 1000) }
+    );
+    expect((await login(user)).status).toBe(200);
+    expect(await listedIds()).toEqual([String(user._id)]);
+  });
+
+  test("bulk actions report users they did not find", async () => {
+    const users = await Promise.all([
+      createApprovedUser(),
+      createApprovedUser(),
+    ]);
+    const missing = "64b000000000000000000000";
+
+    const res = await request(app)
+      .post("/api/admin/users/status")
+      .set(bearer(admin.token))
+      .send({
+        userIds: [...users.map((user) => String(user._id)), missing],
+        action: "deactivate",
+      });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ matched: 2, modified: 2, notFound: 1 });
+
+    const deactivated = await request(app)
+      .get("/api/admin/users?status=deactivated")
+      .set(bearer(admin.token));
+    expect(deactivated.body.totalUsers).toBe(2);
+  });
+
+  test("admins cannot deactivate themselves", async () => {
+    const res = await changeStatus(admin.user._id, { action: "deactivate" });
+    expect(res.status).toBe(400);
+    expect((await User.findById(admin.user._id)).isActive).toBe(true);
+  });
+});
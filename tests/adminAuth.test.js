@@ -0,0 +1,108 @@
+// Admin routes are reached with a JWT carrying role "admin" and a live session
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const app = require("../app");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createUser,
+  createAdmin,
+  adminLogin,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+describe("admin authentication", () => {
+  test("an admin signs in and reaches admin routes with the token", async () => {
+    const admin = await createAdmin();
+    const res = await adminLogin(admin);
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+
+    const users = await request(app)
+      .get("/api/admin/users")
+      .set(bearer(res.body.token));
+    expect(users.status).toBe(200);
+  });
+
+  test("admin routes refuse requests without a token", async () => {
+    const res = await request(app).get("/api/admin/users");
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("UNAUTHENTICATED");
+  });
+
+  test("the old X-Admin-Request header grants nothing", async () => {
+    const res = await request(app)
+      .get("/api/admin/users")
+      .set("X-Admin-Request", "true");
+    expect(res.status).toBe(401);
+  });
+
+  test("a member's token is forbidden", async () => {
+    const member = await createUser();
+    const { token } = await signIn(member);
+    const res = await request(app).get("/api/admin/users").set(bearer(token));
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("FORBIDDEN");
+  });
+
+  test("admin login refuses members and wrong passwords alike", async () => {
+    const member = await createUser();
+    const admin = await createAdmin();
+
+    const asMember = await adminLogin(member);
+    const wrongPassword = await adminLogin(admin, "not-the-password");
+    expect(asMember.status).toBe(401);
+    expect(wrongPassword.status).toBe(401);
+    expect(asMember.body.message).toBe(wrongPassword.body.message);
+  });
+
+  test("tokens signed with another secret are refused", async () => {
+    const admin = await createAdmin();
+    const forged = jwt.sign(
+      { userId: admin._id, role: "admin", sid: admin._id },
+      "some-other-secret"
+    );
+    const res = await request(app).get("/api/admin/users").set(bearer(forged));
+    expect(res.status).toBe(401);
+  });
+
+  test("tokens without a session are refused", async () => {
+    const member = await createUser();
+    const noSession = jwt.sign(
+      { userId: member._id, role: "admin" },
+      process.env.JWT_SECRET
+    );
+    const res = await request(app)
+      .get("/api/admin/users")
+      .set(bearer(noSession));
+    expect(res.status).toBe(401);
+  });
+
+  test("an admin token stops working after logout", async () => {
+    const admin = await createAdmin();
+    const { token } = await signIn(admin);
+
+    const logout = await request(app)
+      .post("/api/auth/logout")
+      .set(bearer(token));
+    expect(logout.status).toBe(200);
+
+    const res = await request(app).get("/api/admin/users").set(bearer(token));
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("admin picture uploads", () => {
+  test("the user to upload for must be a valid ID", async () => {
+    const { token } = await signIn(await createAdmin());
+    const res = await request(app)
+      .post("/api/profiles/me/upload-picture")
+      .set(bearer(token))
+      .field("userId", "not-an-id");
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.errors[0].field).toBe("userId");
+  });
+});
@@ -0,0 +1,112 @@
+// PATCH /api/admin/users/:id edits whitelisted fields, merging nested ones
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createApprovedUser,
+  createAdmin,
+  login,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+let admin;
+
+beforeEach(async () => {
+  const user = await createAdmin();
+  admin = { user, ...(await signIn(user)) };
+});
+
+const editUser = (userId, body) =>
+  request(app)
+    .patch(`/api/admin/users/${userId}`)
+    .set(bearer(admin.token))
+    .send(body);
+
+describe("admin user edits", () => {
+  test("changes are applied, merged and reported", async () => {
+    const user = await createApprovedUser({
+      partnerPreferences: { religion: ["Hindu"], ageRange: { min: 25 } },
+    });
+
+    const res = await editUser(user._id, {
+      city: "Nagpur",
+      partnerPreferences: { ageRange: { max: 32 } },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.changedFields.sort()).toEqual([
+      "city",
+      "partnerPreferences.ageRange.max",
+    ]);
+    expect(res.body.changes.city).toEqual({ from: "Pune", to: "Nagpur" });
+
+    const stored = await User.findById(user._id);
+    expect(stored.partnerPreferences.ageRange.toObject()).toEqual({
+      min: 25,
+      max: 32,
+    });
+    expect(stored.partnerPreferences.religion).toEqual(["Hindu"]);
+    // Admin corrections skip the review queue
+    expect(stored.moderation.status).toBe("approved");
+  });
+
+  test("fields outside the whitelist are refused, naming each", async () => {
+    const user = await createApprovedUser();
+
+    const res = await editUser(user._id, {
+      city: "Nagpur",
+      isActive: false,
+      moderation: { status: "rejected" },
+      nickname: "Pri",
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+      "isActive",
+      "moderation.status",
+      "nickname",
+    ]);
+    // Nothing is applied
+    expect((await User.findById(user._id)).city).toBe("Pune");
+  });
+
+  test("values are validated against the model", async () => {
+    const user = await createApprovedUser();
+
+    const res = await editUser(user._id, { gender: "Unknown" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe("gender");
+  });
+
+  test("a new password ends the member's sessions and is never echoed", async () => {
+    const user = await createApprovedUser();
+    const { token } = await signIn(user);
+
+    const res = await editUser(user._id, { password: "brand-new-pass-77" });
+    expect(res.status).toBe(200);
+    expect(res.body.changes.password).toEqual({ redacted: true });
+    expect(res.body.user).not.toHaveProperty("password");
+
+    const me = await request(app).get("/api/profiles/me").set(bearer(token));
+    expect(me.status).toBe(401);
+    expect((await login(user)).status).toBe(401);
+    expect((await login(user, "brand-new-pass-77")).status).toBe(200);
+  });
+
+  test("admins cannot change their own role", async () => {
+    const res = await editUser(admin.user._id, { role: "user" });
+    expect(res.status).toBe(400);
+    expect((await User.findById(admin.user._id)).role).toBe("admin");
+  });
+
+  test("unchanged values report nothing to update", async () => {
+    const user = await createApprovedUser();
+    const res = await editUser(user._id, { city: "Pune" });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Nothing to update");
+    expect(res.body.changedFields).toEqual([]);
+  });
+});
@@ -0,0 +1,148 @@
+// Admin dashboard reports under /api/admin/stats
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createUser,
+  createApprovedUser,
+  createAdmin,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+let admin;
+
+beforeEach(async () => {
+  const user = await createAdmin();
+  admin = { user, ...(await signIn(user)) };
+});
+
+// Reports are cached per process; refresh=true unless a test says otherwise
+const stats = (path, params = {}) =>
+  request(app)
+    .get(`/api/admin/stats${path}`)
+    .query({ refresh: true, ...params })
+    .set(bearer(admin.token));
+
+// isVerified follows these two (see models/User.js)
+const verified = { emailVerified: true, mobileVerified: true };
+
+// createdAt is immutable through the model
+const registeredOn = (user, date) =>
+  User.collection.updateOne(
+    { _id: user._id },
+    { $set: { createdAt: new Date(date) } }
+  );
+
+describe("admin analytics", () => {
+  test("the overview counts members by account status and verification", async () => {
+    await createUser(verified);
+    await createUser({ isActive: false });
+    await createUser({ suspendedUntil: new Date(Date.now() + 60 * 1000) });
+
+    const res = await stats("/");
+    expect(res.status).toBe(200);
+    // The admin is not a member
+    expect(res.body.totalUsers).toBe(3);
+    expect(res.body.accounts).toEqual({
+      active: 1,
+      inactive: 2,
+      deactivated: 1,
+      suspended: 1,
+    });
+    expect(res.body.verification).toMatchObject({
+      verified: 1,
+      unverified: 2,
+      emailVerified: 1,
+    });
+  });
+
+  test("reports are cached until refreshed", async () => {
+    const params = { from: "2020-01-01", refresh: false };
+    expect((await stats("/", params)).body.cached).toBe(false);
+    await createUser();
+
+    const cached = await stats("/", params);
+    expect(cached.body.cached).toBe(true);
+    expect(cached.body.totalUsers).toBe(0);
+
+    const fresh = await stats("/", { ...params, refresh: true });
+    expect(fresh.body.cached).toBe(false);
+    expect(fresh.body.totalUsers).toBe(1);
+  });
+
+  test("registrations are counted per week, empty weeks included", async () => {
+    const users = await Promise.all([createUser(), createUser(), createUser()]);
+    await registeredOn(users[0], "2024-03-04T10:00:00Z");
+    await registeredOn(users[1], "2024-03-10T23:00:00Z");
+    await registeredOn(users[2], "2024-03-11T00:00:00Z");
+
+    const res = await stats("/registrations", {
+      from: "2024-03-01",
+      to: "2024-03-20",
+      bucket: "week",
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(3);
+    expect(
+      res.body.series.map(({ start, count }) => [start.slice(0, 10), count])
+    ).toEqual([
+      ["2024-02-26", 0],
+      ["2024-03-04", 2],
+      ["2024-03-11", 1],
+      ["2024-03-18", 0],
+    ]);
+  });
+
+  test("bad ranges and buckets are refused", async () => {
+    expect((await stats("/registrations", { bucket: "hour" })).status).toBe(
+      400
+    );
+    expect(
+      (await stats("/", { from: "2024-03-02", to: "2024-03-01" })).status
+    ).toBe(400);
+    const tooLong = await stats("/registrations", {
+      from: "2000-01-01",
+      to: "2024-01-01",
+    });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.code).toBe("VALIDATION_FAILED");
+  });
+
+  test("distributions count empty values under null", async () => {
+    await createUser({ religion: "Hindu" });
+    await createUser({ religion: "Hindu", city: "Mumbai" });
+    await createUser({ religion: "" });
+
+    const res = await stats("/distributions");
+    expect(res.status).toBe(200);
+    expect(res.body.religion).toEqual([
+      { value: "Hindu", count: 2 },
+      { value: null, count: 1 },
+    ]);
+    expect(res.body.city).toEqual([
+      { value: "Pune", count: 2 },
+      { value: "Mumbai", count: 1 },
+    ]);
+    expect(res.body.gender).toEqual([{ value: "Female", count: 3 }]);
+  });
+
+  test("the funnel counts members reaching each step in order", async () => {
+    await createUser();
+    await createUser({ ...verified, bio: "Hello" });
+    await createApprovedUser({ ...verified, profilePicture: "/a.webp" });
+
+    const res = await stats("/funnel");
+    expect(res.status).toBe(200);
+    const steps = Object.fromEntries(
+      res.body.steps.map(({ step, count }) => [step, count])
+    );
+    expect(steps).toMatchObject({ registered: 3, verified: 2, photo: 1 });
+    // A step counts only members who reached every step before it
+    expect(steps.about).toBe(0);
+    expect(res.body.steps[1].percentOfRegistered).toBe(66.7);
+  });
+});
@@ -0,0 +1,106 @@
+// Admin and sensitive account actions leave append-only audit log entries
+const request = require("supertest");
+const app = require("../app");
+const AuditLog = require("../models/AuditLog");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  PASSWORD,
+  createApprovedUser,
+  createAdmin,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+let admin;
+
+beforeEach(async () => {
+  const user = await createAdmin();
+  admin = { user, ...(await signIn(user)) };
+});
+
+const auditLog = async (params = {}) => {
+  const res = await request(app)
+    .get("/api/admin/audit")
+    .query(params)
+    .set(bearer(admin.token));
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+describe("audit log", () => {
+  test("admin edits are recorded with their changes, secrets redacted", async () => {
+    const user = await createApprovedUser();
+    await request(app)
+      .patch(`/api/admin/users/${user._id}`)
+      .set(bearer(admin.token))
+      .send({ city: "Nagpur", password: "brand-new-pass-77" });
+
+    const { entries, total } = await auditLog({ action: "user.update" });
+    expect(total).toBe(1);
+    const [entry] = entries;
+    expect(String(entry.actor)).toBe(String(admin.user._id));
+    expect(entry.actorRole).toBe("admin");
+    expect(entry.targetUser.email).toBe(user.email);
+    expect(entry.changes).toEqual(
+      expect.arrayContaining([
+        { field: "city", from: "Pune", to: "Nagpur" },
+        { field: "password", redacted: true },
+      ])
+    );
+  });
+
+  test("members' own sensitive actions are recorded too", async () => {
+    const user = await createApprovedUser();
+    const { token } = await signIn(user);
+    await request(app)
+      .post("/api/auth/change-password")
+      .set(bearer(token))
+      .send({ currentPassword: PASSWORD, newPassword: "brand-new-pass-77" });
+
+    const { entries } = await auditLog({ target: String(user._id) });
+    expect(entries.map((entry) => entry.action)).toEqual([
+      "auth.password_change",
+    ]);
+    expect(String(entries[0].actor)).toBe(String(user._id));
+  });
+
+  test("entries filter by several actions and by actor", async () => {
+    const user = await createApprovedUser();
+    await request(app)
+      .post(`/api/admin/users/${user._id}/status`)
+      .set(bearer(admin.token))
+      .send({ action: "deactivate" });
+
+    const { entries } = await auditLog({
+      action: "admin.login,user.deactivate",
+      actor: String(admin.user._id),
+    });
+    // Newest first
+    expect(entries.map((entry) => entry.action)).toEqual([
+      "user.deactivate",
+      "admin.login",
+    ]);
+    expect(entries[0].changes).toContainEqual({
+      field: "isActive",
+      from: true,
+      to: false,
+    });
+  });
+
+  test("only admins read the log", async () => {
+    const user = await createApprovedUser();
+    const { token } = await signIn(user);
+    const res = await request(app).get("/api/admin/audit").set(bearer(token));
+    expect(res.status).toBe(403);
+  });
+
+  test("entries cannot be changed or deleted", async () => {
+    await expect(
+      AuditLog.updateMany({}, { action: "tampered" })
+    ).rejects.toThrow("Audit log entries cannot be changed or deleted");
+    await expect(AuditLog.deleteMany({})).rejects.toThrow();
+    expect((await auditLog()).total).toBe(1);
+  });
+});
@@ -0,0 +1,117 @@
+// Every error reaches the client in one shape: { success: false, code,
+// message, errors?, details? }
+const express = require("express");
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const {
+  NotFoundError,
+  RateLimitError,
+  errorMiddleware,
+} = require("../utils/errorHandler");
+
+// App whose only route fails with the given error
+const failingWith = (error) => {
+  const probe = express();
+  probe.get("/fail", (req, res, next) => next(error));
+  probe.use(errorMiddleware);
+  return request(probe).get("/fail");
+};
+
+describe("error responses", () => {
+  test("unknown API routes are 404 NOT_FOUND", async () => {
+    const res = await request(app).get("/api/nowhere");
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({
+      success: false,
+      code: "NOT_FOUND",
+      message: "No route for GET /api/nowhere",
+    });
+  });
+
+  test("a body that is not JSON is a validation error", async () => {
+    const res = await request(app)
+      .post("/api/auth/login")
+      .set("Content-Type", "application/json")
+      .send('{"email": ');
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      success: false,
+      code: "VALIDATION_FAILED",
+      message: "Request body is not valid JSON",
+    });
+  });
+
+  test("missing credentials are 401 UNAUTHENTICATED", async () => {
+    const res = await request(app).get("/api/profiles/me");
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ success: false, code: "UNAUTHENTICATED" });
+  });
+
+  test("typed errors keep their status, code and details", async () => {
+    const res = await failingWith(
+      new NotFoundError("Plan not found", {
+        code: "PLAN_NOT_FOUND",
+        details: { plan: "diamond" },
+      })
+    );
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({
+      success: false,
+      code: "PLAN_NOT_FOUND",
+      message: "Plan not found",
+      details: { plan: "diamond" },
+    });
+  });
+
+  test("rate limits send Retry-After", async () => {
+    const res = await failingWith(new RateLimitError("Slow down", 30));
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBe("30");
+    expect(res.body.code).toBe("RATE_LIMITED");
+    expect(res.body.details).toEqual({ retryAfter: 30 });
+  });
+
+  test("Mongoose validation errors list each field", async () => {
+    const invalid = new User({ gender: "Unknown", heightCm: "tall" });
+    const res = await failingWith(invalid.validateSync());
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    const fields = res.body.errors.map((error) => error.field);
+    expect(fields).toEqual(expect.arrayContaining(["gender", "heightCm"]));
+    // Casting details are not for end users
+    const height = res.body.errors.find((e) => e.field === "heightCm");
+    expect(height.message).toBe("Must be a valid number");
+  });
+
+  test("duplicate keys are 409 CONFLICT naming the field", async () => {
+    const duplicate = Object.assign(new Error("E11000 duplicate key"), {
+      code: 11000,
+      keyValue: { email: "taken@example.com" },
+    });
+    const res = await failingWith(duplicate);
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      success: false,
+      code: "CONFLICT",
+      message: "Another account already uses this email.",
+      errors: [{ field: "email", message: "Already in use" }],
+    });
+  });
+
+  test("unexpected errors are a generic 500, details only logged", async () => {
+    const log = jest.spyOn(console, "error").mockImplementation(() => {});
+    try {
+      const res = await failingWith(new Error("connection string leaked"));
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({
+        success: false,
+        code: "INTERNAL_ERROR",
+        message: "Something went wrong. Please try again later.",
+      });
+      expect(log).toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,166 @@
+// Photo gallery: upload, reorder, choose the primary photo and delete
+process.env.MAX_PROFILE_PHOTOS = "3";
+
+const request = require("supertest");
+const app = require("../app");
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { getStorage } = require("../utils/storage");
+const { useTestDatabase } = require("./helpers/db");
+const { testImage, removeUploads } = require("./helpers/images");
+const {
+  createUser,
+  createAdmin,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+afterAll(removeUploads);
+
+const GALLERY = "/api/profiles/me/photos";
+
+const createMember = async () => {
+  const user = await createUser();
+  return { user, ...(await signIn(user)) };
+};
+
+// Uploads `count` photos to the gallery at url
+const upload = async (token, count, url = GALLERY) => {
+  const req = request(app).post(url).set(bearer(token));
+  for (let i = 0; i < count; i += 1) {
+    req.attach("photos", await testImage(), `photo-${i}.jpg`);
+  }
+  return req;
+};
+
+// Signed URLs differ in their expiry; the path names the file
+const pathOf = (url) => url.split("?")[0];
+
+const isStored = (url) =>
+  getStorage()
+    .get(getStorage().keyFromUrl(url))
+    .then(
+      () => true,
+      () => false
+    );
+
+describe("photo gallery", () => {
+  test("uploaded photos are added and the first becomes the primary one", async () => {
+    const member = await createMember();
+
+    const res = await upload(member.token, 2);
+    expect(res.status).toBe(200);
+    expect(res.body.fileNames).toHaveLength(2);
+    expect(res.body.photoSizes.map((sizes) => sizes.status)).toEqual([
+      "pending",
+      "pending",
+    ]);
+    // URLs in responses are signed
+    expect(res.body.photos[0]).toMatch(/^\/api\/files\//);
+    expect(pathOf(res.body.profilePicture)).toBe(pathOf(res.body.photos[0]));
+  });
+
+  test("files that are not images are refused", async () => {
+    const member = await createMember();
+
+    const res = await request(app)
+      .post(GALLERY)
+      .set(bearer(member.token))
+      .attach("photos", Buffer.from("just some text"), {
+        filename: "holiday.jpg",
+        contentType: "image/jpeg",
+      });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe("photos");
+    const gallery = await request(app).get(GALLERY).set(bearer(member.token));
+    expect(gallery.body.fileNames).toEqual([]);
+  });
+
+  test("a gallery holds at most MAX_PROFILE_PHOTOS photos", async () => {
+    const member = await createMember();
+    expect((await upload(member.token, 3)).status).toBe(200);
+
+    const res = await upload(member.token, 1);
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain("at most 3 photos");
+  });
+
+  test("photos are reordered by file name", async () => {
+    const member = await createMember();
+    const { fileNames } = (await upload(member.token, 3)).body;
+    const reversed = [...fileNames].reverse();
+
+    const reorder = (order) =>
+      request(app)
+        .put(`${GALLERY}/order`)
+        .set(bearer(member.token))
+        .send({ order });
+    const res = await reorder(reversed);
+    expect(res.status).toBe(200);
+    expect(res.body.fileNames).toEqual(reversed);
+
+    expect((await reorder(fileNames.slice(1))).status).toBe(400);
+    const repeated = [fileNames[0], fileNames[0], fileNames[1]];
+    expect((await reorder(repeated)).status).toBe(400);
+  });
+
+  test("deleting the primary photo promotes the next and removes the files", async () => {
+    const member = await createMember();
+    const uploaded = (await upload(member.token, 2)).body;
+    const [first, second] = uploaded.fileNames;
+
+    const primary = await request(app)
+      .put(`${GALLERY}/${second}/primary`)
+      .set(bearer(member.token));
+    expect(primary.status).toBe(200);
+    expect(pathOf(primary.body.profilePicture)).toBe(
+      pathOf(primary.body.photos[1])
+    );
+
+    // Stored URLs, to check the files are gone afterwards
+    const stored = await User.findById(member.user._id);
+    const secondSizes = stored.photoSizes[1];
+
+    const res = await request(app)
+      .delete(`${GALLERY}/${second}`)
+      .set(bearer(member.token));
+    expect(res.status).toBe(200);
+    expect(res.body.fileNames).toEqual([first]);
+    expect(pathOf(res.body.profilePicture)).toBe(pathOf(res.body.photos[0]));
+    for (const size of ["thumb", "card", "full", "blur"]) {
+      expect(await isStored(secondSizes[size])).toBe(false);
+    }
+
+    const missing = await request(app)
+      .delete(`${GALLERY}/${second}`)
+      .set(bearer(member.token));
+    expect(missing.status).toBe(404);
+  });
+
+  test("admins manage galleries for members, approved and audited", async () => {
+    const admin = await createAdmin();
+    const { token } = await signIn(admin);
+    const member = await createMember();
+
+    const res = await upload(
+      token,
+      1,
+      `/api/admin/users/${member.user._id}/photos`
+    );
+    expect(res.status).toBe(200);
+    expect(res.body.photoSizes[0].status).toBe("approved");
+
+    const entry = await AuditLog.findOne({ action: "photo.upload" });
+    expect(String(entry.actor)).toBe(String(admin._id));
+    expect(String(entry.target)).toBe(String(member.user._id));
+
+    // Members cannot reach other galleries
+    const other = await upload(
+      member.token,
+      1,
+      `/api/admin/users/${admin._id}/photos`
+    );
+    expect(other.status).toBe(403);
+  });
+});
@@ -0,0 +1,47 @@
+// tests/helpers/db.js
+// A throwaway MongoDB for a test file: an in-memory server, or a fresh
+// database on the server MONGO_TEST_URI names. Collections are emptied after
+// every test.
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const useTestDatabase = () => {
+  let mongod;
+
+  beforeAll(async () => {
+    let uri = process.env.MONGO_TEST_URI;
+    if (!uri) {
+      mongod = await MongoMemoryServer.create();
+      uri = mongod.getUri();
+    }
+    await mongoose.connect(uri, {
+      dbName: `test-${crypto.randomBytes(6).toString("hex")}`,
+    });
+    // Unique indexes must exist before tests rely on them
+    await Promise.all(
+      Object.values(mongoose.models).map((model) => model.init())
+    );
+  });
+
+  // Skipped when beforeAll could not connect, so its error is the one shown
+  const isConnected = () => mongoose.connection.readyState === 1;
+
+  afterEach(async () => {
+    if (!isConnected()) return;
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(
+      collections.map((collection) => collection.deleteMany({}))
+    );
+  });
+
+  afterAll(async () => {
+    if (isConnected()) {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    }
+    if (mongod) await mongod.stop();
+  });
+};
+
+module.exports = { useTestDatabase };
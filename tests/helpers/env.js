@@ -0,0 +1,21 @@
+// tests/helpers/env.js
+// Environment for the test run, set before any app module reads it (jest
+// setupFiles).
+const os = require("os");
+const path = require("path");
+
+Object.assign(process.env, {
+  NODE_ENV: "test",
+  JWT_SECRET: "test-jwt-secret",
+  NOTIFY_TRANSPORT: "test", // Captured by tests/helpers/notifications.js
+  PAYMENT_PROVIDER: "mock",
+  PAYMENT_WEBHOOK_SECRET: "test-webhook-secret",
+  // Uploaded photos stay out of the repository's uploads/
+  UPLOADS_DIR: path.join(os.tmpdir(), `uploads-test-${process.pid}`),
+  // Tests sign in and fail checks far more often than people do
+  RATE_LIMIT_API: "100000",
+  RATE_LIMIT_AUTH: "100000",
+  RATE_LIMIT_LOGIN: "100000",
+  RATE_LIMIT_SIGNUP: "100000",
+  RATE_LIMIT_NOTIFY: "100000",
+});
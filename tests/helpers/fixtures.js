@@ -0,0 +1,72 @@
+// tests/helpers/fixtures.js
+// Users and sessions for tests, made the way the API makes them.
+const request = require("supertest");
+const app = require("../../app");
+const User = require("../../models/User");
+
+const PASSWORD = "correct-horse-42";
+
+let created = 0;
+
+/**
+ * Saves a member with every required field filled in. The password is
+ * PASSWORD unless overridden.
+ * @param {object} [overrides] - User fields.
+ */
+const createUser = (overrides = {}) => {
+  created += 1;
+  const n = String(created).padStart(5, "0");
+  return User.create({
+    name: "Test Member",
+    email: `member${n}@example.com`,
+    password: PASSWORD,
+    mobileNumber: `98765${n}`,
+    gender: "Female",
+    dateOfBirth: new Date("1995-05-20"),
+    city: "Pune",
+    state: "Maharashtra",
+    ...overrides,
+  });
+};
+
+// A member whose profile passed moderation, so other members can see it
+const createApprovedUser = (overrides = {}) =>
+  createUser({ moderation: { status: "approved" }, ...overrides });
+
+const createAdmin = (overrides = {}) =>
+  createUser({ name: "Test Admin", role: "admin", ...overrides });
+
+// POST /api/auth/login for the user
+const login = (user, password = PASSWORD) =>
+  request(app).post("/api/auth/login").send({ email: user.email, password });
+
+// POST /api/admin/auth/login for the user
+const adminLogin = (user, password = PASSWORD) =>
+  request(app)
+    .post("/api/admin/auth/login")
+    .send({ email: user.email, password });
+
+/**
+ * Signs the user in and returns the session's tokens.
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+const signIn = async (user) => {
+  const res = await (user.role === "admin" ? adminLogin(user) : login(user));
+  if (res.status !== 200) {
+    throw new Error(`Sign-in failed with ${res.status}: ${res.text}`);
+  }
+  return { token: res.body.token, refreshToken: res.body.refreshToken };
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  PASSWORD,
+  createUser,
+  createApprovedUser,
+  createAdmin,
+  login,
+  adminLogin,
+  signIn,
+  bearer,
+};
@@ -0,0 +1,20 @@
+// tests/helpers/images.js
+// Real images for upload tests, and cleanup of what uploads store.
+const fs = require("fs");
+const sharp = require("sharp");
+
+/**
+ * A solid-colour image of the given size.
+ * @param {string} [format] - jpeg, png, gif or webp.
+ * @returns {Promise<Buffer>}
+ */
+const testImage = (width = 400, height = 500, format = "jpeg") =>
+  sharp({ create: { width, height, channels: 3, background: "#a04060" } })
+    .toFormat(format)
+    .toBuffer();
+
+// Deletes everything stored under UPLOADS_DIR (see tests/helpers/env.js)
+const removeUploads = () =>
+  fs.promises.rm(process.env.UPLOADS_DIR, { recursive: true, force: true });
+
+module.exports = { testImage, removeUploads };
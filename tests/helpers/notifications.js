@@ -0,0 +1,19 @@
+// tests/helpers/notifications.js
+// Emails and SMS the app sends during a test, instead of printing them.
+const { registerTransport } = require("../../utils/notifier");
+
+const sent = [];
+registerTransport("test", {
+  send: async (message) => {
+    sent.push(message);
+  },
+});
+
+const clearNotifications = () => {
+  sent.length = 0;
+};
+
+// The latest message to an address or number, or undefined
+const lastSentTo = (to) => [...sent].reverse().find((m) => m.to === to);
+
+module.exports = { sent, clearNotifications, lastSentTo };
@@ -0,0 +1,102 @@
+// Uploaded images: checked by content, stripped of metadata, stored resized
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  detectImageType,
+  storeImage,
+  removeImage,
+} = require("../utils/imagePipeline");
+const { getStorage } = require("../utils/storage");
+
+afterAll(() =>
+  fs.promises.rm(process.env.UPLOADS_DIR, { recursive: true, force: true })
+);
+
+const image = (width, height, format = "jpeg") =>
+  sharp({
+    create: { width, height, channels: 3, background: "#a04060" },
+  })
+    .toFormat(format)
+    .toBuffer();
+
+// Decoded metadata of a stored size
+const storedMetadata = async (url) =>
+  sharp(await getStorage().get(getStorage().keyFromUrl(url))).metadata();
+
+describe("detectImageType", () => {
+  test.each(["jpeg", "png", "gif", "webp"])("recognizes %s", async (format) => {
+    expect(detectImageType(await image(20, 20, format))).toBe(format);
+  });
+
+  test("rejects anything else, whatever it is called", () => {
+    expect(detectImageType(Buffer.from("<?php echo 'not an image'; ?>"))).toBe(
+      null
+    );
+    expect(detectImageType(Buffer.from([0xff, 0xd8, 0xff]))).toBe(null);
+    expect(detectImageType("not a buffer")).toBe(null);
+  });
+});
+
+describe("storeImage", () => {
+  test("stores every size as WebP without the camera metadata", async () => {
+    const photo = await sharp(await image(2000, 1500))
+      .withMetadata({
+        orientation: 6, // Taken sideways
+        exif: { IFD0: { Copyright: "GPS and camera details" } },
+      })
+      .jpeg()
+      .toBuffer();
+    expect((await sharp(photo).metadata()).exif).toBeDefined();
+
+    const sizes = await storeImage(photo, "photos");
+    const meta = {};
+    for (const size of ["thumb", "card", "full", "blur"]) {
+      meta[size] = await storedMetadata(sizes[size]);
+      expect(meta[size].format).toBe("webp");
+      expect(meta[size].exif).toBeUndefined();
+      expect(meta[size].orientation).toBeUndefined();
+    }
+    expect(meta.thumb).toMatchObject({ width: 150, height: 150 });
+    expect(meta.card).toMatchObject({ width: 480, height: 600 });
+    // Turned upright, then fitted within 1280px
+    expect(meta.full).toMatchObject({ width: 960, height: 1280 });
+    expect(meta.blur).toMatchObject({ width: 48, height: 60 });
+  });
+
+  test("the blurred copy's name does not lead to the other sizes", async () => {
+    const sizes = await storeImage(await image(300, 300), "photos");
+    const base = path.basename(sizes.full).replace(/-full\.webp$/, "");
+    expect(sizes.thumb).toContain(base);
+    expect(sizes.blur).not.toContain(base);
+  });
+
+  test("small images are not enlarged", async () => {
+    const sizes = await storeImage(await image(100, 80), "photos");
+    expect(await storedMetadata(sizes.full)).toMatchObject({
+      width: 100,
+      height: 80,
+    });
+  });
+
+  test("files that only look like images are refused", async () => {
+    const fake = Buffer.concat([
+      Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+      Buffer.alloc(64, 1),
+    ]);
+    await expect(storeImage(fake, "photos")).rejects.toMatchObject({
+      status: 400,
+      code: "VALIDATION_FAILED",
+    });
+  });
+
+  test("removeImage deletes every size", async () => {
+    const sizes = await storeImage(await image(200, 200), "photos");
+    await removeImage(sizes);
+    for (const url of Object.values(sizes)) {
+      await expect(
+        getStorage().get(getStorage().keyFromUrl(url))
+      ).rejects.toThrow();
+    }
+  });
+});
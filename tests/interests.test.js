@@ -0,0 +1,131 @@
+// Interests: send, then withdraw, accept or decline while pending
+const request = require("supertest");
+const app = require("../app");
+const Interest = require("../models/Interest");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const { createApprovedUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+// Two signed-in members who can see each other
+const createPair = async () => {
+  const sender = await createApprovedUser({ gender: "Male" });
+  const recipient = await createApprovedUser();
+  return {
+    sender: { user: sender, ...(await signIn(sender)) },
+    recipient: { user: recipient, ...(await signIn(recipient)) },
+  };
+};
+
+const sendInterest = (from, to) =>
+  request(app)
+    .post("/api/interests")
+    .set(bearer(from.token))
+    .send({ to: String(to.user._id), message: "Hello" });
+
+const act = (member, interestId, action) =>
+  request(app)
+    .post(`/api/interests/${interestId}/${action}`)
+    .set(bearer(member.token));
+
+const list = (member, box) =>
+  request(app).get(`/api/interests/${box}`).set(bearer(member.token));
+
+const block = (member, other) =>
+  request(app)
+    .post(`/api/profiles/me/blocked/${other.user._id}`)
+    .set(bearer(member.token));
+
+describe("interests", () => {
+  test("an accepted interest connects both members", async () => {
+    const { sender, recipient } = await createPair();
+    const sent = await sendInterest(sender, recipient);
+    expect(sent.status).toBe(201);
+
+    const inbox = await list(recipient, "inbox");
+    expect(inbox.body.results).toHaveLength(1);
+    expect(inbox.body.results[0].from._id).toBe(String(sender.user._id));
+
+    const accepted = await act(recipient, sent.body.interest._id, "accept");
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.interest.status).toBe("accepted");
+    expect(
+      await Interest.areConnected(sender.user._id, recipient.user._id)
+    ).toBe(true);
+
+    // Sending again once connected is refused
+    expect((await sendInterest(recipient, sender)).status).toBe(409);
+  });
+
+  test("only the recipient answers and only the sender withdraws", async () => {
+    const { sender, recipient } = await createPair();
+    const { body } = await sendInterest(sender, recipient);
+
+    expect((await act(sender, body.interest._id, "accept")).status).toBe(404);
+    expect((await act(recipient, body.interest._id, "withdraw")).status).toBe(
+      404
+    );
+    expect((await act(sender, body.interest._id, "withdraw")).status).toBe(
+      200
+    );
+  });
+
+  test("an answered interest cannot be answered again", async () => {
+    const { sender, recipient } = await createPair();
+    const { body } = await sendInterest(sender, recipient);
+    await act(recipient, body.interest._id, "decline");
+
+    const res = await act(recipient, body.interest._id, "accept");
+    expect(res.status).toBe(409);
+    expect(res.body.message).toContain("declined");
+    expect((await sendInterest(sender, recipient)).status).toBe(409);
+  });
+
+  test("of a simultaneous withdraw and accept only one happens", async () => {
+    const { sender, recipient } = await createPair();
+    const { body } = await sendInterest(sender, recipient);
+
+    const results = await Promise.all([
+      act(sender, body.interest._id, "withdraw"),
+      act(recipient, body.interest._id, "accept"),
+    ]);
+    expect(results.map((res) => res.status).sort()).toEqual([200, 409]);
+
+    const winner = results.find((res) => res.status === 200);
+    const stored = await Interest.findById(body.interest._id);
+    expect(stored.status).toBe(winner.body.interest.status);
+  });
+
+  test.each([
+    ["the recipient blocked the sender", (s, r) => block(r, s)],
+    ["the sender blocked the recipient", (s, r) => block(s, r)],
+    [
+      "the sender's account was deactivated",
+      (s) => User.updateOne({ _id: s.user._id }, { isActive: false }),
+    ],
+  ])("an interest cannot be accepted once %s", async (_, change) => {
+    const { sender, recipient } = await createPair();
+    const { body } = await sendInterest(sender, recipient);
+    await change(sender, recipient);
+
+    const res = await act(recipient, body.interest._id, "accept");
+    expect(res.status).toBe(404);
+    expect((await Interest.findById(body.interest._id)).status).toBe(
+      "pending"
+    );
+    // Nor is it listed on the recipient's side
+    expect((await list(recipient, "inbox")).body.total).toBe(0);
+  });
+
+  test("blocked members drop out of the sent list", async () => {
+    const { sender, recipient } = await createPair();
+    await sendInterest(sender, recipient);
+    expect((await list(sender, "outbox")).body.total).toBe(1);
+
+    await block(recipient, sender);
+    const outbox = await list(sender, "outbox");
+    expect(outbox.body.total).toBe(0);
+    expect(outbox.body.results).toEqual([]);
+  });
+});
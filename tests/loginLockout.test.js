@@ -0,0 +1,87 @@
+// Five wrong passwords in a row lock the account until it times out or the
+// emailed unlock link is used
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const { clearNotifications, lastSentTo } = require("./helpers/notifications");
+const { createUser, login } = require("./helpers/fixtures");
+
+useTestDatabase();
+beforeEach(clearNotifications);
+
+const failLogins = async (user, times) => {
+  const responses = [];
+  for (let i = 0; i < times; i += 1) {
+    responses.push(await login(user, "wrong-password"));
+  }
+  return responses;
+};
+
+describe("login lockout", () => {
+  test("the fifth wrong password locks the account", async () => {
+    const user = await createUser();
+
+    const failures = await failLogins(user, 5);
+    expect(failures.slice(0, 4).map((res) => res.status)).toEqual([
+      401, 401, 401, 401,
+    ]);
+    expect(failures[4].status).toBe(423);
+    expect(failures[4].body.code).toBe("ACCOUNT_LOCKED");
+
+    // The right password does not get in while locked
+    const res = await login(user);
+    expect(res.status).toBe(423);
+  });
+
+  test("the emailed link unlocks the account", async () => {
+    const user = await createUser();
+    await failLogins(user, 5);
+
+    const email = lastSentTo(user.email);
+    const [, token] = email.text.match(/unlock-account\?token=([a-f\d]+)/);
+    const unlock = await request(app).post("/api/auth/unlock").send({ token });
+    expect(unlock.status).toBe(200);
+    expect((await login(user)).status).toBe(200);
+
+    // The link is single use
+    const again = await request(app).post("/api/auth/unlock").send({ token });
+    expect(again.status).toBe(400);
+  });
+
+  test("the lock ends by itself", async () => {
+    const user = await createUser();
+    await failLogins(user, 5);
+    await User.updateOne(
+      { _id: user._id },
+      { lockUntil: new Date(Date.now() - 1000) }
+    );
+
+    expect((await login(user)).status).toBe(200);
+  });
+
+  test("a successful login starts the count over", async () => {
+    const user = await createUser();
+    await failLogins(user, 4);
+    expect((await login(user)).status).toBe(200);
+
+    const failures = await failLogins(user, 4);
+    expect(failures.map((res) => res.status)).toEqual([401, 401, 401, 401]);
+    expect((await login(user)).status).toBe(200);
+  });
+
+  test("each lock lasts longer than the one before", async () => {
+    const user = await createUser();
+    const lockedFor = async () => {
+      const { lockUntil } = await User.findById(user._id).select("+lockUntil");
+      return lockUntil.getTime() - Date.now();
+    };
+
+    await failLogins(user, 5);
+    const first = await lockedFor();
+    await User.updateOne({ _id: user._id }, { lockUntil: new Date() });
+    await failLogins(user, 5);
+
+    expect(await lockedFor()).toBeGreaterThan(first * 1.5);
+  });
+});
@@ -0,0 +1,134 @@
+// Partner matches: hard preferences narrow the pool, the rest is scored
+process.env.MATCH_CANDIDATE_POOL = "3";
+
+const request = require("supertest");
+const app = require("../app");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createUser,
+  createApprovedUser,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+// Mid-January, so the age is the same wherever the tests run
+const bornYearsAgo = (years) =>
+  new Date(new Date().getFullYear() - years, 0, 15);
+
+// A male member with the given preferences, signed in
+const createSeeker = async (partnerPreferences) => {
+  const user = await createUser({ gender: "Male", partnerPreferences });
+  return { user, ...(await signIn(user)) };
+};
+
+const getMatches = (token) =>
+  request(app).get("/api/profiles/matches").set(bearer(token));
+
+const setPreferences = (token, preferences) =>
+  request(app)
+    .patch("/api/profiles/me/preferences")
+    .set(bearer(token))
+    .send(preferences);
+
+const matchFor = (res, user) =>
+  res.body.results.find((match) => match.profile._id === String(user._id));
+
+describe("partner matches", () => {
+  test("candidates failing a hard preference are left out", async () => {
+    const { token } = await createSeeker({
+      ageRange: { min: 25, max: 35 },
+      religion: ["Hindu"],
+      location: ["pune"],
+    });
+    const fit = await createApprovedUser({
+      dateOfBirth: bornYearsAgo(30),
+      religion: "hindu",
+    });
+    await createApprovedUser({
+      dateOfBirth: bornYearsAgo(40),
+      religion: "Hindu",
+    });
+    await createApprovedUser({
+      dateOfBirth: bornYearsAgo(30),
+      religion: "Christian",
+    });
+    await createApprovedUser({
+      dateOfBirth: bornYearsAgo(30),
+      religion: "Hindu",
+      city: "Delhi",
+      state: "Delhi",
+    });
+    await createApprovedUser({
+      gender: "Male",
+      dateOfBirth: bornYearsAgo(30),
+      religion: "Hindu",
+    });
+    // Not approved yet
+    await createUser({ dateOfBirth: bornYearsAgo(30), religion: "Hindu" });
+
+    const res = await getMatches(token);
+    expect(res.status).toBe(200);
+    expect(res.body.results.map((match) => match.profile._id)).toEqual([
+      String(fit._id),
+    ]);
+    expect(res.body.results[0].theyFitMe.matched).toEqual(
+      expect.arrayContaining(["ageRange", "religion", "location"])
+    );
+  });
+
+  test("an age range cleared with nulls no longer filters or scores", async () => {
+    const { token } = await createSeeker({ ageRange: { min: 25, max: 35 } });
+    const older = await createApprovedUser({ dateOfBirth: bornYearsAgo(45) });
+    expect((await getMatches(token)).body.results).toHaveLength(0);
+
+    const cleared = await setPreferences(token, {
+      ageRange: { min: null, max: null },
+    });
+    expect(cleared.status).toBe(200);
+
+    const res = await getMatches(token);
+    expect(res.status).toBe(200);
+    const match = matchFor(res, older);
+    expect(match).toBeDefined();
+    expect(match.theyFitMe.unmatched).not.toContain("ageRange");
+  });
+
+  test("clearing one bound keeps the other", async () => {
+    const { token } = await createSeeker({ ageRange: { min: 25, max: 35 } });
+    const older = await createApprovedUser({ dateOfBirth: bornYearsAgo(45) });
+    const younger = await createApprovedUser({
+      dateOfBirth: bornYearsAgo(21),
+    });
+
+    const cleared = await setPreferences(token, { ageRange: { max: null } });
+    expect(cleared.status).toBe(200);
+
+    const res = await getMatches(token);
+    expect(res.status).toBe(200);
+    expect(matchFor(res, younger)).toBeUndefined();
+    expect(matchFor(res, older).theyFitMe.matched).toContain("ageRange");
+  });
+
+  test("a pool larger than the limit is ranked in part and flagged", async () => {
+    const { token } = await createSeeker();
+    for (let i = 0; i < 4; i += 1) await createApprovedUser();
+
+    const res = await getMatches(token);
+    expect(res.status).toBe(200);
+    expect(res.body.truncated).toBe(true);
+    expect(res.body.candidates).toBe(4);
+    expect(res.body.scored).toBe(3);
+    expect(res.body.total).toBe(3);
+  });
+
+  test("a pool within the limit is not flagged", async () => {
+    const { token } = await createSeeker();
+    await createApprovedUser();
+
+    const res = await getMatches(token);
+    expect(res.body.truncated).toBe(false);
+    expect(res.body).not.toHaveProperty("candidates");
+  });
+});
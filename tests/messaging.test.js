@@ -0,0 +1,262 @@
+// Messaging between connected members, over REST and the chat WebSocket
+const http = require("http");
+const request = require("supertest");
+const WebSocket = require("ws");
+const app = require("../app");
+const attachChatServer = require("../utils/chatSocket");
+const Interest = require("../models/Interest");
+const Message = require("../models/Message");
+const { MAX_MESSAGE_LENGTH } = require("../utils/messaging");
+const { useTestDatabase } = require("./helpers/db");
+const { createApprovedUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+let server;
+let wss;
+beforeAll(async () => {
+  server = http.createServer(app);
+  wss = attachChatServer(server);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+});
+afterAll(async () => {
+  wss.clients.forEach((socket) => socket.terminate());
+  wss.close();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const createMember = async (overrides) => {
+  const user = await createApprovedUser(overrides);
+  return { user, ...(await signIn(user)) };
+};
+
+// Two members with an accepted interest and their conversation
+const createConnectedPair = async () => {
+  const alice = await createMember();
+  const bob = await createMember({ gender: "Male" });
+  await Interest.create({
+    from: bob.user._id,
+    to: alice.user._id,
+    status: "accepted",
+  });
+  const res = await openConversation(alice, bob);
+  expect(res.status).toBe(200);
+  return { alice, bob, conversationId: res.body.conversation._id };
+};
+
+const openConversation = (member, other) =>
+  request(app)
+    .post("/api/conversations")
+    .set(bearer(member.token))
+    .send({ userId: String(other.user._id) });
+
+const postMessage = (member, conversationId, text) =>
+  request(app)
+    .post(`/api/conversations/${conversationId}/messages`)
+    .set(bearer(member.token))
+    .send({ text });
+
+const history = (member, conversationId, query = {}) =>
+  request(app)
+    .get(`/api/conversations/${conversationId}/messages`)
+    .query(query)
+    .set(bearer(member.token));
+
+// Opens a chat socket; resolves once the server says it is ready
+const connect = (token) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const socket = new WebSocket(`ws://127.0.0.1:${port}/ws?token=${token}`);
+    socket.events = [];
+    socket.on("message", (data) => socket.events.push(JSON.parse(data)));
+    socket.once("error", reject);
+    nextEvent(socket, "ready").then(() => resolve(socket));
+  });
+
+// The first event of the type not taken yet, waiting for it if needed
+const nextEvent = (socket, type) =>
+  new Promise((resolve) => {
+    const take = () => {
+      const index = socket.events.findIndex((event) => event.type === type);
+      if (index === -1) return false;
+      resolve(socket.events.splice(index, 1)[0]);
+      return true;
+    };
+    if (take()) return;
+    const onMessage = () => {
+      if (take()) socket.off("message", onMessage);
+    };
+    socket.on("message", onMessage);
+  });
+
+const sendFrame = (socket, frame) => socket.send(JSON.stringify(frame));
+
+describe("conversations over REST", () => {
+  test("only connected members can open a conversation", async () => {
+    const alice = await createMember();
+    const bob = await createMember({ gender: "Male" });
+
+    const res = await openConversation(alice, bob);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("FORBIDDEN");
+  });
+
+  test("messages are stored trimmed and paged newest first", async () => {
+    const { alice, bob, conversationId } = await createConnectedPair();
+    for (const text of ["  one ", "two", "three"]) {
+      expect((await postMessage(alice, conversationId, text)).status).toBe(
+        201
+      );
+    }
+
+    const first = await history(bob, conversationId, { limit: 2 });
+    expect(first.body.messages.map((m) => m.text)).toEqual(["three", "two"]);
+    expect(first.body.hasMore).toBe(true);
+
+    const rest = await history(bob, conversationId, {
+      limit: 2,
+      before: first.body.nextCursor,
+    });
+    expect(rest.body.messages.map((m) => m.text)).toEqual(["one"]);
+    expect(rest.body.hasMore).toBe(false);
+  });
+
+  test("empty and overlong messages are refused", async () => {
+    const { alice, conversationId } = await createConnectedPair();
+
+    expect((await postMessage(alice, conversationId, "   ")).status).toBe(400);
+    const long = "x".repeat(MAX_MESSAGE_LENGTH + 1);
+    expect((await postMessage(alice, conversationId, long)).status).toBe(400);
+    expect(await Message.countDocuments()).toBe(0);
+  });
+
+  test("reading a conversation clears its unread count", async () => {
+    const { alice, bob, conversationId } = await createConnectedPair();
+    await postMessage(alice, conversationId, "Hello");
+
+    const unread = async () =>
+      (
+        await request(app).get("/api/conversations").set(bearer(bob.token))
+      ).body.conversations[0].unreadCount;
+    expect(await unread()).toBe(1);
+
+    await request(app)
+      .post(`/api/conversations/${conversationId}/read`)
+      .set(bearer(bob.token));
+    expect(await unread()).toBe(0);
+  });
+
+  test("outsiders and blocked members cannot post", async () => {
+    const { alice, bob, conversationId } = await createConnectedPair();
+    const outsider = await createMember();
+    expect((await postMessage(outsider, conversationId, "Hi")).status).toBe(
+      404
+    );
+
+    await request(app)
+      .post(`/api/profiles/me/blocked/${alice.user._id}`)
+      .set(bearer(bob.token));
+    expect((await postMessage(alice, conversationId, "Hi")).status).toBe(403);
+  });
+});
+
+describe("chat WebSocket", () => {
+  test("a message reaches the recipient and the sender's other devices", async () => {
+    const { alice, bob, conversationId } = await createConnectedPair();
+    const aliceSocket = await connect(alice.token);
+    const bobSocket = await connect(bob.token);
+
+    sendFrame(aliceSocket, { type: "message", conversationId, text: "Hi" });
+    const received = await nextEvent(bobSocket, "message");
+    const echoed = await nextEvent(aliceSocket, "message");
+    expect(received.message.text).toBe("Hi");
+    expect(echoed.message._id).toBe(received.message._id);
+
+    sendFrame(bobSocket, { type: "read", conversationId });
+    const receipt = await nextEvent(aliceSocket, "read");
+    expect(receipt.readerId).toBe(String(bob.user._id));
+
+    aliceSocket.close();
+    bobSocket.close();
+  });
+
+  test("messages sent over REST are delivered live", async () => {
+    const { alice, bob, conversationId } = await createConnectedPair();
+    const bobSocket = await connect(bob.token);
+
+    await postMessage(alice, conversationId, "Over REST");
+    expect((await nextEvent(bobSocket, "message")).message.text).toBe(
+      "Over REST"
+    );
+    bobSocket.close();
+  });
+
+  test("frames get the same length check as REST", async () => {
+    const { alice, conversationId } = await createConnectedPair();
+    const socket = await connect(alice.token);
+
+    sendFrame(socket, { type: "message", conversationId, text: "  " });
+    const error = await nextEvent(socket, "error");
+    expect(error.code).toBe("VALIDATION_FAILED");
+    expect(error.conversationId).toBe(conversationId);
+    expect(await Message.countDocuments()).toBe(0);
+    socket.close();
+  });
+
+  test("malformed frames get an error and keep the socket open", async () => {
+    const { alice, conversationId } = await createConnectedPair();
+    const socket = await connect(alice.token);
+
+    socket.send("not json");
+    expect((await nextEvent(socket, "error")).message).toBe("Invalid JSON");
+    socket.send("[1, 2]");
+    expect((await nextEvent(socket, "error")).message).toBe("Invalid frame");
+    sendFrame(socket, { type: "dance", conversationId });
+    expect((await nextEvent(socket, "error")).message).toBe(
+      "Unknown event type"
+    );
+    expect(socket.readyState).toBe(WebSocket.OPEN);
+    socket.close();
+  });
+
+  test("frames over the size limit close the socket", async () => {
+    const { alice, conversationId } = await createConnectedPair();
+    const socket = await connect(alice.token);
+    const closed = new Promise((resolve) =>
+      socket.on("close", (code) => resolve(code))
+    );
+
+    sendFrame(socket, {
+      type: "message",
+      conversationId,
+      text: "x".repeat(20 * 1024),
+    });
+    expect(await closed).toBe(1009);
+    expect(await Message.countDocuments()).toBe(0);
+  });
+
+  test("frames are cleaned like REST bodies", async () => {
+    const { alice, bob, conversationId } = await createConnectedPair();
+    const socket = await connect(alice.token);
+    const text = "<script>alert(1)</script> & more";
+
+    sendFrame(socket, { type: "message", conversationId, text });
+    const overSocket = (await nextEvent(socket, "message")).message;
+    const overRest = (await postMessage(bob, conversationId, text)).body
+      .message;
+    expect(overSocket.text).not.toContain("<script>");
+    expect(overSocket.text).toBe(overRest.text);
+
+    // Operators are stripped rather than run as queries
+    sendFrame(socket, {
+      type: "read",
+      conversationId: { $ne: null },
+    });
+    expect((await nextEvent(socket, "error")).code).toBe("VALIDATION_FAILED");
+    socket.close();
+  });
+
+  test("connections without a valid token are refused", async () => {
+    await expect(connect("not-a-token")).rejects.toThrow("401");
+  });
+});
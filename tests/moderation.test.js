@@ -0,0 +1,167 @@
+// Admin review queue: new profiles and photos wait for approval
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const { clearNotifications, lastSentTo } = require("./helpers/notifications");
+const {
+  createUser,
+  createAdmin,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+beforeEach(clearNotifications);
+
+const MODERATION = "/api/admin/moderation";
+
+// Resized copies of an uploaded photo, as the image pipeline stores them
+const sizesFor = (name, status) => ({
+  thumb: `/uploads/${name}-thumb.jpg`,
+  card: `/uploads/${name}-card.jpg`,
+  full: `/uploads/${name}.jpg`,
+  blur: `/uploads/${name}-blur.jpg`,
+  status,
+});
+
+const queuedIds = (res) => res.body.results.map((entry) => entry._id);
+
+describe("profile moderation", () => {
+  test("new profiles wait in the queue until approved", async () => {
+    const { token } = await signIn(await createAdmin());
+    const member = await createUser();
+
+    const pending = await request(app)
+      .get(`${MODERATION}/profiles`)
+      .set(bearer(token));
+    expect(pending.status).toBe(200);
+    expect(queuedIds(pending)).toContain(String(member._id));
+
+    const approve = await request(app)
+      .post(`${MODERATION}/profiles/${member._id}/approve`)
+      .set(bearer(token));
+    expect(approve.status).toBe(200);
+    expect(approve.body.moderation.status).toBe("approved");
+    expect(lastSentTo(member.email).subject).toBe("Your profile is live");
+
+    const after = await request(app)
+      .get(`${MODERATION}/profiles`)
+      .set(bearer(token));
+    expect(queuedIds(after)).not.toContain(String(member._id));
+  });
+
+  test("a rejection needs a known reason and tells the member", async () => {
+    const { token } = await signIn(await createAdmin());
+    const member = await createUser();
+    const reject = (body) =>
+      request(app)
+        .post(`${MODERATION}/profiles/${member._id}/reject`)
+        .set(bearer(token))
+        .send(body);
+
+    expect((await reject({})).status).toBe(400);
+    expect((await reject({ reasonCode: "made_up" })).status).toBe(400);
+
+    const res = await reject({ reasonCode: "misleading", note: "Stock photo" });
+    expect(res.status).toBe(200);
+    expect(res.body.moderation).toMatchObject({
+      status: "rejected",
+      reasonCode: "misleading",
+      note: "Stock photo",
+    });
+    expect(lastSentTo(member.email).text).toContain(
+      "It appears to be fake or misleading."
+    );
+  });
+
+  test("members cannot use the queue", async () => {
+    const { token } = await signIn(await createUser());
+    const res = await request(app)
+      .get(`${MODERATION}/profiles`)
+      .set(bearer(token));
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("photo moderation", () => {
+  const photoQueue = (token, status) =>
+    request(app)
+      .get(`${MODERATION}/photos`)
+      .query(status ? { status } : {})
+      .set(bearer(token));
+
+  const queuedPhotos = (res, user) => {
+    const entry = res.body.results.find(
+      (result) => result.user._id === String(user._id)
+    );
+    return entry ? entry.photos.map((photo) => photo.fileName) : [];
+  };
+
+  test("pending gallery and profile pictures are listed with signed URLs", async () => {
+    const { token } = await signIn(await createAdmin());
+    const member = await createUser({
+      profilePicture: "/uploads/primary.jpg",
+      profilePictureSizes: sizesFor("primary", "pending"),
+      photos: ["/uploads/gallery.jpg"],
+      photoSizes: [sizesFor("gallery", "pending")],
+    });
+
+    const res = await photoQueue(token);
+    expect(res.status).toBe(200);
+    expect(queuedPhotos(res, member).sort()).toEqual([
+      "gallery.jpg",
+      "primary.jpg",
+    ]);
+    const [photo] = res.body.results[0].photos;
+    expect(photo.full).toMatch(/^\/api\/files\//);
+  });
+
+  test("a profile picture from before resizing does not break the queue", async () => {
+    const { token } = await signIn(await createAdmin());
+    const member = await createUser();
+    // Stored as such profiles are: a picture without any sizes
+    await User.collection.updateOne(
+      { _id: member._id },
+      {
+        $set: {
+          profilePicture: "/uploads/legacy.jpg",
+          photos: ["/uploads/gallery.jpg"],
+          photoSizes: [sizesFor("gallery", "pending")],
+        },
+        $unset: { profilePictureSizes: "" },
+      }
+    );
+
+    const res = await photoQueue(token);
+    expect(res.status).toBe(200);
+    expect(queuedPhotos(res, member)).toEqual(["gallery.jpg"]);
+  });
+
+  test("an approved photo leaves the queue", async () => {
+    const { token } = await signIn(await createAdmin());
+    const member = await createUser({
+      photos: ["/uploads/gallery.jpg"],
+      photoSizes: [sizesFor("gallery", "pending")],
+    });
+
+    const approve = await request(app)
+      .post(`${MODERATION}/photos/${member._id}/gallery.jpg/approve`)
+      .set(bearer(token));
+    expect(approve.status).toBe(200);
+
+    expect(queuedPhotos(await photoQueue(token), member)).toEqual([]);
+    expect(queuedPhotos(await photoQueue(token, "approved"), member)).toEqual(
+      ["gallery.jpg"]
+    );
+  });
+
+  test("reviewing an unknown photo is a 404", async () => {
+    const { token } = await signIn(await createAdmin());
+    const member = await createUser();
+    const res = await request(app)
+      .post(`${MODERATION}/photos/${member._id}/missing.jpg/approve`)
+      .set(bearer(token));
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,103 @@
+// Email/mobile verification codes: single use, limited attempts
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { issueOtp, verifyOtp } = require("../utils/otp");
+const { useTestDatabase } = require("./helpers/db");
+const { clearNotifications, lastSentTo } = require("./helpers/notifications");
+const { createUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+beforeEach(clearNotifications);
+
+// The code in the last message to the address
+const sentCode = (to) => lastSentTo(to).text.match(/\b(\d{6})\b/)[1];
+const wrongCodeFor = (code) => (code === "000000" ? "111111" : "000000");
+
+const sendCode = (token, channel) =>
+  request(app)
+    .post("/api/auth/verify/send")
+    .set(bearer(token))
+    .send({ channel });
+
+const confirmCode = (token, channel, code) =>
+  request(app)
+    .post("/api/auth/verify/confirm")
+    .set(bearer(token))
+    .send({ channel, code });
+
+describe("OTP verification", () => {
+  test("the right code verifies the channel once", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+
+    expect((await sendCode(token, "email")).status).toBe(200);
+    const code = sentCode(user.email);
+
+    const res = await confirmCode(token, "email", code);
+    expect(res.status).toBe(200);
+    expect(res.body.emailVerified).toBe(true);
+    expect(res.body.isVerified).toBe(false); // Mobile still unverified
+
+    const again = await confirmCode(token, "email", code);
+    expect(again.status).toBe(400);
+    expect(again.body.details.reason).toBe("missing");
+  });
+
+  test("verifying both channels verifies the account", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+
+    await sendCode(token, "email");
+    await confirmCode(token, "email", sentCode(user.email));
+    await sendCode(token, "mobile");
+    const res = await confirmCode(token, "mobile", sentCode(user.mobileNumber));
+
+    expect(res.status).toBe(200);
+    expect(res.body.isVerified).toBe(true);
+    expect((await User.findById(user._id)).isVerified).toBe(true);
+  });
+
+  test("the code is discarded after five wrong attempts", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+    await sendCode(token, "email");
+    const code = sentCode(user.email);
+    const wrong = wrongCodeFor(code);
+
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      const res = await confirmCode(token, "email", wrong);
+      expect(res.body.details.reason).toBe("invalid");
+    }
+    const fifth = await confirmCode(token, "email", wrong);
+    expect(fifth.body.details.reason).toBe("locked");
+
+    // Even the right code no longer works
+    const right = await confirmCode(token, "email", code);
+    expect(right.status).toBe(400);
+    expect(right.body.details.reason).toBe("missing");
+  });
+
+  test("parallel guesses cannot get past the attempt limit", async () => {
+    const user = await createUser();
+    await issueOtp(user, "email");
+    const wrong = wrongCodeFor(sentCode(user.email));
+
+    const outcomes = await Promise.all(
+      Array.from({ length: 12 }, () => verifyOtp(user._id, "email", wrong))
+    );
+    // Five attempts are counted: four wrong ones, then the one that locks it
+    expect(outcomes.filter((o) => o === "invalid")).toHaveLength(4);
+    expect(outcomes).not.toContain("valid");
+  });
+
+  test("a new code cannot be requested straight away", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+
+    expect((await sendCode(token, "email")).status).toBe(200);
+    const res = await sendCode(token, "email");
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBeDefined();
+  });
+});
@@ -0,0 +1,169 @@
+// Checkouts are settled by the provider's signed webhook; a paid one grants
+// its plan exactly once. Admins can grant plans without payment.
+const request = require("supertest");
+const app = require("../app");
+const Payment = require("../models/Payment");
+const Subscription = require("../models/Subscription");
+const createMockProvider = require("../utils/payments/mockProvider");
+const { getPlan } = require("../utils/plans");
+const { DAY_MS } = require("../utils/dateRange");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createUser,
+  createAdmin,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const provider = createMockProvider({
+  signingSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+});
+
+// Sends the webhook the provider would for the checkout
+const sendWebhook = (providerPaymentId, status, headers) => {
+  const webhook = provider.buildWebhook(providerPaymentId, status);
+  return request(app)
+    .post("/api/subscriptions/webhook")
+    .set("Content-Type", "application/json")
+    .set(headers || webhook.headers)
+    .send(webhook.rawBody);
+};
+
+// Starts a checkout for the member; returns the provider's payment id
+const checkout = async (token, plan = "gold") => {
+  const res = await request(app)
+    .post("/api/subscriptions/checkout")
+    .set(bearer(token))
+    .send({ plan });
+  expect(res.status).toBe(201);
+  return res.body.checkoutUrl.split("/").pop();
+};
+
+const membership = async (token) =>
+  (await request(app).get("/api/subscriptions/me").set(bearer(token))).body
+    .membership;
+
+describe("payment webhook", () => {
+  test("a paid checkout grants its plan", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+    const providerPaymentId = await checkout(token);
+    expect((await membership(token)).plan).toBe("free");
+
+    const res = await sendWebhook(providerPaymentId, "paid");
+    expect(res.status).toBe(200);
+
+    expect((await membership(token)).plan).toBe("gold");
+    const payment = await Payment.findOne({ providerPaymentId });
+    expect(payment.status).toBe("paid");
+    expect(payment.subscription).toBeDefined();
+  });
+
+  test("webhooks with a bad signature change nothing", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+    const providerPaymentId = await checkout(token);
+
+    const res = await sendWebhook(providerPaymentId, "paid", {
+      "x-mock-signature": "0".repeat(64),
+    });
+    expect(res.status).toBe(401);
+    expect((await Payment.findOne({ providerPaymentId })).status).toBe(
+      "pending"
+    );
+    expect((await membership(token)).plan).toBe("free");
+  });
+
+  test("a repeated webhook does not grant the plan twice", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+    const providerPaymentId = await checkout(token);
+
+    await sendWebhook(providerPaymentId, "paid");
+    const { endsAt } = await Subscription.findOne({ user: user._id });
+    const again = await sendWebhook(providerPaymentId, "paid");
+    expect(again.status).toBe(200);
+
+    const subscriptions = await Subscription.find({ user: user._id });
+    expect(subscriptions).toHaveLength(1);
+    expect(subscriptions[0].endsAt).toEqual(endsAt);
+  });
+
+  test("a failed or cancelled checkout grants nothing and stays settled", async () => {
+    const user = await createUser();
+    const { token } = await signIn(user);
+    const providerPaymentId = await checkout(token);
+
+    expect((await sendWebhook(providerPaymentId, "failed")).status).toBe(200);
+    // A late "paid" for a settled checkout does not reopen it
+    await sendWebhook(providerPaymentId, "paid");
+
+    expect((await Payment.findOne({ providerPaymentId })).status).toBe(
+      "failed"
+    );
+    expect((await membership(token)).plan).toBe("free");
+  });
+
+  test("a paid payment whose grant failed is granted by the next webhook", async () => {
+    const user = await createUser();
+    const plan = getPlan("gold");
+    await Payment.create({
+      user: user._id,
+      plan: plan.key,
+      amount: plan.price.amount,
+      currency: plan.price.currency,
+      provider: "mock",
+      providerPaymentId: "mock_grant_failed",
+      status: "paid",
+      paidAt: new Date(),
+    });
+
+    expect((await sendWebhook("mock_grant_failed", "paid")).status).toBe(200);
+    const payment = await Payment.findOne({
+      providerPaymentId: "mock_grant_failed",
+    });
+    expect(payment.subscription).toBeDefined();
+    expect(await Subscription.countDocuments({ user: user._id })).toBe(1);
+  });
+
+  test("webhooks for unknown checkouts are refused", async () => {
+    const res = await sendWebhook("mock_unknown", "paid");
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("admin plan grants", () => {
+  const grant = (token, userId, body) =>
+    request(app)
+      .post(`/api/admin/users/${userId}/subscription`)
+      .set(bearer(token))
+      .send(body);
+
+  test("an admin grants a plan, and granting it again extends it", async () => {
+    const admin = await createAdmin();
+    const member = await createUser();
+    const { token } = await signIn(admin);
+
+    const first = await grant(token, member._id, { plan: "gold" });
+    expect(first.status).toBe(201);
+    expect(first.body.membership.plan).toBe("gold");
+    const firstEnd = new Date(first.body.membership.subscription.endsAt);
+
+    const second = await grant(token, member._id, { plan: "gold", days: 10 });
+    expect(second.status).toBe(201);
+    const secondEnd = new Date(second.body.membership.subscription.endsAt);
+    expect(secondEnd - firstEnd).toBe(10 * DAY_MS);
+    expect(await Subscription.countDocuments({ user: member._id })).toBe(1);
+  });
+
+  test("members cannot grant plans", async () => {
+    const member = await createUser();
+    const { token } = await signIn(member);
+
+    const res = await grant(token, member._id, { plan: "platinum" });
+    expect(res.status).toBe(403);
+    expect(await Subscription.countDocuments({ user: member._id })).toBe(0);
+  });
+});
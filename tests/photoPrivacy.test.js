@@ -0,0 +1,158 @@
+// Photo visibility: everyone, connections only, or on request
+const request = require("supertest");
+const app = require("../app");
+const Interest = require("../models/Interest");
+const { useTestDatabase } = require("./helpers/db");
+const { createApprovedUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+// Stored sizes of an approved photo; files are not needed to sign URLs
+const sizesFor = (name, status = "approved") => ({
+  thumb: `/uploads/profile-pics/${name}-thumb.webp`,
+  card: `/uploads/profile-pics/${name}-card.webp`,
+  full: `/uploads/profile-pics/${name}-full.webp`,
+  blur: `/uploads/profile-pics/blur-${name}.webp`,
+  status,
+});
+
+const createMember = async (overrides) => {
+  const user = await createApprovedUser(overrides);
+  return { user, ...(await signIn(user)) };
+};
+
+// A member with a primary photo and one more, shown to `photoVisibility`
+const createOwner = (photoVisibility) => {
+  const primary = sizesFor("primary");
+  return createMember({
+    photoVisibility,
+    profilePicture: primary.full,
+    profilePictureSizes: primary,
+    photos: [primary.full, sizesFor("second").full],
+    photoSizes: [primary, sizesFor("second")],
+  });
+};
+
+const photosOf = (owner, viewer) => {
+  const req = request(app).get(`/api/photo-access/${owner.user._id}/photos`);
+  return viewer ? req.set(bearer(viewer.token)) : req;
+};
+
+// Which stored file a signed URL points at
+const fileOf = (url) => url.split("?")[0].split("/").pop();
+
+const expectVisible = async (owner, viewer) => {
+  const res = await photosOf(owner, viewer);
+  expect(res.status).toBe(200);
+  expect(res.body.photosLocked).toBe(false);
+  expect(res.body.photos.map(fileOf)).toEqual([
+    "primary-full.webp",
+    "second-full.webp",
+  ]);
+};
+
+const expectBlurred = async (owner, viewer) => {
+  const res = await photosOf(owner, viewer);
+  expect(res.status).toBe(200);
+  expect(res.body.photosLocked).toBe(true);
+  expect(fileOf(res.body.profilePicture)).toBe("blur-primary.webp");
+  expect(res.body.photos.map(fileOf)).toEqual([
+    "blur-primary.webp",
+    "blur-second.webp",
+  ]);
+};
+
+const connect = (a, b) =>
+  Interest.create({ from: a.user._id, to: b.user._id, status: "accepted" });
+
+const requestAccess = (viewer, owner) =>
+  request(app)
+    .post("/api/photo-access/requests")
+    .set(bearer(viewer.token))
+    .send({ ownerId: String(owner.user._id) });
+
+const decide = (member, requestId, action) =>
+  request(app)
+    .post(`/api/photo-access/requests/${requestId}/${action}`)
+    .set(bearer(member.token));
+
+describe("photo visibility", () => {
+  test("photos for everyone are shown even to anonymous visitors", async () => {
+    const owner = await createOwner("everyone");
+    await expectVisible(owner);
+  });
+
+  test("connections-only photos are blurred for everyone else", async () => {
+    const owner = await createOwner("connections");
+    const stranger = await createMember({ gender: "Male" });
+    const connection = await createMember({ gender: "Male" });
+    await connect(connection, owner);
+
+    await expectBlurred(owner);
+    await expectBlurred(owner, stranger);
+    await expectVisible(owner, connection);
+    // Owners always see their own photos
+    await expectVisible(owner, owner);
+  });
+
+  test("on-request photos need a grant, which can be revoked", async () => {
+    const owner = await createOwner("on_request");
+    const viewer = await createMember({ gender: "Male" });
+    // Being connected is not enough
+    await connect(viewer, owner);
+    await expectBlurred(owner, viewer);
+
+    const asked = await requestAccess(viewer, owner);
+    expect(asked.status).toBe(201);
+    expect((await requestAccess(viewer, owner)).status).toBe(409);
+    const requestId = asked.body.request._id;
+
+    // Only the owner decides
+    expect((await decide(viewer, requestId, "grant")).status).toBe(404);
+    expect((await decide(owner, requestId, "grant")).status).toBe(200);
+    await expectVisible(owner, viewer);
+
+    expect((await decide(owner, requestId, "revoke")).status).toBe(200);
+    await expectBlurred(owner, viewer);
+    expect((await decide(owner, requestId, "revoke")).status).toBe(409);
+  });
+
+  test("the owner changes their visibility", async () => {
+    const owner = await createOwner("everyone");
+    const setVisibility = (photoVisibility) =>
+      request(app)
+        .put("/api/photo-access/visibility")
+        .set(bearer(owner.token))
+        .send({ photoVisibility });
+
+    expect((await setVisibility("friends")).status).toBe(400);
+    const res = await setVisibility("connections");
+    expect(res.status).toBe(200);
+    await expectBlurred(owner);
+  });
+
+  test("photos awaiting moderation are shown only to their owner", async () => {
+    const pending = sizesFor("pending", "pending");
+    const owner = await createMember({
+      photos: [pending.full],
+      photoSizes: [pending],
+    });
+    const viewer = await createMember({ gender: "Male" });
+
+    expect((await photosOf(owner, viewer)).body.photos).toEqual([]);
+    expect((await photosOf(owner, owner)).body.photos.map(fileOf)).toEqual([
+      "pending-full.webp",
+    ]);
+  });
+
+  test("blocked members get no photos at all", async () => {
+    const owner = await createOwner("everyone");
+    const viewer = await createMember({ gender: "Male" });
+    await request(app)
+      .post(`/api/profiles/me/blocked/${viewer.user._id}`)
+      .set(bearer(owner.token));
+
+    expect((await photosOf(owner, viewer)).status).toBe(404);
+    expect((await requestAccess(viewer, owner)).status).toBe(404);
+  });
+});
@@ -0,0 +1,117 @@
+// Which profile fields each viewer gets, and unlocking contact details
+const request = require("supertest");
+const app = require("../app");
+const Interest = require("../models/Interest");
+const { grantPlan } = require("../utils/subscriptions");
+const { useTestDatabase } = require("./helpers/db");
+const { createApprovedUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const createMember = async (overrides) => {
+  const user = await createApprovedUser(overrides);
+  return { user, ...(await signIn(user)) };
+};
+
+const createProfile = (privacy) =>
+  createApprovedUser({ name: "Priya Sharma", privacy });
+
+const viewProfile = async (viewer, profile) => {
+  const res = await request(app)
+    .get(`/api/profiles/${profile._id}`)
+    .set(bearer(viewer.token));
+  expect(res.status).toBe(200);
+  return res.body.profile;
+};
+
+const unlockContact = (viewer, profile) =>
+  request(app)
+    .post(`/api/profiles/${profile._id}/contact`)
+    .set(bearer(viewer.token));
+
+describe("profile privacy", () => {
+  test("anonymous visitors get the public fields only", async () => {
+    const profile = await createProfile({ lastName: "everyone" });
+
+    const res = await request(app).get("/api/profiles");
+    expect(res.status).toBe(200);
+    const [listed] = res.body.profiles;
+    expect(listed.name).toBe("Priya Sharma");
+    expect(listed.age).toEqual(expect.any(Number));
+    ["email", "mobileNumber", "dateOfBirth", "privacy", "role"].forEach(
+      (field) => expect(listed).not.toHaveProperty(field)
+    );
+    expect(String(listed._id)).toBe(String(profile._id));
+  });
+
+  test("the last name is an initial for audiences it is not shown to", async () => {
+    await createProfile({ lastName: "connections" });
+    const res = await request(app).get("/api/profiles");
+    expect(res.body.profiles[0].name).toBe("Priya S.");
+  });
+
+  test("members never see account details or hidden contacts", async () => {
+    const profile = await createProfile();
+    const viewer = await createMember({ gender: "Male" });
+
+    const seen = await viewProfile(viewer, profile);
+    expect(seen.name).toBe("Priya Sharma");
+    ["email", "mobileNumber", "privacy", "moderation", "isActive"].forEach(
+      (field) => expect(seen).not.toHaveProperty(field)
+    );
+
+    const res = await unlockContact(viewer, profile);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("CONTACT_HIDDEN");
+  });
+
+  test("owners see their own contact details", async () => {
+    const owner = await createMember();
+    const seen = await viewProfile(owner, owner.user);
+    expect(seen.email).toBe(owner.user.email);
+    expect(seen.privacy.email).toBe("nobody");
+  });
+
+  test("contacts shared with connections are shown to them only", async () => {
+    const profile = await createProfile({ email: "connections" });
+    const connection = await createMember({ gender: "Male" });
+    const stranger = await createMember({ gender: "Male" });
+    await Interest.create({
+      from: connection.user._id,
+      to: profile._id,
+      status: "accepted",
+    });
+
+    const seen = await viewProfile(connection, profile);
+    expect(seen.email).toBe(profile.email);
+    // Mobile numbers stay with the default, nobody
+    expect(seen).not.toHaveProperty("mobileNumber");
+    expect(await viewProfile(stranger, profile)).not.toHaveProperty("email");
+  });
+
+  test("contacts shared with members are unlocked with a plan's contact view", async () => {
+    const profile = await createProfile({
+      email: "members",
+      mobile: "members",
+    });
+    const viewer = await createMember({ gender: "Male" });
+
+    const withoutPlan = await unlockContact(viewer, profile);
+    expect(withoutPlan.status).toBe(403);
+    expect(withoutPlan.body.code).toBe("PLAN_REQUIRED");
+
+    await grantPlan(viewer.user._id, "gold", { source: "admin" });
+    const res = await unlockContact(viewer, profile);
+    expect(res.status).toBe(200);
+    expect(res.body.contact).toEqual({
+      email: profile.email,
+      mobileNumber: profile.mobileNumber,
+    });
+    expect(res.body.membership.usage.contactViewsUsed).toBe(1);
+
+    // Unlocked for good; viewing it again uses no further contact view
+    expect((await viewProfile(viewer, profile)).email).toBe(profile.email);
+    const again = await unlockContact(viewer, profile);
+    expect(again.body.membership.usage.contactViewsUsed).toBe(1);
+  });
+});
@@ -0,0 +1,146 @@
+// Members edit their own profile and partner preferences
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const { createApprovedUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const createMember = async (overrides) => {
+  const user = await createApprovedUser(overrides);
+  return { user, ...(await signIn(user)) };
+};
+
+const update = (member, body, { method = "patch", path = "/me" } = {}) => {
+  const url = `/api/profiles${path}`;
+  return request(app)[method](url).set(bearer(member.token)).send(body);
+};
+
+const updatePreferences = (member, body) =>
+  update(member, body, { path: "/me/preferences" });
+
+const stored = (member) => User.findById(member.user._id);
+
+describe("PATCH /api/profiles/me", () => {
+  test("changes any profile field and reports what changed", async () => {
+    const member = await createMember();
+
+    const res = await update(member, {
+      occupation: "Architect",
+      heightCm: 165,
+      city: "Pune",
+      privacy: { email: "connections" },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.changedFields.sort()).toEqual([
+      "heightCm",
+      "occupation",
+      "privacy.email",
+    ]);
+    expect(res.body.user.occupation).toBe("Architect");
+
+    const user = await stored(member);
+    expect(user.privacy.email).toBe("connections");
+    // Other privacy settings keep their values
+    expect(user.privacy.lastName).toBe("members");
+    // Only name and bio go back to moderation
+    expect(user.moderation.status).toBe("approved");
+  });
+
+  test("PUT behaves the same", async () => {
+    const member = await createMember();
+    const res = await update(member, { diet: "Vegan" }, { method: "put" });
+    expect(res.status).toBe(200);
+    expect((await stored(member)).diet).toBe("Vegan");
+  });
+
+  test("account fields are refused, each named", async () => {
+    const member = await createMember();
+
+    const res = await update(member, {
+      city: "Nagpur",
+      email: "new@example.com",
+      role: "admin",
+      isActive: true,
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+      "email",
+      "isActive",
+      "role",
+    ]);
+    const user = await stored(member);
+    expect(user.city).toBe("Pune");
+    expect(user.role).toBe("user");
+  });
+
+  test("values are checked against the model", async () => {
+    const member = await createMember();
+
+    const res = await update(member, { heightCm: 400, diet: "Carnivore" });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.errors.map((error) => error.field).sort()).toEqual([
+      "diet",
+      "heightCm",
+    ]);
+  });
+
+  test("editing the bio sends the profile back to moderation", async () => {
+    const member = await createMember();
+    expect((await update(member, { bio: "Hello there" })).status).toBe(200);
+    expect((await stored(member)).moderation.status).toBe("pending");
+  });
+});
+
+describe("PATCH /api/profiles/me/preferences", () => {
+  test("merges into the stored preferences", async () => {
+    const member = await createMember({
+      partnerPreferences: { ageRange: { min: 25 }, religion: ["Hindu"] },
+    });
+
+    const res = await updatePreferences(member, {
+      ageRange: { max: 32 },
+      location: ["Pune", "Mumbai"],
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.partnerPreferences).toMatchObject({
+      ageRange: { min: 25, max: 32 },
+      religion: ["Hindu"],
+      location: ["Pune", "Mumbai"],
+    });
+
+    const got = await request(app)
+      .get("/api/profiles/me/preferences")
+      .set(bearer(member.token));
+    expect(got.body.partnerPreferences.ageRange).toEqual({ min: 25, max: 32 });
+  });
+
+  test("null clears a bound", async () => {
+    const member = await createMember({
+      partnerPreferences: { ageRange: { min: 25, max: 32 } },
+    });
+    const res = await updatePreferences(member, { ageRange: { min: null } });
+    expect(res.status).toBe(200);
+    expect((await stored(member)).partnerPreferences.ageRange.min).toBeNull();
+  });
+
+  test("unknown keys and crossed ranges are refused", async () => {
+    const member = await createMember({
+      partnerPreferences: { ageRange: { min: 25 } },
+    });
+
+    const unknown = await updatePreferences(member, { hobbies: ["Chess"] });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors[0].field).toBe("partnerPreferences.hobbies");
+
+    const crossed = await updatePreferences(member, { ageRange: { max: 20 } });
+    expect(crossed.status).toBe(400);
+    expect(crossed.body.errors[0].field).toBe(
+      "partnerPreferences.ageRange.max"
+    );
+    const { ageRange } = (await stored(member)).partnerPreferences;
+    expect(ageRange.max).toBeUndefined();
+  });
+});
@@ -0,0 +1,82 @@
+// Refresh tokens rotate on every use; a reused one ends the session
+const request = require("supertest");
+const app = require("../app");
+const Session = require("../models/Session");
+const { useTestDatabase } = require("./helpers/db");
+const { createUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const refresh = (refreshToken) =>
+  request(app).post("/api/auth/refresh").send({ refreshToken });
+
+const me = (token) => request(app).get("/api/profiles/me").set(bearer(token));
+
+describe("refresh tokens", () => {
+  test("a refresh token is swapped for a new pair", async () => {
+    const user = await createUser();
+    const first = await signIn(user);
+
+    const res = await refresh(first.refreshToken);
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).not.toBe(first.refreshToken);
+    expect((await me(res.body.token)).status).toBe(200);
+
+    // The new refresh token works in turn
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
+  test("reusing a rotated token revokes the whole session", async () => {
+    const user = await createUser();
+    const first = await signIn(user);
+    const rotated = await refresh(first.refreshToken);
+    expect(rotated.status).toBe(200);
+
+    const reuse = await refresh(first.refreshToken);
+    expect(reuse.status).toBe(401);
+
+    // Whoever holds the newer tokens is signed out too
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await me(rotated.body.token)).status).toBe(401);
+    const [session] = await Session.find({ user: user._id });
+    expect(session.revokedReason).toBe("refresh_token_reuse");
+  });
+
+  test("of two parallel refreshes with one token only one succeeds", async () => {
+    const user = await createUser();
+    const { refreshToken } = await signIn(user);
+
+    const results = await Promise.all([
+      refresh(refreshToken),
+      refresh(refreshToken),
+    ]);
+    expect(results.map((res) => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test("logging out ends refreshing", async () => {
+    const user = await createUser();
+    const { token, refreshToken } = await signIn(user);
+
+    await request(app).post("/api/auth/logout").set(bearer(token));
+    expect((await refresh(refreshToken)).status).toBe(401);
+    expect((await me(token)).status).toBe(401);
+  });
+
+  test("other sessions survive a logout", async () => {
+    const user = await createUser();
+    const phone = await signIn(user);
+    const laptop = await signIn(user);
+
+    await request(app).post("/api/auth/logout").set(bearer(phone.token));
+    expect((await refresh(laptop.refreshToken)).status).toBe(200);
+  });
+
+  test("malformed and unknown tokens are refused", async () => {
+    const user = await createUser();
+    const { refreshToken } = await signIn(user);
+    const [sessionId] = refreshToken.split(".");
+
+    expect((await refresh("not-a-token")).status).toBe(401);
+    expect((await refresh(`${sessionId}.wrong-secret`)).status).toBe(401);
+  });
+});
@@ -0,0 +1,112 @@
+// Profile search: multi-value filters, ranges and facet counts
+const request = require("supertest");
+const app = require("../app");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createUser,
+  createApprovedUser,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const bornYearsAgo = (years) =>
+  new Date(new Date().getFullYear() - years, 0, 15);
+
+// A verified searcher, who gets full results
+const createSearcher = async () => {
+  const user = await createApprovedUser({
+    gender: "Male",
+    city: "Nagpur",
+    emailVerified: true,
+    mobileVerified: true,
+  });
+  return { user, ...(await signIn(user)) };
+};
+
+const search = (searcher, query) =>
+  request(app)
+    .get("/api/profiles/search")
+    .query(query)
+    .set(bearer(searcher.token));
+
+const idsOf = (res) => res.body.results.map((profile) => profile._id).sort();
+const facet = (res, field) =>
+  Object.fromEntries(
+    res.body.facets[field].map(({ value, count }) => [value, count])
+  );
+
+describe("profile search", () => {
+  test("filters take several values, either comma separated or repeated", async () => {
+    const searcher = await createSearcher();
+    const pune = await createApprovedUser({ city: "Pune" });
+    const mumbai = await createApprovedUser({ city: "Mumbai" });
+    await createApprovedUser({ city: "Delhi", state: "Delhi" });
+    const expected = [String(pune._id), String(mumbai._id)].sort();
+
+    const comma = await search(searcher, { city: "pune,MUMBAI" });
+    expect(comma.status).toBe(200);
+    expect(idsOf(comma)).toEqual(expected);
+
+    const repeated = await search(searcher, "city=Pune&city=Mumbai");
+    expect(idsOf(repeated)).toEqual(expected);
+  });
+
+  test("age and height ranges bound the results", async () => {
+    const searcher = await createSearcher();
+    const inRange = await createApprovedUser({
+      dateOfBirth: bornYearsAgo(28),
+      heightCm: 165,
+    });
+    await createApprovedUser({ dateOfBirth: bornYearsAgo(40), heightCm: 165 });
+    await createApprovedUser({ dateOfBirth: bornYearsAgo(28), heightCm: 185 });
+
+    const res = await search(searcher, {
+      minAge: 25,
+      maxAge: 30,
+      minHeight: 150,
+      maxHeight: 170,
+    });
+    expect(idsOf(res)).toEqual([String(inRange._id)]);
+  });
+
+  test("each facet counts with every filter but its own", async () => {
+    const searcher = await createSearcher();
+    await createApprovedUser({ city: "Pune", religion: "Hindu" });
+    await createApprovedUser({ city: "Pune", religion: "Jain" });
+    await createApprovedUser({ city: "Mumbai", religion: "Hindu" });
+
+    const res = await search(searcher, { city: "Pune", religion: "Hindu" });
+    expect(res.body.total).toBe(1);
+    // Cities among Hindu profiles; the searcher is never counted
+    expect(facet(res, "city")).toEqual({ Pune: 1, Mumbai: 1 });
+    // Religions among Pune profiles
+    expect(facet(res, "religion")).toEqual({ Hindu: 1, Jain: 1 });
+  });
+
+  test("unapproved, inactive and own profiles are not found", async () => {
+    const searcher = await createSearcher();
+    const visible = await createApprovedUser();
+    await createUser(); // Awaiting moderation
+    await createApprovedUser({ isActive: false });
+    await createApprovedUser({
+      suspendedUntil: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    const res = await search(searcher, {});
+    expect(idsOf(res)).toEqual([String(visible._id)]);
+  });
+
+  test("unverified members only get a preview", async () => {
+    const user = await createApprovedUser({ gender: "Male" });
+    const searcher = { user, ...(await signIn(user)) };
+    for (let i = 0; i < 6; i += 1) await createApprovedUser();
+
+    const res = await search(searcher, { page: 2, limit: 20 });
+    expect(res.body.limited).toBe(true);
+    expect(res.body.page).toBe(1);
+    expect(res.body.results).toHaveLength(5);
+    expect(res.body.total).toBe(6);
+  });
+});
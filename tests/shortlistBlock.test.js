@@ -0,0 +1,109 @@
+// Shortlist and block lists; a block hides the two members from each other
+const request = require("supertest");
+const app = require("../app");
+const { useTestDatabase } = require("./helpers/db");
+const { createApprovedUser, signIn, bearer } = require("./helpers/fixtures");
+
+useTestDatabase();
+
+const createMember = async (overrides) => {
+  const user = await createApprovedUser(overrides);
+  return { user, ...(await signIn(user)) };
+};
+
+const relate = (member, list, other, method = "post") => {
+  const url = `/api/profiles/me/${list}/${other.user._id}`;
+  return request(app)[method](url).set(bearer(member.token));
+};
+
+const listOf = async (member, list) => {
+  const res = await request(app)
+    .get(`/api/profiles/me/${list}`)
+    .set(bearer(member.token));
+  expect(res.status).toBe(200);
+  return res.body[list === "blocked" ? "blocked" : "shortlist"].map(
+    (profile) => profile._id
+  );
+};
+
+const searchIds = async (member) => {
+  const res = await request(app)
+    .get("/api/profiles/search")
+    .query({ facets: "false" })
+    .set(bearer(member.token));
+  expect(res.status).toBe(200);
+  return res.body.results.map((profile) => profile._id);
+};
+
+const viewProfile = (member, other) =>
+  request(app)
+    .get(`/api/profiles/${other.user._id}`)
+    .set(bearer(member.token));
+
+describe("shortlist", () => {
+  test("shortlisted profiles are listed and flagged", async () => {
+    const alice = await createMember();
+    const bob = await createMember({ gender: "Male" });
+
+    expect((await relate(alice, "shortlist", bob)).status).toBe(200);
+    expect(await listOf(alice, "shortlist")).toEqual([String(bob.user._id)]);
+    expect((await viewProfile(alice, bob)).body.profile.isShortlisted).toBe(
+      true
+    );
+
+    await relate(alice, "shortlist", bob, "delete");
+    expect(await listOf(alice, "shortlist")).toEqual([]);
+  });
+
+  test("a member who blocks you leaves your shortlist", async () => {
+    const alice = await createMember();
+    const bob = await createMember({ gender: "Male" });
+    await relate(alice, "shortlist", bob);
+
+    await relate(bob, "blocked", alice);
+    expect(await listOf(alice, "shortlist")).toEqual([]);
+
+    // Unblocked, the entry shows again
+    await relate(bob, "blocked", alice, "delete");
+    expect(await listOf(alice, "shortlist")).toEqual([String(bob.user._id)]);
+  });
+
+  test("blocking someone drops them from your shortlist", async () => {
+    const alice = await createMember();
+    const bob = await createMember({ gender: "Male" });
+    await relate(alice, "shortlist", bob);
+
+    await relate(alice, "blocked", bob);
+    expect(await listOf(alice, "shortlist")).toEqual([]);
+    expect(await listOf(alice, "blocked")).toEqual([String(bob.user._id)]);
+  });
+
+  test("members who blocked you cannot be shortlisted", async () => {
+    const alice = await createMember();
+    const bob = await createMember({ gender: "Male" });
+    await relate(bob, "blocked", alice);
+
+    expect((await relate(alice, "shortlist", bob)).status).toBe(404);
+  });
+});
+
+describe("blocking", () => {
+  test("hides both members from each other's search and profile views", async () => {
+    const alice = await createMember();
+    const bob = await createMember({ gender: "Male" });
+    expect(await searchIds(alice)).toContain(String(bob.user._id));
+
+    await relate(alice, "blocked", bob);
+
+    expect(await searchIds(alice)).not.toContain(String(bob.user._id));
+    expect(await searchIds(bob)).not.toContain(String(alice.user._id));
+    expect((await viewProfile(alice, bob)).status).toBe(404);
+    expect((await viewProfile(bob, alice)).status).toBe(404);
+  });
+
+  test("you cannot block or shortlist yourself", async () => {
+    const alice = await createMember();
+    expect((await relate(alice, "blocked", alice)).status).toBe(400);
+    expect((await relate(alice, "shortlist", alice)).status).toBe(400);
+  });
+});
@@ -0,0 +1,74 @@
+// Local storage: files are only served through signed, expiring URLs
+const fs = require("fs");
+const request = require("supertest");
+const app = require("../app");
+const { getStorage, signedUrlFor } = require("../utils/storage");
+
+const KEY = "profile-pics/storage-test.webp";
+const CONTENT = Buffer.from("stored bytes");
+
+const storage = getStorage();
+beforeAll(() => storage.put(KEY, CONTENT));
+afterAll(() =>
+  fs.promises.rm(process.env.UPLOADS_DIR, { recursive: true, force: true })
+);
+
+const fetchFile = (url) => request(app).get(url).buffer(true);
+
+describe("local storage", () => {
+  test("stores, reads and removes files by key", async () => {
+    const key = "profile-pics/round-trip.webp";
+    await storage.put(key, CONTENT);
+    expect(await storage.get(key)).toEqual(CONTENT);
+    expect(storage.keyFromUrl(storage.publicUrl(key))).toBe(key);
+
+    await storage.remove(key);
+    await expect(storage.get(key)).rejects.toThrow();
+    // Removing a missing file is not an error
+    await storage.remove(key);
+  });
+
+  test("keys cannot leave the storage directory", async () => {
+    await expect(storage.put("../escape.txt", CONTENT)).rejects.toThrow(
+      "Invalid storage key"
+    );
+  });
+
+  test("a signed URL serves the file", async () => {
+    const url = await signedUrlFor(storage.publicUrl(KEY));
+    expect(url).toMatch(/^\/api\/files\/profile-pics\/storage-test\.webp\?/);
+
+    const res = await fetchFile(url);
+    expect(res.status).toBe(200);
+    expect(Buffer.from(res.body)).toEqual(CONTENT);
+  });
+
+  test("unsigned, tampered and expired URLs are refused", async () => {
+    expect((await fetchFile(`/api/files/${KEY}`)).status).toBe(403);
+
+    const url = await storage.getSignedUrl(KEY, 60);
+    const tampered = url.replace(
+      /signature=\w+/,
+      `signature=${"0".repeat(64)}`
+    );
+    expect((await fetchFile(tampered)).status).toBe(403);
+    // Signed for another file
+    const other = url.replace("storage-test", "other-file");
+    expect((await fetchFile(other)).status).toBe(403);
+
+    const expired = await storage.getSignedUrl(KEY, -1);
+    const res = await fetchFile(expired);
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("FORBIDDEN");
+  });
+
+  test("the uploads directory is not served directly", async () => {
+    const res = await fetchFile(storage.publicUrl(KEY));
+    expect(res.status).toBe(404);
+  });
+
+  test("URLs of other hosts are left as they are", async () => {
+    const url = "https://cdn.example.com/photo.jpg";
+    expect(await signedUrlFor(url)).toBe(url);
+  });
+});
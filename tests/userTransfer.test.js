@@ -0,0 +1,180 @@
+// Admin bulk import from CSV and export of the user list
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+const {
+  createUser,
+  createAdmin,
+  login,
+  signIn,
+  bearer,
+} = require("./helpers/fixtures");
+
+useTestDatabase();
+
+let admin;
+
+beforeEach(async () => {
+  const user = await createAdmin();
+  admin = { user, ...(await signIn(user)) };
+});
+
+const HEADER = [
+  "name",
+  "email",
+  "mobileNumber",
+  "password",
+  "gender",
+  "dateOfBirth",
+  "city",
+  "state",
+  "partnerPreferences.religion",
+].join(",");
+
+const row = (n, overrides = {}) =>
+  Object.values({
+    name: `Imported ${n}`,
+    email: `imported${n}@example.com`,
+    mobileNumber: `91234000${n}0`,
+    password: "imported-pass-42",
+    gender: "Male",
+    dateOfBirth: "1992-01-15",
+    city: "Indore",
+    state: "Madhya Pradesh",
+    religion: "Hindu;Jain",
+    ...overrides,
+  }).join(",");
+
+const importCsv = (lines, params = {}) =>
+  request(app)
+    .post("/api/admin/users/import")
+    .query(params)
+    .set(bearer(admin.token))
+    .attach("file", Buffer.from([HEADER, ...lines].join("\r\n")), "users.csv");
+
+const importedCount = () => User.countDocuments({ name: /^Imported/ });
+
+describe("user import", () => {
+  test("a dry run validates without creating anyone", async () => {
+    const res = await importCsv([row(1), row(2)], { dryRun: true });
+    expect(res.status).toBe(200);
+    expect(res.body.committed).toBe(false);
+    expect(res.body.summary).toMatchObject({ total: 2, valid: 2, created: 0 });
+    expect(await importedCount()).toBe(0);
+  });
+
+  test("valid rows are created approved, with list and nested values", async () => {
+    const res = await importCsv([row(1), row(2)]);
+    expect(res.status).toBe(201);
+    expect(res.body.summary.created).toBe(2);
+
+    const user = await User.findOne({ email: "imported1@example.com" });
+    expect(user.partnerPreferences.religion).toEqual(["Hindu", "Jain"]);
+    expect(user.mobileNumber).toBe("+919123400010");
+    expect(user.moderation.status).toBe("approved");
+    expect(user.isVerified).toBe(true);
+    expect((await login(user, "imported-pass-42")).status).toBe(200);
+  });
+
+  test("rows with problems block the import, each reported by line", async () => {
+    const existing = await createUser();
+
+    const res = await importCsv([
+      row(1),
+      row(2, { gender: "Unknown" }),
+      row(3, { email: existing.email }),
+      row(4, { email: "imported1@example.com" }),
+    ]);
+    expect(res.status).toBe(422);
+    expect(res.body.code).toBe("IMPORT_BLOCKED");
+    expect(res.body.rows.map(({ line, status }) => [line, status])).toEqual([
+      [2, "valid"],
+      [3, "invalid"],
+      [4, "conflict"],
+      [5, "conflict"],
+    ]);
+    expect(res.body.rows[1].errors[0].field).toBe("gender");
+    expect(res.body.rows[3].conflicts[0]).toMatchObject({
+      field: "email",
+      line: 2,
+    });
+    expect(await importedCount()).toBe(0);
+  });
+
+  test("skipInvalid creates the rows without problems", async () => {
+    const res = await importCsv([row(1), row(2, { gender: "Unknown" })], {
+      skipInvalid: true,
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.summary).toMatchObject({ created: 1, invalid: 1 });
+    expect(await importedCount()).toBe(1);
+  });
+
+  test("files that cannot be imported are refused", async () => {
+    const unknownColumn = await request(app)
+      .post("/api/admin/users/import")
+      .set(bearer(admin.token))
+      .attach("file", Buffer.from("name,role\r\nEve,admin"), "users.csv");
+    expect(unknownColumn.status).toBe(400);
+    expect(unknownColumn.body.message).toBe("Unknown columns: role");
+
+    const notCsv = await request(app)
+      .post("/api/admin/users/import")
+      .set(bearer(admin.token))
+      .attach("file", Buffer.from("{}"), {
+        filename: "users.json",
+        contentType: "application/json",
+      });
+    expect(notCsv.status).toBe(400);
+    expect(notCsv.body.errors[0].field).toBe("file");
+  });
+});
+
+describe("user export", () => {
+  test("CSV holds the filtered users without secrets", async () => {
+    const active = await createUser({ name: "=Active Member" });
+    await createUser({ isActive: false });
+
+    const res = await request(app)
+      .get("/api/admin/users/export?status=active")
+      .set(bearer(admin.token));
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toMatch(/users-.*\.csv/);
+
+    const [header, ...lines] = res.text.trim().split("\r\n");
+    const columns = header.split(",");
+    expect(columns).toEqual(
+      expect.arrayContaining(["_id", "email", "accountStatus"])
+    );
+    expect(columns).not.toContain("password");
+    // The active member and the admin
+    expect(lines).toHaveLength(2);
+    const cells = lines
+      .map((line) => line.split(","))
+      .find((values) => values[0] === String(active._id));
+    // Cells that spreadsheets would run as formulas are escaped
+    expect(cells[columns.indexOf("name")]).toBe("'=Active Member");
+    expect(cells[columns.indexOf("accountStatus")]).toBe("active");
+  });
+
+  test("JSON keeps nested fields as objects", async () => {
+    await createUser({ partnerPreferences: { ageRange: { min: 27 } } });
+
+    const res = await request(app)
+      .get("/api/admin/users/export?format=json")
+      .set(bearer(admin.token));
+    expect(res.status).toBe(200);
+    const member = res.body.find((user) => user.role === "user");
+    expect(member.partnerPreferences.ageRange.min).toBe(27);
+    expect(member).not.toHaveProperty("password");
+    expect(member.moderationStatus).toBe("pending");
+  });
+
+  test("an unknown format is refused", async () => {
+    const res = await request(app)
+      .get("/api/admin/users/export?format=xml")
+      .set(bearer(admin.token));
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,101 @@
+// Request bodies are checked against the shared schemas, which clients can
+// fetch; mobile numbers are stored in E.164 whatever way they were typed
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { useTestDatabase } = require("./helpers/db");
+
+useTestDatabase();
+
+let registered = 0;
+
+const registration = (overrides = {}) => {
+  registered += 1;
+  return {
+    name: "New Member",
+    email: `new${registered}@example.com`,
+    password: "correct-horse-42",
+    mobileNumber: "98765 43210",
+    gender: "Female",
+    dateOfBirth: "1996-08-14",
+    city: "Pune",
+    state: "Maharashtra",
+    ...overrides,
+  };
+};
+
+const register = (body) => request(app).post("/api/auth/register").send(body);
+
+const fieldsOf = (res) => res.body.errors.map((error) => error.field).sort();
+
+describe("request validation", () => {
+  test("every problem in a body is reported at once", async () => {
+    const res = await register(
+      registration({
+        email: "not-an-email",
+        gender: "Unknown",
+        heightCm: 20,
+        name: undefined,
+      })
+    );
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(fieldsOf(res)).toEqual(["email", "gender", "heightCm", "name"]);
+    expect(res.body.errors[0].location).toBe("body");
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  test("members must be adults", async () => {
+    const res = await register(registration({ dateOfBirth: "2015-01-01" }));
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({
+        field: "dateOfBirth",
+        message: expect.stringMatching(/^Age must be between 18 and/),
+      }),
+    ]);
+  });
+
+  test("the schemas are published for clients", async () => {
+    const res = await request(app).get("/api/schemas/register");
+    expect(res.status).toBe(200);
+    expect(res.body.schema.fields.gender).toMatchObject({
+      type: "string",
+      required: true,
+      enum: expect.arrayContaining(["Male", "Female"]),
+    });
+    expect(res.body.schema.fields.mobileNumber.type).toBe("mobile");
+
+    const all = await request(app).get("/api/schemas");
+    expect(all.body.mobileFormats.India.dialCode).toBe("91");
+    expect((await request(app).get("/api/schemas/nope")).status).toBe(404);
+  });
+});
+
+describe("mobile numbers", () => {
+  test("are stored in E.164 and match however they are typed", async () => {
+    const res = await register(registration());
+    expect(res.status).toBe(201);
+    expect(res.body.user.mobileNumber).toBe("+919876543210");
+
+    const again = await register(
+      registration({ mobileNumber: "+91 98765-43210" })
+    );
+    expect(again.status).toBe(409);
+    expect(again.body.errors).toEqual([
+      { field: "mobileNumber", message: "Already in use" },
+    ]);
+  });
+
+  test("are read for the country given", async () => {
+    const uk = await register(
+      registration({ country: "United Kingdom", mobileNumber: "07400 123456" })
+    );
+    expect(uk.status).toBe(201);
+    expect(uk.body.user.mobileNumber).toBe("+447400123456");
+
+    const india = await register(registration({ mobileNumber: "07400123456" }));
+    expect(india.status).toBe(400);
+    expect(fieldsOf(india)).toEqual(["mobileNumber"]);
+  });
+});
@@ -0,0 +1,107 @@
+// utils/accountStatus.js
+// Account status set by admins: active, deactivated (User.isActive false) or
+// suspended until a date (User.suspendedUntil). Inactive accounts cannot sign
+// in and are left out of every profile listing.
+const User = require("../models/User");
+const { revokeSessions } = require("./tokens");
+const { disconnectUser } = require("./realtime");
+
+const ACCOUNT_ACTIONS = ["activate", "deactivate", "suspend"];
+const ACCOUNT_STATUSES = ["active", "deactivated", "suspended"];
+
+// Session.revokedReason for users signed out by an action
+const REVOKE_REASONS = {
+  deactivate: "account_deactivated",
+  suspend: "account_suspended",
+};
+
+/**
+ * Query condition for accounts that are currently active. A suspension ends
+ * by itself once its date has passed.
+ */
+const activeAccountFilter = () => ({
+  isActive: true,
+  suspendedUntil: { $not: { $gt: new Date() } },
+});
+
+/**
+ * Query condition for accounts with the given status (see ACCOUNT_STATUSES).
+ */
+const accountStatusFilter = (status) => {
+  if (status === "deactivated") return { isActive: false };
+  if (status === "suspended") {
+    return { isActive: true, suspendedUntil: { $gt: new Date() } };
+  }
+  return activeAccountFilter();
+};
+
+/**
+ * Status of an account as shown to admins and in refused logins.
+ * @returns {{ status: string, suspendedUntil?: Date, reason?: string }}
+ */
+const describeAccountStatus = (user) => {
+  let status = "active";
+  if (!user.isActive) status = "deactivated";
+  else if (!user.isAccountActive()) status = "suspended";
+  return {
+    status,
+    suspendedUntil: status === "suspended" ? user.suspendedUntil : undefined,
+    reason: status === "active" ? undefined : user.statusReason,
+    changedAt: user.statusChangedAt,
+  };
+};
+
+/**
+ * Client-facing reason a sign-in or request is refused, or null if the
+ * account is active.
+ */
+const inactiveAccountMessage = (user) => {
+  const { status, suspendedUntil } = describeAccountStatus(user);
+  if (status === "deactivated") return "Account is deactivated.";
+  if (status === "suspended") {
+    return `Account is suspended until ${suspendedUntil.toISOString()}.`;
+  }
+  return null;
+};
+
+/**
+ * Applies an admin action to one or more accounts. Deactivated and suspended
+ * users are signed out of every session and their open sockets are closed.
+ * @param {Array<string>} userIds
+ * @param {string} action - One of ACCOUNT_ACTIONS.
+ * @param {{ until?: Date, reason?: string }} options - until is required for suspend.
+ * @param {string} adminId
+ * @returns {Promise<{ matched: number, modified: number }>}
+ */
+const setAccountStatus = async (userIds, action, options, adminId) => {
+  const update = {
+    $set: {
+      isActive: action !== "deactivate",
+      statusReason: options.reason || null,
+      statusChangedAt: new Date(),
+      statusChangedBy: adminId,
+    },
+  };
+  if (action === "suspend") {
+    update.$set.suspendedUntil = options.until;
+  } else {
+    update.$unset = { suspendedUntil: "" };
+  }
+
+  const result = await User.updateMany({ _id: { $in: userIds } }, update);
+  if (REVOKE_REASONS[action]) {
+    await revokeSessions({ user: { $in: userIds } }, REVOKE_REASONS[action]);
+    userIds.forEach((userId) => disconnectUser(userId));
+  }
+  return { matched: result.matchedCount, modified: result.modifiedCount };
+};
+
+module.exports = {
+  ACCOUNT_ACTIONS,
+  ACCOUNT_STATUSES,
+  activeAccountFilter,
+  accountStatusFilter,
+  describeAccountStatus,
+  inactiveAccountMessage,
+  setAccountStatus,
+};
@@ -0,0 +1,357 @@
+// utils/analytics.js
+// Aggregations behind the admin dashboard (/api/admin/stats). Every figure
+// counts member accounts (not admins); range is an optional condition on
+// createdAt, i.e. members who registered in that period.
+const User = require("../models/User");
+const { accountStatusFilter } = require("./accountStatus");
+const { ValidationError } = require("./errorHandler");
+const { APPROVED_PROFILE_FILTER } = require("./moderation");
+const { AGE_BANDS, bandLabels, dateYearsAgo } = require("./profileSearch");
+
+const CACHE_TTL_SECONDS =
+  parseInt(process.env.ANALYTICS_CACHE_TTL_SECONDS, 10) || 300;
+const CACHE_MAX_ENTRIES = 200;
+
+const BUCKETS = ["day", "week", "month"];
+// Registrations timeline length when no from date is given
+const DEFAULT_BUCKET_COUNT = { day: 30, week: 12, month: 12 };
+const MAX_BUCKET_COUNT = 400;
+
+// Distributions with many distinct values only list the largest ones
+const DISTRIBUTION_FIELDS = {
+  gender: 0,
+  religion: 0,
+  profileCreatedBy: 0,
+  state: 50,
+  city: 50,
+};
+
+const filled = (field) => ({ [field]: { $nin: [null, ""] } });
+
+// Profile completion steps in the order members are asked for them. A member
+// reaches a step once every condition up to and including it holds.
+const FUNNEL_STEPS = [
+  { step: "registered", condition: {} },
+  { step: "verified", condition: { isVerified: true } },
+  { step: "photo", condition: filled("profilePicture") },
+  { step: "about", condition: filled("bio") },
+  {
+    step: "background",
+    condition: {
+      ...filled("religion"),
+      ...filled("educationLevel"),
+      ...filled("occupation"),
+    },
+  },
+  {
+    step: "family",
+    condition: { ...filled("familyType"), ...filled("familyValues") },
+  },
+  {
+    step: "partnerPreferences",
+    condition: {
+      $or: [
+        { "partnerPreferences.ageRange.min": { $type: "number" } },
+        { "partnerPreferences.religion.0": { $exists: true } },
+        { "partnerPreferences.location.0": { $exists: true } },
+      ],
+    },
+  },
+  { step: "approved", condition: APPROVED_PROFILE_FILTER },
+];
+
+const memberFilter = (range) => ({
+  role: "user",
+  ...(range && { createdAt: range }),
+});
+
+// --- Cache ---
+// Per process, keyed by report and request params. Entries expire after
+// ANALYTICS_CACHE_TTL_SECONDS; the oldest go first once the cache is full.
+const cache = new Map();
+
+/**
+ * Returns the cached result for key, or computes and caches it.
+ * @param {string} key
+ * @param {() => Promise<object>} compute
+ * @param {boolean} [refresh] - Recompute even if a fresh result is cached.
+ * @returns {Promise<{ data: object, generatedAt: Date, cached: boolean }>}
+ */
+const cached = async (key, compute, refresh = false) => {
+  const hit = cache.get(key);
+  if (!refresh && hit && hit.expiresAt > Date.now()) {
+    return { data: hit.data, generatedAt: hit.generatedAt, cached: true };
+  }
+
+  const data = await compute();
+  const generatedAt = new Date();
+  cache.delete(key);
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, {
+    data,
+    generatedAt,
+    expiresAt: generatedAt.getTime() + CACHE_TTL_SECONDS * 1000,
+  });
+  return { data, generatedAt, cached: false };
+};
+
+// --- Reports ---
+
+/**
+ * Totals, account status and verification counts.
+ * @param {object} [range] - Condition on createdAt.
+ */
+const accountOverview = async (range) => {
+  const filter = memberFilter(range);
+  const count = (condition) =>
+    User.countDocuments({ $and: [filter, condition] });
+  const [
+    totalUsers,
+    active,
+    deactivated,
+    suspended,
+    verified,
+    emailVerified,
+    mobileVerified,
+  ] = await Promise.all([
+    count({}),
+    count(accountStatusFilter("active")),
+    count(accountStatusFilter("deactivated")),
+    count(accountStatusFilter("suspended")),
+    count({ isVerified: true }),
+    count({ emailVerified: true }),
+    count({ mobileVerified: true }),
+  ]);
+  return {
+    totalUsers,
+    accounts: {
+      active,
+      inactive: deactivated + suspended,
+      deactivated,
+      suspended,
+    },
+    verification: {
+      verified,
+      unverified: totalUsers - verified,
+      emailVerified,
+      mobileVerified,
+    },
+  };
+};
+
+// First instant (UTC) of the day, Monday-based week or month holding date
+const startOfBucket = (date, bucket) => {
+  const start = new Date(
+    Date.UTC(
+      date.getUTCFullYear(),
+      date.getUTCMonth(),
+      bucket === "month" ? 1 : date.getUTCDate()
+    )
+  );
+  if (bucket === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  return start;
+};
+
+// Start of the bucket n buckets after (or, if negative, before) start
+const shiftBucket = (start, bucket, n) => {
+  const shifted = new Date(start);
+  if (bucket === "month") {
+    shifted.setUTCMonth(shifted.getUTCMonth() + n);
+  } else {
+    const days = bucket === "week" ? 7 : 1;
+    shifted.setUTCDate(shifted.getUTCDate() + n * days);
+  }
+  return shifted;
+};
+
+// Start of every bucket from the one holding from to the one holding to
+const bucketStarts = (from, to, bucket) => {
+  const starts = [];
+  for (
+    let start = startOfBucket(from, bucket);
+    start <= to;
+    start = shiftBucket(start, bucket, 1)
+  ) {
+    starts.push(start);
+  }
+  return starts;
+};
+
+/**
+ * Registrations per day, week (starting Monday) or month, in UTC. Buckets
+ * without registrations are included with a count of 0; the first and last
+ * buckets only count the part inside the range.
+ * @param {{ $gte?: Date, $lt?: Date, $lte?: Date }} [range] - Condition on
+ *   createdAt. Without a start, the last DEFAULT_BUCKET_COUNT buckets are used.
+ * @param {string} bucket - One of BUCKETS.
+ * @returns {Promise<object>} Throws a 400 error when the range needs more than
+ *   MAX_BUCKET_COUNT buckets.
+ */
+const registrationSeries = async (range, bucket) => {
+  const end = (range && (range.$lt || range.$lte)) || new Date();
+  const start =
+    (range && range.$gte) ||
+    shiftBucket(
+      startOfBucket(end, bucket),
+      bucket,
+      1 - DEFAULT_BUCKET_COUNT[bucket]
+    );
+
+  // $lt ends just before its date, so that date's bucket is not included
+  const last = range && range.$lt ? new Date(end.getTime() - 1) : end;
+  const starts = bucketStarts(start, last, bucket);
+  if (starts.length > MAX_BUCKET_COUNT) {
+    throw new ValidationError(
+      `Date range too long for ${bucket} buckets (at most ${MAX_BUCKET_COUNT}).`
+    );
+  }
+
+  const createdAt = range && range.$lt ? { $lt: end } : { $lte: end };
+  createdAt.$gte = start;
+  const rows = await User.aggregate([
+    { $match: memberFilter(createdAt) },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: "$createdAt",
+            unit: bucket,
+            ...(bucket === "week" && { startOfWeek: "monday" }),
+          },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const counts = new Map(rows.map(({ _id, count }) => [_id.getTime(), count]));
+
+  const series = starts.map((bucketStart) => ({
+    start: bucketStart,
+    count: counts.get(bucketStart.getTime()) || 0,
+  }));
+  return {
+    bucket,
+    from: start,
+    to: end,
+    total: series.reduce((sum, { count }) => sum + count, 0),
+    series,
+  };
+};
+
+/**
+ * Member counts by gender, religion, state, city, profileCreatedBy and age
+ * band. Members who left a field empty are counted under value null.
+ * @param {object} [range] - Condition on createdAt.
+ */
+const profileDistributions = async (range) => {
+  const facets = {};
+  Object.entries(DISTRIBUTION_FIELDS).forEach(([field, limit]) => {
+    facets[field] = [
+      {
+        $group: {
+          // "" and missing values are counted together
+          _id: {
+            $cond: [
+              { $eq: [{ $ifNull: [`$${field}`, ""] }, ""] },
+              null,
+              `$${field}`,
+            ],
+          },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { count: -1, _id: 1 } },
+      ...(limit ? [{ $limit: limit }] : []),
+    ];
+  });
+
+  // Age bands bucket on date of birth, so boundaries run oldest first
+  const ageBounds = [...AGE_BANDS].reverse().map(dateYearsAgo);
+  const ageLabels = bandLabels(AGE_BANDS).reverse();
+  facets.ageBand = [
+    {
+      $bucket: {
+        groupBy: "$dateOfBirth",
+        boundaries: ageBounds,
+        default: "other",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ];
+
+  const [raw = {}] = await User.aggregate([
+    { $match: memberFilter(range) },
+    { $facet: facets },
+  ]);
+
+  const result = {};
+  Object.keys(DISTRIBUTION_FIELDS).forEach((field) => {
+    result[field] = (raw[field] || []).map(({ _id, count }) => ({
+      value: _id,
+      count,
+    }));
+  });
+  // Youngest band first; "other" holds missing or out-of-range dates
+  result.ageBand = (raw.ageBand || [])
+    .map(({ _id, count }) => ({
+      value:
+        _id === "other"
+          ? null
+          : ageLabels[
+              ageBounds.findIndex((b) => b.valueOf() === _id.valueOf())
+            ],
+      count,
+    }))
+    .reverse();
+  return result;
+};
+
+/**
+ * Members reaching each FUNNEL_STEPS step, with the share of registered
+ * members and of the previous step.
+ * @param {object} [range] - Condition on createdAt.
+ */
+const completionFunnel = async (range) => {
+  const facets = {};
+  FUNNEL_STEPS.forEach(({ step }, i) => {
+    facets[step] = [
+      {
+        $match: {
+          $and: FUNNEL_STEPS.slice(0, i + 1).map((s) => s.condition),
+        },
+      },
+      { $count: "count" },
+    ];
+  });
+
+  const [raw = {}] = await User.aggregate([
+    { $match: memberFilter(range) },
+    { $facet: facets },
+  ]);
+
+  const counts = FUNNEL_STEPS.map(({ step }) =>
+    raw[step] && raw[step][0] ? raw[step][0].count : 0
+  );
+  const share = (count, of) => (of ? Math.round((count / of) * 1000) / 10 : 0);
+  return {
+    steps: FUNNEL_STEPS.map(({ step }, i) => ({
+      step,
+      count: counts[i],
+      percentOfRegistered: share(counts[i], counts[0]),
+      percentOfPrevious: i === 0 ? 100 : share(counts[i], counts[i - 1]),
+    })),
+  };
+};
+
+module.exports = {
+  BUCKETS,
+  cached,
+  accountOverview,
+  registrationSeries,
+  profileDistributions,
+  completionFunnel,
+};
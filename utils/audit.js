@@ -0,0 +1,59 @@
+// utils/audit.js
+// Records admin and sensitive account actions in the AuditLog collection.
+// A failed write is logged but never fails the action being audited.
+const AuditLog = require("../models/AuditLog");
+
+/**
+ * { field: { from, to } } for the fields whose values differ between two
+ * plain snapshots of the same document.
+ */
+const diffFields = (before, after, fields) =>
+  fields.reduce((changes, field) => {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+
+/**
+ * @param {import('express').Request} req - Supplies the IP, user agent and,
+ *   unless actor is given, the acting user (req.user).
+ * @param {object|Array<object>} entries - One entry, or several written at once.
+ * @param {string} entries.action - e.g. "user.update", "auth.password_change".
+ * @param {string} [entries.target] - User the action was done to.
+ * @param {{ userId: string, role: string }} [entries.actor] - For routes
+ *   without req.user, such as logins.
+ * @param {object} [entries.changes] - { [field]: { from, to } }
+ * @param {object} [entries.metadata]
+ */
+const recordAudit = async (req, entries) => {
+  const list = Array.isArray(entries) ? entries : [entries];
+  const docs = list.map((entry) => {
+    const actor = entry.actor || req.user || {};
+    return {
+      actor: actor.userId,
+      actorRole: actor.role,
+      action: entry.action,
+      target: entry.target,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+      changes: Object.entries(entry.changes || {}).map(([field, change]) => ({
+        field,
+        ...change,
+      })),
+      metadata: entry.metadata,
+    };
+  });
+  try {
+    await AuditLog.insertMany(docs);
+  } catch (err) {
+    console.error(
+      `Error writing audit log (${list.map((e) => e.action).join(", ")}):`,
+      err
+    );
+  }
+};
+
+module.exports = { diffFields, recordAudit };
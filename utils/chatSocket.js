@@ -0,0 +1,127 @@
+// utils/chatSocket.js
+// WebSocket endpoint for live chat, sharing the HTTP server with Express.
+// Connect to ws(s)://<host>/ws?token=<access token> (the same JWT that
+// authMiddleware checks). Client frames:
+//   { type: "message", conversationId, text }
+//   { type: "read", conversationId }
+// Server frames: "ready", "message", "read" and "error" events.
+const { WebSocketServer } = require("ws");
+const { verifyAccessToken } = require("../middleware/authMiddleware");
+const { sanitizeInput } = require("../middleware/security");
+const { addClient, removeClient } = require("./realtime");
+const { sendMessage, markRead } = require("./messaging");
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Largest frame accepted; ws closes the socket (1009) on bigger ones. A
+// message of MAX_MESSAGE_LENGTH characters fits with room to spare.
+const MAX_FRAME_BYTES = 16 * 1024;
+
+const sendEvent = (socket, event) => socket.send(JSON.stringify(event));
+
+const handleFrame = async (socket, userId, raw) => {
+  let frame;
+  try {
+    frame = JSON.parse(raw);
+  } catch (err) {
+    return sendEvent(socket, { type: "error", message: "Invalid JSON" });
+  }
+  // null, numbers, strings and arrays are valid JSON but not frames
+  if (!frame || typeof frame !== "object" || Array.isArray(frame)) {
+    return sendEvent(socket, { type: "error", message: "Invalid frame" });
+  }
+  // Cleaned like REST bodies (sanitizeBody), so messages are stored the same
+  // way whichever channel they came in on
+  frame = sanitizeInput(frame);
+
+  try {
+    if (frame.type === "message") {
+      // sendMessage checks the length, as for REST, and delivers the stored
+      // message to both sides
+      await sendMessage(userId, frame.conversationId, frame.text);
+    } else if (frame.type === "read") {
+      await markRead(userId, frame.conversationId);
+    } else {
+      sendEvent(socket, { type: "error", message: "Unknown event type" });
+    }
+  } catch (err) {
+    if (!err.status) console.error("Chat socket error:", err);
+    sendEvent(socket, {
+      type: "error",
+      message: err.status ? err.message : "Server error",
+      code: err.status ? err.code : "INTERNAL_ERROR",
+      conversationId: frame?.conversationId,
+    });
+  }
+};
+
+/**
+ * Attaches the chat WebSocket server to an http.Server.
+ * @param {import('http').Server} server
+ */
+const attachChatServer = (server) => {
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_FRAME_BYTES,
+  });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/ws") {
+      socket.destroy();
+      return;
+    }
+
+    let result;
+    try {
+      result = await verifyAccessToken(url.searchParams.get("token") || "");
+    } catch (err) {
+      console.error("Chat socket auth error:", err);
+      result = { error: "Server error" };
+    }
+    if (result.error) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit("connection", ws, result.decoded);
+    });
+  });
+
+  wss.on("connection", (ws, user) => {
+    const userId = String(user.userId);
+    ws.isAlive = true;
+    addClient(userId, ws, user.sid);
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (data) =>
+      handleFrame(ws, userId, data.toString()).catch((err) =>
+        console.error("Chat socket error:", err)
+      )
+    );
+    ws.on("close", () => removeClient(userId, ws));
+    // ws closes the socket itself on protocol errors such as a frame over
+    // MAX_FRAME_BYTES; unhandled, the "error" event would end the process
+    ws.on("error", () => {});
+
+    sendEvent(ws, { type: "ready", userId });
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = attachChatServer;
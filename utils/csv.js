@@ -0,0 +1,104 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV reading and writing for the admin import/export:
+// comma separated, fields optionally quoted with "", quotes doubled inside.
+const { ValidationError } = require("./errorHandler");
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted fields containing
+ * commas, quotes and line breaks, CRLF or LF line endings and a leading BOM.
+ * Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<{ line: number, cells: Array<string> }>} line is the
+ *   1-based line the row starts on.
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.length > 1 || cells[0] !== "") {
+      rows.push({ line: rowLine, cells });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === ",") {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError(
+      `Unclosed quote in the row starting on line ${rowLine}`
+    );
+  }
+  endRow();
+  return rows;
+};
+
+/**
+ * Parses CSV text with a header row into one object per data row.
+ * @param {string} text
+ * @returns {{ columns: Array<string>, records: Array<{ line: number, values: object }> }}
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  const columns = header ? header.cells.map((name) => name.trim()) : [];
+  return {
+    columns,
+    records: rows.map(({ line, cells }) => ({
+      line,
+      values: Object.fromEntries(
+        columns.map((column, i) => [column, (cells[i] || "").trim()])
+      ),
+    })),
+  };
+};
+
+// Spreadsheet apps run cells starting with these as formulas; numbers such
+// as "+919876543210" or "-5" are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d[\d\s.]*$/;
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text) && !NUMBER.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV line (with trailing CRLF) from a list of values.
+ * @param {Array<*>} values - Dates are written as ISO 8601.
+ */
+const toCsvLine = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+module.exports = { parseCsv, toCsvLine };
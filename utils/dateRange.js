@@ -0,0 +1,28 @@
+// utils/dateRange.js
+// from/to query params turned into a Mongo date condition.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDateOnly = (raw) => /^\d{4}-\d{2}-\d{2}$/.test(raw);
+
+/**
+ * Condition matching dates between from and to, both inclusive. Either may be
+ * omitted. A to without a time ("2024-05-31") covers that whole day.
+ * @param {string} [from] - ISO 8601 date.
+ * @param {string} [to] - ISO 8601 date.
+ * @returns {object|undefined} e.g. { $gte: Date, $lt: Date }, or undefined
+ *   when neither is given.
+ */
+const dateRangeCondition = (from, to) => {
+  if (!from && !to) return undefined;
+  const condition = {};
+  if (from) condition.$gte = new Date(from);
+  if (to && isDateOnly(to)) {
+    condition.$lt = new Date(Date.parse(to) + DAY_MS);
+  } else if (to) {
+    condition.$lte = new Date(to);
+  }
+  return condition;
+};
+
+module.exports = { DAY_MS, dateRangeCondition };
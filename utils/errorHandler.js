@@ -0,0 +1,210 @@
+// utils/errorHandler.js
+// Application errors and the one response shape every error is sent in:
+//
+//   { success: false, code: "NOT_FOUND", message: "User not found",
+//     errors?: [{ field, message, location? }], details?: { ... } }
+//
+// code is stable and meant for programs; message is for people. Routes throw
+// (or pass to next) the typed errors below; errorMiddleware turns them, and
+// Mongoose/body-parser errors, into responses. Anything else is a 500 whose
+// details are only logged.
+
+// Code used for each status when an error does not name its own
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  422: "UNPROCESSABLE",
+  423: "LOCKED",
+  429: "RATE_LIMITED",
+  500: "INTERNAL_ERROR",
+};
+
+/**
+ * An error whose message is safe to show to the client.
+ * @param {number} status - HTTP status code.
+ * @param {string} message - Client-facing message.
+ * @param {object} [options]
+ * @param {string} [options.code] - Overrides the default code for the status.
+ * @param {Array<{ field: string, message: string }>} [options.errors] -
+ *   Per-field problems.
+ * @param {object} [options.details] - Extra data for the client.
+ */
+class AppError extends Error {
+  constructor(status, message, { code, errors, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || STATUS_CODES[500];
+    this.errors = errors;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = "Validation failed", options = {}) {
+    super(400, message, { code: "VALIDATION_FAILED", ...options });
+  }
+
+  /**
+   * From an express-validator validationResult.
+   */
+  static fromValidationResult(result) {
+    return new ValidationError("Validation failed", {
+      errors: result.array().map((e) => ({
+        field: e.path,
+        message: e.msg,
+        location: e.location,
+      })),
+    });
+  }
+}
+
+class AuthError extends AppError {
+  constructor(message = "Authentication required", options = {}) {
+    super(401, message, options);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "You are not allowed to do this", options = {}) {
+    super(403, message, options);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", options = {}) {
+    super(404, message, options);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict", options = {}) {
+    super(409, message, options);
+  }
+}
+
+class RateLimitError extends AppError {
+  /**
+   * @param {string} message
+   * @param {number} [retryAfter] - Seconds; sent as the Retry-After header
+   *   and details.retryAfter.
+   */
+  constructor(message = "Too many requests", retryAfter, options = {}) {
+    super(429, message, {
+      ...options,
+      details: retryAfter
+        ? { ...options.details, retryAfter }
+        : options.details,
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// "Cast to Number failed for value ..." is not for end users
+const castMessage = (err) =>
+  err.kind === "ObjectId"
+    ? "Invalid ID format"
+    : `Must be a valid ${String(err.kind).toLowerCase()}`;
+
+/**
+ * Turns any error into an AppError. Mongoose CastError, ValidationError and
+ * duplicate keys (11000) and body-parser errors are mapped; other errors
+ * become a generic 500.
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  if (err.name === "CastError") {
+    return new ValidationError(
+      err.kind === "ObjectId" ? "Invalid ID format" : `Invalid ${err.path}`,
+      { errors: [{ field: err.path, message: castMessage(err) }] }
+    );
+  }
+  if (err.name === "ValidationError" && err.errors) {
+    return new ValidationError("Validation failed", {
+      errors: Object.entries(err.errors).map(([field, e]) => ({
+        field,
+        message: e.name === "CastError" ? castMessage(e) : e.message,
+      })),
+    });
+  }
+  if (err.code === 11000) {
+    const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+    return new ConflictError(
+      field
+        ? `Another account already uses this ${field}.`
+        : "This record already exists.",
+      { errors: field ? [{ field, message: "Already in use" }] : undefined }
+    );
+  }
+  // body-parser
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError(413, "Request body is too large");
+  }
+  // Errors from other libraries that are marked safe to show (http-errors)
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500 && err.expose) {
+    return new AppError(status, err.message);
+  }
+  return new AppError(500, "Something went wrong. Please try again later.");
+};
+
+/**
+ * Sends err in the shared response shape.
+ * @param {import('express').Response} res
+ * @param {Error} err - Any error; see toAppError.
+ */
+const sendError = (res, err) => {
+  const appError = toAppError(err);
+  if (appError.status >= 500) {
+    // Full error only in the server log, never in the response
+    console.error("Unhandled error:", err);
+  }
+  if (appError.retryAfter) res.set("Retry-After", String(appError.retryAfter));
+  return res.status(appError.status).json({
+    success: false,
+    code: appError.code,
+    message: appError.message,
+    ...(appError.errors && { errors: appError.errors }),
+    ...(appError.details && { details: appError.details }),
+  });
+};
+
+// Express error middleware, registered last in app.js (Express needs all
+// four parameters to treat it as one)
+const errorMiddleware = (err, req, res, next) => {
+  if (res.headersSent) {
+    // Too late for an error response (e.g. a streamed export)
+    console.error("Error after response started:", err);
+    return res.destroy();
+  }
+  sendError(res, err);
+};
+
+// Requests that matched no route
+const notFoundHandler = (req, res) =>
+  sendError(
+    res,
+    new NotFoundError(`No route for ${req.method} ${req.baseUrl}${req.path}`)
+  );
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  toAppError,
+  sendError,
+  errorMiddleware,
+  notFoundHandler,
+};
@@ -0,0 +1,143 @@
+// utils/imagePipeline.js
+// Turns an uploaded image into the sizes we serve. Each size is re-encoded
+// from decoded pixels, which drops EXIF (GPS, camera) and other metadata;
+// orientation is applied first so nothing relies on the EXIF tag.
+const crypto = require("crypto");
+const sharp = require("sharp");
+const { ValidationError } = require("./errorHandler");
+const { getStorage } = require("./storage");
+
+const OUTPUT_DIR = "profile-pics";
+const OUTPUT_FORMAT = "webp";
+
+// Served sizes; "full" is what profilePicture / photos[] point at. "blur" is
+// the placeholder shown to viewers without access (see utils/photoAccess.js).
+const IMAGE_SIZES = {
+  thumb: { width: 150, height: 150, fit: "cover" },
+  card: { width: 480, height: 600, fit: "cover" },
+  full: { width: 1280, height: 1280, fit: "inside" },
+  blur: { width: 48, height: 60, fit: "cover", blurSigma: 6 },
+};
+
+// Refuse decompression bombs: tiny files that decode to huge images
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Leading bytes of the formats we accept
+const SIGNATURES = [
+  {
+    type: "jpeg",
+    test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  {
+    type: "png",
+    test: (b) =>
+      b
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: "gif",
+    test: (b) => ["GIF87a", "GIF89a"].includes(b.toString("ascii", 0, 6)),
+  },
+  {
+    type: "webp",
+    test: (b) =>
+      b.toString("ascii", 0, 4) === "RIFF" &&
+      b.toString("ascii", 8, 12) === "WEBP",
+  },
+];
+
+/**
+ * Detects the real image type from the file's magic bytes.
+ * @param {Buffer} buffer
+ * @returns {string|null} "jpeg", "png", "gif", "webp" or null if not a supported image.
+ */
+const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const match = SIGNATURES.find(({ test }) => test(buffer));
+  return match ? match.type : null;
+};
+
+/**
+ * Stores every size of an uploaded image with the storage backend and
+ * returns their URLs.
+ * @param {Buffer} buffer - Original upload, already checked with detectImageType.
+ * @param {string} prefix - File name prefix, e.g. the multer field name.
+ * @returns {Promise<{ thumb: string, card: string, full: string, blur: string }>}
+ */
+const storeImage = async (buffer, prefix = "image") => {
+  const base = `${prefix}-${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+  // Viewers without access get the blurred copy's URL, so its key must not
+  // lead to the other sizes
+  const blurBase = `${prefix}-${crypto.randomBytes(16).toString("hex")}`;
+  // Decode once, auto-orient, then derive each size from the same pipeline
+  const source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  let encoded;
+  try {
+    encoded = await Promise.all(
+      Object.entries(IMAGE_SIZES).map(async ([size, options]) => {
+        const { blurSigma, ...resize } = options;
+        let pipeline = source
+          .clone()
+          .resize({ ...resize, withoutEnlargement: true });
+        if (blurSigma) pipeline = pipeline.blur(blurSigma);
+        return { size, data: await pipeline.webp({ quality: 80 }).toBuffer() };
+      })
+    );
+  } catch (err) {
+    // sharp could not decode the upload
+    throw new ValidationError(
+      "The image could not be processed. Please upload a different file."
+    );
+  }
+
+  const storage = getStorage();
+  const urls = {};
+  try {
+    await Promise.all(
+      encoded.map(async ({ size, data }) => {
+        const name = size === "blur" ? blurBase : base;
+        const key = `${OUTPUT_DIR}/${name}-${size}.${OUTPUT_FORMAT}`;
+        await storage.put(key, data, `image/${OUTPUT_FORMAT}`);
+        urls[size] = storage.publicUrl(key);
+      })
+    );
+  } catch (err) {
+    await removeImage(urls);
+    throw err;
+  }
+  return urls;
+};
+
+// Deletes a stored file by the URL kept in the database. URLs that do not
+// belong to the active storage driver are left alone.
+const removeUploadedFile = async (url) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  if (!key) return;
+  try {
+    await storage.remove(key);
+  } catch (err) {
+    console.error("Error deleting image file:", err);
+  }
+};
+
+/**
+ * Deletes every stored size of an image.
+ * @param {object} sizes - { thumb, card, full, blur } URLs (missing ones are skipped).
+ */
+const removeImage = async (sizes) => {
+  if (!sizes) return;
+  await Promise.all(
+    Object.keys(IMAGE_SIZES).map((size) => removeUploadedFile(sizes[size]))
+  );
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  detectImageType,
+  storeImage,
+  removeImage,
+  removeUploadedFile,
+};
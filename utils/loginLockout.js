@@ -0,0 +1,138 @@
+// utils/loginLockout.js
+// Progressive lockout against password guessing. Every LOGIN_MAX_FAILED_ATTEMPTS
+// wrong passwords in a row lock the account, for LOGIN_LOCK_MINUTES the first
+// time and twice as long each time after (at most a day), until a password
+// check succeeds. Locking emails the owner a link that unlocks the account
+// straight away.
+const crypto = require("crypto");
+const User = require("../models/User");
+const { AppError } = require("./errorHandler");
+const { sendEmail } = require("./notifier");
+
+const MAX_FAILED_ATTEMPTS =
+  parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const BASE_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+const LOCK_FIELDS = "+failedLoginAttempts +lockCount +lockUntil";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const lockMinutes = (lockCount) =>
+  Math.min(BASE_LOCK_MINUTES * 2 ** (lockCount - 1), MAX_LOCK_MINUTES);
+
+const lockedError = (lockUntil) =>
+  new AppError(
+    423,
+    `Too many failed sign-in attempts. The account is locked until ${lockUntil.toISOString()}; check your email for a link to unlock it now.`,
+    { code: "ACCOUNT_LOCKED", details: { lockedUntil: lockUntil } }
+  );
+
+/**
+ * Stores a new unlock token for the user and emails the link.
+ * @param {object} user - User document (needs _id and email).
+ * @param {Date} lockUntil - When the lock ends by itself.
+ */
+const sendUnlockEmail = async (user, lockUntil) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { unlockTokenHash: hashToken(token) } }
+  );
+  const unlockUrl = `${
+    process.env.FRONTEND_URL || "http://localhost:5173"
+  }/unlock-account?token=${token}`;
+  await sendEmail({
+    to: user.email,
+    subject: "Your account has been locked",
+    text: `We locked your account after several failed sign-in attempts. It unlocks by itself at ${lockUntil.toISOString()}, or right away with this link: ${unlockUrl}\nIf these attempts were not you, consider changing your password after signing in.`,
+  });
+};
+
+// Counts a failed check; locks the account when it was one too many
+const recordFailure = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select(LOCK_FIELDS);
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) return;
+
+  const lockCount = (updated.lockCount || 0) + 1;
+  const lockUntil = new Date(Date.now() + lockMinutes(lockCount) * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockCount, lockUntil } }
+  );
+  try {
+    await sendUnlockEmail(updated, lockUntil);
+  } catch (err) {
+    // The lock still ends by itself
+    console.error("Error sending unlock email:", err);
+  }
+  throw lockedError(lockUntil);
+};
+
+/**
+ * user.comparePassword behind the lockout: a locked account fails with 423
+ * ACCOUNT_LOCKED without the password being checked; a wrong password counts
+ * towards a lock (and fails with 423 when it causes one); a right one clears
+ * the count.
+ * @param {object} user - User document.
+ * @param {string} candidatePassword
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+const checkPassword = async (user, candidatePassword) => {
+  const state = await User.findById(user._id).select(LOCK_FIELDS);
+  if (state && state.lockUntil && state.lockUntil.getTime() > Date.now()) {
+    throw lockedError(state.lockUntil);
+  }
+
+  const isMatch = await user.comparePassword(candidatePassword);
+  if (!isMatch) {
+    await recordFailure(user);
+    return false;
+  }
+  if (state && (state.failedLoginAttempts || state.lockCount)) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { failedLoginAttempts: 0, lockCount: 0 },
+        $unset: { lockUntil: 1, unlockTokenHash: 1 },
+      }
+    );
+  }
+  return true;
+};
+
+/**
+ * Emails a fresh unlock link if the account with this email is locked.
+ * Does nothing otherwise, so callers can answer the same either way.
+ * @param {string} email
+ */
+const requestUnlock = async (email) => {
+  const user = await User.findOne({
+    email: String(email).toLowerCase(),
+    lockUntil: { $gt: new Date() },
+  }).select("+lockUntil");
+  if (user) await sendUnlockEmail(user, user.lockUntil);
+};
+
+/**
+ * Unlocks the account an unlock link was sent for. The lockout starts over
+ * from the first step.
+ * @param {string} token - From the unlock link.
+ * @returns {Promise<object|null>} The user, or null for an unknown or used token.
+ */
+const unlockWithToken = async (token) =>
+  User.findOneAndUpdate(
+    { unlockTokenHash: hashToken(token) },
+    {
+      $set: { failedLoginAttempts: 0, lockCount: 0 },
+      $unset: { lockUntil: 1, unlockTokenHash: 1 },
+    },
+    { new: true }
+  );
+
+module.exports = { checkPassword, requestUnlock, unlockWithToken };
@@ -0,0 +1,190 @@
+// utils/matching.js
+// Compatibility scoring between two profiles based on partnerPreferences.
+const { dateYearsAgo, escapeRegex } = require("./profileSearch");
+
+// Relative weight of each criterion; only criteria the seeker actually set
+// count towards their score.
+const CRITERIA_WEIGHTS = {
+  ageRange: 20,
+  religion: 15,
+  heightRangeCm: 10,
+  caste: 10,
+  maritalStatus: 10,
+  educationLevel: 10,
+  location: 10,
+  occupation: 5,
+  manglik: 5,
+  diet: 5,
+};
+
+const calculateAge = (dateOfBirth) => {
+  if (!dateOfBirth) return null;
+  const dob = new Date(dateOfBirth);
+  const now = new Date();
+  let age = now.getFullYear() - dob.getFullYear();
+  const beforeBirthday =
+    now.getMonth() < dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() < dob.getDate());
+  if (beforeBirthday) age -= 1;
+  return age;
+};
+
+const normalize = (value) =>
+  typeof value === "string" ? value.trim().toLowerCase() : value;
+
+// A bound cleared through PATCH /me/preferences is null: no bound
+const hasRange = (range) =>
+  !!range && (range.min != null || range.max != null);
+
+const inRange = (value, range) => {
+  if (value === null || value === undefined) return false;
+  if (range.min != null && value < range.min) return false;
+  if (range.max != null && value > range.max) return false;
+  return true;
+};
+
+const hasList = (list) => Array.isArray(list) && list.length > 0;
+
+const inList = (value, list) =>
+  !!value && list.map(normalize).includes(normalize(value));
+
+// Each check returns undefined when the seeker expressed no preference
+const checks = {
+  ageRange: (prefs, candidate) =>
+    hasRange(prefs.ageRange)
+      ? inRange(calculateAge(candidate.dateOfBirth), prefs.ageRange)
+      : undefined,
+  heightRangeCm: (prefs, candidate) =>
+    hasRange(prefs.heightRangeCm)
+      ? inRange(candidate.heightCm, prefs.heightRangeCm)
+      : undefined,
+  religion: (prefs, candidate) =>
+    hasList(prefs.religion)
+      ? inList(candidate.religion, prefs.religion)
+      : undefined,
+  caste: (prefs, candidate) =>
+    hasList(prefs.caste) ? inList(candidate.caste, prefs.caste) : undefined,
+  maritalStatus: (prefs, candidate) =>
+    hasList(prefs.maritalStatus)
+      ? inList(candidate.maritalStatus, prefs.maritalStatus)
+      : undefined,
+  educationLevel: (prefs, candidate) =>
+    hasList(prefs.educationLevel)
+      ? inList(candidate.educationLevel, prefs.educationLevel)
+      : undefined,
+  occupation: (prefs, candidate) =>
+    hasList(prefs.occupation)
+      ? inList(candidate.occupation, prefs.occupation)
+      : undefined,
+  location: (prefs, candidate) =>
+    hasList(prefs.location)
+      ? [candidate.city, candidate.state, candidate.country].some((place) =>
+          inList(place, prefs.location)
+        )
+      : undefined,
+  manglik: (prefs, candidate) =>
+    prefs.manglik && prefs.manglik !== "Doesn't Matter"
+      ? candidate.manglik === prefs.manglik
+      : undefined,
+  diet: (prefs, candidate) =>
+    hasList(prefs.diet) ? inList(candidate.diet, prefs.diet) : undefined,
+};
+
+/**
+ * Scores how well a candidate fits a seeker's partner preferences.
+ * @param {object} preferences - The seeker's partnerPreferences.
+ * @param {object} candidate - The candidate profile.
+ * @returns {{ score: number, matched: string[], unmatched: string[] }}
+ *   score is 0-100; 100 when the seeker set no preferences at all.
+ */
+const scoreAgainstPreferences = (preferences, candidate) => {
+  const prefs = preferences || {};
+  const matched = [];
+  const unmatched = [];
+  let totalWeight = 0;
+  let matchedWeight = 0;
+
+  Object.keys(CRITERIA_WEIGHTS).forEach((criterion) => {
+    const result = checks[criterion](prefs, candidate);
+    if (result === undefined) return;
+    totalWeight += CRITERIA_WEIGHTS[criterion];
+    if (result) {
+      matchedWeight += CRITERIA_WEIGHTS[criterion];
+      matched.push(criterion);
+    } else {
+      unmatched.push(criterion);
+    }
+  });
+
+  const score =
+    totalWeight === 0 ? 100 : Math.round((matchedWeight / totalWeight) * 100);
+  return { score, matched, unmatched };
+};
+
+/**
+ * Two-way compatibility: how well the candidate fits the viewer's
+ * preferences and how well the viewer fits the candidate's.
+ * @returns {{ score: number, theyFitMe: object, iFitThem: object }}
+ */
+const scoreCompatibility = (viewer, candidate) => {
+  const theyFitMe = scoreAgainstPreferences(
+    viewer.partnerPreferences,
+    candidate
+  );
+  const iFitThem = scoreAgainstPreferences(
+    candidate.partnerPreferences,
+    viewer
+  );
+  return {
+    score: Math.round((theyFitMe.score + iFitThem.score) / 2),
+    theyFitMe,
+    iFitThem,
+  };
+};
+
+// Case-insensitive exact match on any of the values, as inList compares
+const anyOf = (list) => ({
+  $in: list
+    .filter((value) => typeof value === "string" && value.trim())
+    .map((value) => new RegExp(`^${escapeRegex(value.trim())}$`, "i")),
+});
+
+/**
+ * Mongo condition for the hard preferences (age range, religion, location):
+ * candidates that fail one of them are not matches, so they are left out
+ * before scoring. Criteria the seeker did not set add nothing.
+ * @param {object} preferences - The seeker's partnerPreferences.
+ * @returns {object}
+ */
+const preferenceFilter = (preferences) => {
+  const prefs = preferences || {};
+  const filter = {};
+  if (hasRange(prefs.ageRange)) {
+    const { min, max } = prefs.ageRange;
+    const born = {};
+    if (Number.isFinite(min)) born.$lte = dateYearsAgo(min);
+    if (Number.isFinite(max)) born.$gt = dateYearsAgo(max + 1);
+    if (Object.keys(born).length) filter.dateOfBirth = born;
+  }
+  if (hasList(prefs.religion)) filter.religion = anyOf(prefs.religion);
+  if (hasList(prefs.location)) {
+    const places = anyOf(prefs.location);
+    filter.$or = [
+      { city: places },
+      { state: places },
+      { country: places },
+    ];
+  }
+  return filter;
+};
+
+const OPPOSITE_GENDER = { Male: "Female", Female: "Male" };
+
+module.exports = {
+  CRITERIA_WEIGHTS,
+  OPPOSITE_GENDER,
+  calculateAge,
+  preferenceFilter,
+  scoreAgainstPreferences,
+  scoreCompatibility,
+};
@@ -0,0 +1,178 @@
+// utils/messaging.js
+// Conversation/message operations shared by the REST routes and the
+// WebSocket channel. Failures throw the typed errors of errorHandler.js
+// (ValidationError, ForbiddenError, NotFoundError), whose status and code
+// both channels report.
+const mongoose = require("mongoose");
+const Conversation = require("../models/Conversation");
+const Message = require("../models/Message");
+const Interest = require("../models/Interest");
+const User = require("../models/User");
+const { emitToUser } = require("./realtime");
+const { inactiveAccountMessage } = require("./accountStatus");
+const { isBlockedBetween } = require("./profileRelations");
+const { assertCanSendMessage } = require("./subscriptions");
+const {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("./errorHandler");
+
+// Longest message, in characters, on either channel
+const MAX_MESSAGE_LENGTH = 2000;
+
+const assertConnected = async (userA, userB) => {
+  const [connected, blocked] = await Promise.all([
+    Interest.areConnected(userA, userB),
+    isBlockedBetween(userA, userB),
+  ]);
+  if (!connected || blocked) {
+    throw new ForbiddenError(
+      "You can only message profiles you are connected with."
+    );
+  }
+};
+
+/**
+ * Returns the conversation between two connected users, creating it on first use.
+ */
+const openConversation = async (userId, otherUserId) => {
+  if (String(userId) === String(otherUserId)) {
+    throw new ValidationError("You cannot message yourself.");
+  }
+  await assertConnected(userId, otherUserId);
+
+  const participants = [userId, otherUserId]
+    .map(String)
+    .sort()
+    .map((id) => new mongoose.Types.ObjectId(id));
+  return Conversation.findOneAndUpdate(
+    { participantKey: Conversation.keyFor(userId, otherUserId) },
+    { $setOnInsert: { participants } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Loads a conversation the user takes part in; 404 otherwise so ids of
+ * other people's conversations are not confirmed.
+ */
+const getConversation = async (userId, conversationId) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+    throw new ValidationError("Invalid conversation ID format");
+  }
+  const conversation = await Conversation.findById(conversationId);
+  if (!conversation || !conversation.hasParticipant(userId)) {
+    throw new NotFoundError("Conversation not found");
+  }
+  return conversation;
+};
+
+/**
+ * Pages through a conversation newest first. Pass the oldest message id
+ * already seen as `before` to load the previous page.
+ */
+const listMessages = async (userId, conversationId, { before, limit }) => {
+  const conversation = await getConversation(userId, conversationId);
+  const filter = { conversation: conversation._id };
+  if (before) {
+    if (!mongoose.Types.ObjectId.isValid(before)) {
+      throw new ValidationError("Invalid cursor");
+    }
+    filter._id = { $lt: before };
+  }
+
+  const messages = await Message.find(filter)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+  return {
+    messages: page,
+    hasMore,
+    nextCursor: hasMore ? page[page.length - 1]._id : null,
+  };
+};
+
+/**
+ * Stores a message and pushes it live to both participants' open sockets.
+ * The sender's plan limits how many messages they can send a day.
+ * @param {string} text - Trimmed here; 1 to MAX_MESSAGE_LENGTH characters.
+ */
+const sendMessage = async (senderId, conversationId, text) => {
+  const body = typeof text === "string" ? text.trim() : "";
+  if (body.length < 1 || body.length > MAX_MESSAGE_LENGTH) {
+    throw new ValidationError(
+      `Message must be between 1 and ${MAX_MESSAGE_LENGTH} characters`,
+      { errors: [{ field: "text", message: "Invalid length" }] }
+    );
+  }
+  // A socket opened before the account was deactivated or suspended must not
+  // keep sending
+  const sender = await User.findById(senderId).select(
+    "isActive suspendedUntil"
+  );
+  if (!sender || !sender.isAccountActive()) {
+    throw new ForbiddenError(
+      sender ? inactiveAccountMessage(sender) : "Account is not active",
+      { code: "ACCOUNT_INACTIVE" }
+    );
+  }
+  const conversation = await getConversation(senderId, conversationId);
+  const recipientId = conversation.otherParticipant(senderId);
+  // The connection must still stand at the time of sending
+  await assertConnected(senderId, recipientId);
+  await assertCanSendMessage(senderId);
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    recipient: recipientId,
+    text: body,
+  });
+
+  conversation.lastMessage = {
+    text: message.text,
+    sender: message.sender,
+    sentAt: message.createdAt,
+  };
+  await conversation.save();
+
+  const event = { type: "message", message };
+  emitToUser(recipientId, event);
+  emitToUser(senderId, event); // Sync the sender's other devices
+  return message;
+};
+
+/**
+ * Marks every unread message addressed to the user as read and sends a read
+ * receipt to the other participant.
+ * @returns {Promise<{ readAt: Date, updated: number }>}
+ */
+const markRead = async (userId, conversationId) => {
+  const conversation = await getConversation(userId, conversationId);
+  const readAt = new Date();
+  const result = await Message.updateMany(
+    { conversation: conversation._id, recipient: userId, readAt: null },
+    { readAt }
+  );
+
+  if (result.modifiedCount > 0) {
+    emitToUser(conversation.otherParticipant(userId), {
+      type: "read",
+      conversationId: conversation._id,
+      readerId: userId,
+      readAt,
+    });
+  }
+  return { readAt, updated: result.modifiedCount };
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  openConversation,
+  getConversation,
+  listMessages,
+  sendMessage,
+  markRead,
+};
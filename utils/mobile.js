@@ -0,0 +1,72 @@
+// utils/mobile.js
+// Mobile number formats by country and conversion to the one form numbers
+// are stored and compared in: E.164 ("+919876543210"). The same number typed
+// as "+91 98765 43210", "09876543210" or "9876543210" is one account's number.
+
+// National mobile number formats by country (the values of User.country).
+// The number may also be written with the dial code (+91...) or a leading 0;
+// spaces, dashes and brackets are ignored.
+const MOBILE_FORMATS = {
+  India: { dialCode: "91", pattern: "^[6-9]\\d{9}$", example: "9876543210" },
+  "United States": {
+    dialCode: "1",
+    pattern: "^[2-9]\\d{9}$",
+    example: "2025550123",
+  },
+  Canada: { dialCode: "1", pattern: "^[2-9]\\d{9}$", example: "4165550123" },
+  "United Kingdom": {
+    dialCode: "44",
+    pattern: "^7\\d{9}$",
+    example: "7400123456",
+  },
+  "United Arab Emirates": {
+    dialCode: "971",
+    pattern: "^5\\d{8}$",
+    example: "501234567",
+  },
+  Australia: { dialCode: "61", pattern: "^4\\d{8}$", example: "412345678" },
+  Singapore: { dialCode: "65", pattern: "^[89]\\d{7}$", example: "81234567" },
+};
+// Other countries, or no country given: any international number, with its
+// dial code (+ or 00 in front is optional)
+const DEFAULT_MOBILE_FORMAT = {
+  pattern: "^(\\+|00)?[1-9]\\d{6,14}$",
+  example: "+14165550123",
+};
+
+/**
+ * The number in E.164 form, or null when it is not a valid mobile number for
+ * the country (see MOBILE_FORMATS).
+ * @param {string} value
+ * @param {string} [country]
+ * @returns {string|null}
+ */
+const normalizeMobile = (value, country) => {
+  if (value === undefined || value === null) return null;
+  const number = String(value).replace(/[\s\-()]/g, "");
+  const format = MOBILE_FORMATS[country];
+  if (!format) {
+    if (!new RegExp(DEFAULT_MOBILE_FORMAT.pattern).test(number)) return null;
+    return `+${number.replace(/^(\+|00)/, "")}`;
+  }
+  const national = number
+    .replace(new RegExp(`^(\\+|00)${format.dialCode}`), "")
+    .replace(/^0/, "");
+  if (!new RegExp(format.pattern).test(national)) return null;
+  return `+${format.dialCode}${national}`;
+};
+
+/**
+ * Whether value is a valid mobile number for the country.
+ * @param {string} value
+ * @param {string} [country]
+ */
+const isValidMobile = (value, country) =>
+  normalizeMobile(value, country) !== null;
+
+module.exports = {
+  MOBILE_FORMATS,
+  DEFAULT_MOBILE_FORMAT,
+  normalizeMobile,
+  isValidMobile,
+};
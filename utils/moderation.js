@@ -0,0 +1,148 @@
+// utils/moderation.js
+// Review of profiles (User.moderation) and photos (status fields on
+// User.photoSizes / User.profilePictureSizes). Pending and rejected items are
+// only shown to their owner and to admins. Profiles and photos from before
+// moderation existed have no status and count as approved.
+const path = require("path");
+const { ConflictError, NotFoundError } = require("./errorHandler");
+const { sendEmail } = require("./notifier");
+
+// Reason codes an admin picks from when rejecting, with the text users see
+const REJECTION_REASONS = {
+  inappropriate_content: "It contains inappropriate or offensive content.",
+  contact_details:
+    "Contact details are not allowed in the profile text or photos.",
+  misleading: "It appears to be fake or misleading.",
+  incomplete: "Required details are missing or unclear.",
+  photo_quality:
+    "The photo is blurry, too small or does not clearly show a face.",
+  not_the_member: "The photo does not appear to show the member.",
+  other: "See the moderator's note.",
+};
+
+// Query condition for profiles other users may see
+const APPROVED_PROFILE_FILTER = {
+  "moderation.status": { $nin: ["pending", "rejected"] },
+};
+
+// Works for User.moderation and for a photo's sizes entry
+const isApproved = (item) =>
+  !item || !item.status || item.status === "approved";
+
+/**
+ * Review state as shown to the owner, with the reason text for rejections.
+ */
+const describeReview = (item) => ({
+  status: (item && item.status) || "approved",
+  reasonCode: item && item.reasonCode,
+  reason: item && item.reasonCode ? REJECTION_REASONS[item.reasonCode] : null,
+  note: item && item.note,
+  reviewedAt: item && item.reviewedAt,
+});
+
+// A review notification must never fail the review itself
+const notify = async (user, subject, text) => {
+  try {
+    await sendEmail({ to: user.email, subject, text });
+  } catch (err) {
+    console.error("Error sending moderation notification:", err);
+  }
+};
+
+const rejectionText = ({ reasonCode, note }) =>
+  `Reason: ${REJECTION_REASONS[reasonCode]}${note ? `\nNote: ${note}` : ""}`;
+
+/**
+ * Approves or rejects a profile and emails the owner.
+ * @param {object} user - User document.
+ * @param {{ status: string, reasonCode?: string, note?: string }} decision
+ * @param {string} reviewerId - The admin's user id.
+ */
+const reviewProfile = async (user, decision, reviewerId) => {
+  user.moderation = {
+    status: decision.status,
+    reasonCode: decision.reasonCode,
+    note: decision.note,
+    submittedAt: user.moderation && user.moderation.submittedAt,
+    reviewedAt: new Date(),
+    reviewedBy: reviewerId,
+  };
+  const saved = await user.save();
+
+  if (decision.status === "approved") {
+    await notify(
+      user,
+      "Your profile is live",
+      "Your profile has been approved and is now visible to other members."
+    );
+  } else {
+    await notify(
+      user,
+      "Your profile needs changes",
+      `Your profile was not approved.\n${rejectionText(
+        decision
+      )}\nUpdate your profile and resubmit it for review.`
+    );
+  }
+  return saved;
+};
+
+/**
+ * Approves or rejects one photo, by file name, and emails the owner. The
+ * profile picture is reviewed too when it is the same image.
+ */
+const reviewPhoto = async (user, fileName, decision) => {
+  const review = {
+    status: decision.status,
+    reasonCode: decision.reasonCode,
+    note: decision.note,
+    reviewedAt: new Date(),
+  };
+  const matches = (sizes) =>
+    sizes && path.basename(sizes.full || "") === fileName;
+
+  const entries = user.photoSizes.filter(matches);
+  const isPrimary = matches(user.profilePictureSizes);
+  if (entries.length === 0 && !isPrimary) {
+    throw new NotFoundError("Photo not found");
+  }
+  entries.forEach((entry) => Object.assign(entry, review));
+  if (isPrimary) {
+    Object.entries(review).forEach(([field, value]) =>
+      user.set(`profilePictureSizes.${field}`, value)
+    );
+  }
+  const saved = await user.save();
+
+  if (decision.status === "rejected") {
+    await notify(
+      user,
+      "One of your photos was not approved",
+      `A photo you uploaded was not approved.\n${rejectionText(
+        decision
+      )}\nDelete it and upload a different photo.`
+    );
+  }
+  return saved;
+};
+
+/**
+ * Puts a rejected profile back in the review queue.
+ */
+const resubmitProfile = async (user) => {
+  if (!user.moderation || user.moderation.status !== "rejected") {
+    throw new ConflictError("Only rejected profiles can be resubmitted.");
+  }
+  user.moderation = { status: "pending", submittedAt: new Date() };
+  return user.save();
+};
+
+module.exports = {
+  REJECTION_REASONS,
+  APPROVED_PROFILE_FILTER,
+  isApproved,
+  describeReview,
+  reviewProfile,
+  reviewPhoto,
+  resubmitProfile,
+};
@@ -0,0 +1,57 @@
+// utils/notifier.js
+// Outbound email/SMS go through a pluggable transport so the app works
+// offline. Pick one with NOTIFY_TRANSPORT ("console" by default, or "file"),
+// or register a real provider with registerTransport().
+const fs = require("fs");
+const path = require("path");
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(
+      `[notifier] ${message.channel} to ${message.to}: ${
+        message.subject ? message.subject + " - " : ""
+      }${message.text}`
+    );
+  },
+};
+
+const fileTransport = {
+  send: async (message) => {
+    const logPath =
+      process.env.NOTIFY_FILE_PATH ||
+      path.join(__dirname, "../logs/notifications.log");
+    await fs.promises.mkdir(path.dirname(logPath), { recursive: true });
+    const line = JSON.stringify({ ...message, sentAt: new Date() });
+    await fs.promises.appendFile(logPath, line + "\n");
+  },
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+// A transport is any object with an async send({ channel, to, subject, text })
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error("A transport must implement send(message)");
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.NOTIFY_TRANSPORT || "console";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown notification transport: ${name}`);
+  }
+  return transport;
+};
+
+const sendEmail = ({ to, subject, text }) =>
+  getTransport().send({ channel: "email", to, subject, text });
+
+const sendSms = ({ to, text }) =>
+  getTransport().send({ channel: "sms", to, text });
+
+module.exports = { registerTransport, sendEmail, sendSms };
@@ -0,0 +1,91 @@
+// utils/otp.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const Otp = require("../models/Otp");
+const { sendEmail, sendSms } = require("./notifier");
+
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS =
+  parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS, 10) || 60;
+
+const generateCode = () =>
+  crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+/**
+ * Creates a fresh one-time code for the user on the given channel and sends it.
+ * Any earlier code for the same channel is discarded.
+ * @param {object} user - User document (needs _id, email, mobileNumber).
+ * @param {"email"|"mobile"} channel
+ * @returns {Promise<{ sent: boolean, retryAfter?: number }>}
+ */
+const issueOtp = async (user, channel) => {
+  const previous = await Otp.findOne({ user: user._id, channel });
+  if (previous) {
+    const elapsed = (Date.now() - previous.createdAt.getTime()) / 1000;
+    if (elapsed < OTP_RESEND_COOLDOWN_SECONDS) {
+      return {
+        sent: false,
+        retryAfter: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - elapsed),
+      };
+    }
+    await previous.deleteOne();
+  }
+
+  const code = generateCode();
+  await Otp.create({
+    user: user._id,
+    channel,
+    codeHash: await bcrypt.hash(code, 10),
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000),
+    maxAttempts: OTP_MAX_ATTEMPTS,
+  });
+
+  const text = `Your verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`;
+  if (channel === "email") {
+    await sendEmail({ to: user.email, subject: "Verify your email", text });
+  } else {
+    await sendSms({ to: user.mobileNumber, text });
+  }
+  return { sent: true };
+};
+
+/**
+ * Checks a code for the user's channel. The code is consumed on success and
+ * discarded once it expires or runs out of attempts.
+ * @returns {Promise<"valid"|"invalid"|"expired"|"missing"|"locked">}
+ */
+const verifyOtp = async (userId, channel, code) => {
+  const otp = await Otp.findOne({ user: userId, channel });
+  if (!otp) return "missing";
+
+  if (otp.isExpired()) {
+    await otp.deleteOne();
+    return "expired";
+  }
+  // Use up an attempt before comparing, so parallel guesses cannot all get
+  // in under the limit
+  const claimed = await Otp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: otp.maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    await Otp.deleteOne({ _id: otp._id });
+    return "locked";
+  }
+
+  if (await claimed.compareCode(code)) {
+    // Only one of several parallel requests with the right code gets to use it
+    const { deletedCount } = await Otp.deleteOne({ _id: claimed._id });
+    return deletedCount ? "valid" : "missing";
+  }
+
+  if (claimed.attempts >= claimed.maxAttempts) {
+    await Otp.deleteOne({ _id: claimed._id });
+    return "locked";
+  }
+  return "invalid";
+};
+
+module.exports = { issueOtp, verifyOtp };
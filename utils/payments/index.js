@@ -0,0 +1,77 @@
+// utils/payments/index.js
+// Payment provider for plan checkouts, chosen with PAYMENT_PROVIDER; without
+// it checkouts are unavailable. PAYMENT_PROVIDER=mock (see mockProvider.js)
+// is for development only and refused when NODE_ENV is production; it signs
+// its webhooks with PAYMENT_WEBHOOK_SECRET. Add a real provider (Razorpay,
+// Stripe...) with registerProvider(). A provider is an object with:
+//   name
+//   createCheckout({ paymentId, amount, currency, description, email,
+//     successUrl, cancelUrl }) -> Promise<{ providerPaymentId, checkoutUrl }>
+//   parseWebhook({ rawBody, headers }) -> { providerPaymentId, status }
+//     where status is "paid", "failed" or "cancelled". Throws when the
+//     request is not from the provider.
+const createMockProvider = require("./mockProvider");
+const { AppError } = require("../errorHandler");
+
+const WEBHOOK_STATUSES = ["paid", "failed", "cancelled"];
+
+// Whether PAYMENT_PROVIDER selects the mock provider and it may be used here
+const isMockPaymentsEnabled = () =>
+  process.env.PAYMENT_PROVIDER === "mock" &&
+  process.env.NODE_ENV !== "production";
+
+const factories = {
+  mock: () => {
+    if (!isMockPaymentsEnabled()) {
+      throw new Error("The mock payment provider cannot be used in production");
+    }
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+      throw new Error("PAYMENT_WEBHOOK_SECRET is required for mock payments");
+    }
+    return createMockProvider({
+      signingSecret: process.env.PAYMENT_WEBHOOK_SECRET,
+    });
+  },
+};
+
+/**
+ * @param {string} name - Value of PAYMENT_PROVIDER that selects it.
+ * @param {Function} factory - Returns the provider; called on first use.
+ */
+const registerProvider = (name, factory) => {
+  if (typeof factory !== "function") {
+    throw new Error("A payment provider is registered with a factory function");
+  }
+  factories[name] = factory;
+};
+
+let provider;
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER;
+    if (!name) {
+      throw new AppError(503, "Payments are not available right now", {
+        code: "PAYMENTS_UNAVAILABLE",
+      });
+    }
+    if (!factories[name]) throw new Error(`Unknown payment provider: ${name}`);
+    const created = factories[name]();
+    if (
+      typeof created.createCheckout !== "function" ||
+      typeof created.parseWebhook !== "function"
+    ) {
+      throw new Error(
+        "A payment provider must implement createCheckout and parseWebhook"
+      );
+    }
+    provider = created;
+  }
+  return provider;
+};
+
+module.exports = {
+  WEBHOOK_STATUSES,
+  isMockPaymentsEnabled,
+  registerProvider,
+  getPaymentProvider,
+};
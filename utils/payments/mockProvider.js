@@ -0,0 +1,53 @@
+// utils/payments/mockProvider.js
+// Payment provider for development and testing; nothing is charged. Its
+// checkout URL is POST /api/subscriptions/mock-checkout/:id, which settles
+// the checkout by sending the webhook a real provider would, signed with
+// signingSecret.
+const crypto = require("crypto");
+const { AuthError, ValidationError } = require("../errorHandler");
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+const createMockProvider = ({ signingSecret }) => {
+  const sign = (payload) =>
+    crypto.createHmac("sha256", signingSecret).update(payload).digest("hex");
+
+  return {
+    name: "mock",
+
+    async createCheckout() {
+      const providerPaymentId = `mock_${crypto.randomBytes(12).toString("hex")}`;
+      return {
+        providerPaymentId,
+        checkoutUrl: `/api/subscriptions/mock-checkout/${providerPaymentId}`,
+      };
+    },
+
+    // The webhook request the provider sends when a checkout is settled
+    buildWebhook(providerPaymentId, status) {
+      const rawBody = Buffer.from(
+        JSON.stringify({ providerPaymentId, status })
+      );
+      return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) } };
+    },
+
+    parseWebhook({ rawBody, headers }) {
+      const expected = Buffer.from(sign(rawBody));
+      const given = Buffer.from(String(headers[SIGNATURE_HEADER] || ""));
+      if (
+        expected.length !== given.length ||
+        !crypto.timingSafeEqual(expected, given)
+      ) {
+        throw new AuthError("Invalid webhook signature");
+      }
+      try {
+        const { providerPaymentId, status } = JSON.parse(rawBody);
+        return { providerPaymentId, status };
+      } catch (err) {
+        throw new ValidationError("Invalid webhook payload");
+      }
+    },
+  };
+};
+
+module.exports = createMockProvider;
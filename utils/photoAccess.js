@@ -0,0 +1,154 @@
+// utils/photoAccess.js
+// Who may see a member's photos (User.photoVisibility), and how photos are
+// shown in API responses: signed, expiring URLs when the viewer has access,
+// the blurred variant otherwise.
+//   everyone    - anyone, including anonymous visitors
+//   connections - accepted interest either way, or access granted on request
+//   on_request  - only members the owner granted access to
+const Interest = require("../models/Interest");
+const PhotoAccess = require("../models/PhotoAccess");
+const { signedUrlFor } = require("./storage");
+const { isApproved } = require("./moderation");
+
+const PHOTO_VISIBILITIES = ["everyone", "connections", "on_request"];
+
+/**
+ * Resolves photo access for a viewer over several owners in two queries.
+ * @param {object|undefined} viewer - req.user ({ userId, role }), or undefined
+ *   for anonymous visitors.
+ * @param {Array<object>} owners - Profiles with _id and photoVisibility.
+ * @returns {Promise<Set<string>>} ids of the owners whose photos the viewer may see.
+ */
+const resolvePhotoAccess = async (viewer, owners) => {
+  const allowed = new Set();
+  const restricted = [];
+  owners.forEach((owner) => {
+    const id = String(owner._id);
+    const visibility = owner.photoVisibility || "everyone";
+    if (
+      visibility === "everyone" ||
+      (viewer && (viewer.role === "admin" || String(viewer.userId) === id))
+    ) {
+      allowed.add(id);
+    } else if (viewer) {
+      restricted.push({ id, visibility });
+    }
+  });
+  if (restricted.length === 0) return allowed;
+
+  const ids = restricted.map((owner) => owner.id);
+  const [grants, connected] = await Promise.all([
+    PhotoAccess.find({
+      owner: { $in: ids },
+      requester: viewer.userId,
+      status: "granted",
+    }).distinct("owner"),
+    Interest.connectedIds(viewer.userId, ids),
+  ]);
+
+  const granted = new Set(grants.map(String));
+  restricted.forEach(({ id, visibility }) => {
+    if (
+      granted.has(id) ||
+      (visibility === "connections" && connected.has(id))
+    ) {
+      allowed.add(id);
+    }
+  });
+  return allowed;
+};
+
+const signOrEmpty = (url) => (url ? signedUrlFor(url) : null);
+
+// Moderation fields (status, reasonCode, ...) are kept alongside the URLs
+const signSizes = async (sizes = {}) => ({
+  ...sizes,
+  thumb: await signOrEmpty(sizes.thumb),
+  card: await signOrEmpty(sizes.card),
+  full: await signOrEmpty(sizes.full),
+  blur: await signOrEmpty(sizes.blur),
+});
+
+// Every size points at the blurred copy; photos stored before blurred
+// copies existed have no placeholder and come back as null
+const blurSizes = async (sizes = {}) => {
+  const blur = await signOrEmpty(sizes.blur);
+  return { ...sizes, thumb: blur, card: blur, full: blur, blur };
+};
+
+/**
+ * Plain profile with its photo fields replaced by signed URLs, or by blurred
+ * placeholders when canView is false. Adds photosLocked.
+ * @param {boolean} [hideUnapproved] - Drop photos still pending or rejected in
+ *   moderation; true for everyone but the owner and admins.
+ */
+const presentPhotos = async (profile, canView, hideUnapproved = false) => {
+  const plain = profile.toObject ? profile.toObject() : { ...profile };
+  const present = canView ? signSizes : blurSizes;
+  const photoSizes = plain.photoSizes || [];
+
+  if (hideUnapproved) {
+    if (!isApproved(plain.profilePictureSizes)) {
+      plain.profilePicture = "";
+      plain.profilePictureSizes = {};
+    }
+    if (plain.photos !== undefined) {
+      plain.photos = plain.photos.filter((url) =>
+        isApproved(photoSizes.find((s) => s.full === url))
+      );
+    }
+  }
+
+  if (plain.profilePicture !== undefined) {
+    // Pictures uploaded before resizing existed only have the original URL
+    const sizes = { ...plain.profilePictureSizes };
+    if (!sizes.full) sizes.full = plain.profilePicture;
+    plain.profilePictureSizes = await present(sizes);
+    plain.profilePicture = plain.profilePictureSizes.full || "";
+  }
+  if (plain.photos !== undefined) {
+    const sizes = await Promise.all(
+      plain.photos.map((url) =>
+        present(photoSizes.find((s) => s.full === url) || { full: url })
+      )
+    );
+    plain.photos = sizes.map((s) => s.full);
+    plain.photoSizes = sizes;
+  }
+  plain.photosLocked = !canView;
+  return plain;
+};
+
+/**
+ * presentPhotos for a list of profiles (or populated summaries) as seen by
+ * the viewer. Nullish entries, e.g. deleted users, pass through unchanged.
+ */
+const presentProfiles = async (profiles, viewer) => {
+  const allowed = await resolvePhotoAccess(viewer, profiles.filter(Boolean));
+  const isOwnerOrAdmin = (profile) =>
+    !!viewer &&
+    (viewer.role === "admin" || String(viewer.userId) === String(profile._id));
+  return Promise.all(
+    profiles.map((profile) =>
+      profile
+        ? presentPhotos(
+            profile,
+            allowed.has(String(profile._id)),
+            !isOwnerOrAdmin(profile)
+          )
+        : profile
+    )
+  );
+};
+
+const presentProfile = async (profile, viewer) =>
+  (await presentProfiles([profile], viewer))[0];
+
+module.exports = {
+  PHOTO_VISIBILITIES,
+  resolvePhotoAccess,
+  presentPhotos,
+  presentProfiles,
+  presentProfile,
+  signSizes,
+};
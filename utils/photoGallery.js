@@ -0,0 +1,117 @@
+// utils/photoGallery.js
+// Operations on a user's photo gallery (User.photos) and primary photo
+// (User.profilePicture). Photos are referenced by file name.
+const path = require("path");
+const { NotFoundError, ValidationError } = require("./errorHandler");
+const { storeImage, removeImage } = require("./imagePipeline");
+const { MAX_PROFILE_PHOTOS } = require("../middleware/upload");
+
+const fileNameOf = (url) => path.basename(url || "");
+
+const findPhoto = (user, fileName) => {
+  const url = user.photos.find((photo) => fileNameOf(photo) === fileName);
+  if (!url) throw new NotFoundError("Photo not found");
+  return url;
+};
+
+const sizesOf = (user, url) =>
+  user.photoSizes.find((sizes) => sizes.full === url) || { full: url };
+
+// Points profilePicture (and its sizes and review state) at a gallery photo,
+// or clears it
+const setPrimary = (user, url) => {
+  const sizes = url ? sizesOf(user, url) : {};
+  user.profilePicture = url || "";
+  user.profilePictureSizes = {
+    thumb: sizes.thumb,
+    card: sizes.card,
+    full: sizes.full,
+    blur: sizes.blur,
+    status: sizes.status,
+    reasonCode: sizes.reasonCode,
+    note: sizes.note,
+    reviewedAt: sizes.reviewedAt,
+  };
+};
+
+/**
+ * Processes uploaded multer files (see middleware/upload.js) and appends them
+ * to the gallery. The first photo of an empty profile becomes the primary one.
+ * @param {string} [status] - Moderation status of the new photos; photos
+ *   uploaded by admins skip the review queue.
+ */
+const addPhotos = async (user, files, status = "pending") => {
+  if (!files || files.length === 0) {
+    throw new ValidationError("No photos uploaded.");
+  }
+  if (user.photos.length + files.length > MAX_PROFILE_PHOTOS) {
+    throw new ValidationError(
+      `A profile can have at most ${MAX_PROFILE_PHOTOS} photos; ${user.photos.length} already uploaded.`
+    );
+  }
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(file.buffer, "photos"));
+    }
+    stored.forEach((sizes) => {
+      user.photos.push(sizes.full);
+      user.photoSizes.push({ ...sizes, status });
+    });
+    if (!user.profilePicture) setPrimary(user, user.photos[0]);
+    return await user.save();
+  } catch (err) {
+    await Promise.all(stored.map(removeImage));
+    throw err;
+  }
+};
+
+/**
+ * Reorders the gallery. `order` must list every current photo file name once.
+ */
+const reorderPhotos = async (user, order) => {
+  const current = user.photos.map(fileNameOf);
+  const isPermutation =
+    Array.isArray(order) &&
+    order.length === current.length &&
+    new Set(order).size === order.length &&
+    order.every((name) => current.includes(name));
+  if (!isPermutation) {
+    throw new ValidationError(
+      "Order must list each current photo exactly once."
+    );
+  }
+
+  user.photos = order.map((name) => findPhoto(user, name));
+  return user.save();
+};
+
+const setPrimaryPhoto = async (user, fileName) => {
+  setPrimary(user, findPhoto(user, fileName));
+  return user.save();
+};
+
+/**
+ * Removes a photo from the gallery and all its sizes from disk. If it was the
+ * primary photo, the next one in the gallery takes its place.
+ */
+const deletePhoto = async (user, fileName) => {
+  const url = findPhoto(user, fileName);
+  const sizes = sizesOf(user, url);
+  user.photos = user.photos.filter((photo) => photo !== url);
+  user.photoSizes = user.photoSizes.filter((entry) => entry.full !== url);
+  if (user.profilePicture === url) {
+    setPrimary(user, user.photos[0]);
+  }
+  const saved = await user.save();
+  await removeImage(sizes);
+  return saved;
+};
+
+module.exports = {
+  addPhotos,
+  reorderPhotos,
+  setPrimaryPhoto,
+  deletePhoto,
+};
@@ -0,0 +1,112 @@
+// utils/plans.js
+// Membership plans and what each one entitles a member to. Members without a
+// current plan (see utils/subscriptions.js) get the "free" entitlements.
+// PLANS_FILE may name a JSON file of { [key]: plan } that replaces the
+// built-in plans; a "free" entry there replaces the free entitlements.
+//
+// Entitlements:
+//   contactViews       - profiles whose contact details the member can unlock
+//                        during the plan (null: no limit)
+//   messagesPerDay     - messages the member can send per day (null: no limit)
+//   highlightedProfile - the member's profile comes first in search results
+// Unlocked contacts and highlighting are tracked on a subscription, so the
+// free plan has neither; only its messagesPerDay can be configured.
+const fs = require("fs");
+const path = require("path");
+
+const FREE_PLAN_KEY = "free";
+
+// Prices are in the currency's minor unit (paise for INR)
+const DEFAULT_PLANS = {
+  free: {
+    name: "Free",
+    entitlements: { messagesPerDay: 20 },
+  },
+  gold: {
+    name: "Gold",
+    durationDays: 30,
+    price: { amount: 49900, currency: "INR" },
+    entitlements: {
+      contactViews: 30,
+      messagesPerDay: 200,
+      highlightedProfile: false,
+    },
+  },
+  platinum: {
+    name: "Platinum",
+    durationDays: 90,
+    price: { amount: 129900, currency: "INR" },
+    entitlements: {
+      contactViews: 150,
+      messagesPerDay: null,
+      highlightedProfile: true,
+    },
+  },
+};
+
+// Entitlements a plan does not mention
+const NO_ENTITLEMENTS = {
+  contactViews: 0,
+  messagesPerDay: 0,
+  highlightedProfile: false,
+};
+
+const isLimit = (value) =>
+  value === null || (Number.isInteger(value) && value >= 0);
+
+const normalizePlan = (key, plan) => {
+  const entitlements = { ...NO_ENTITLEMENTS, ...plan.entitlements };
+  if (key === FREE_PLAN_KEY) {
+    entitlements.contactViews = 0;
+    entitlements.highlightedProfile = false;
+  }
+  const valid =
+    isLimit(entitlements.contactViews) &&
+    isLimit(entitlements.messagesPerDay) &&
+    typeof entitlements.highlightedProfile === "boolean" &&
+    (key === FREE_PLAN_KEY ||
+      (Number.isInteger(plan.durationDays) &&
+        plan.durationDays > 0 &&
+        plan.price &&
+        Number.isInteger(plan.price.amount) &&
+        plan.price.amount >= 0 &&
+        typeof plan.price.currency === "string"));
+  if (!valid) throw new Error(`Invalid membership plan: ${key}`);
+
+  return {
+    key,
+    name: plan.name || key,
+    ...(key !== FREE_PLAN_KEY && {
+      durationDays: plan.durationDays,
+      price: { amount: plan.price.amount, currency: plan.price.currency },
+    }),
+    entitlements,
+  };
+};
+
+const loadPlans = () => {
+  const configured = process.env.PLANS_FILE
+    ? JSON.parse(fs.readFileSync(path.resolve(process.env.PLANS_FILE), "utf8"))
+    : DEFAULT_PLANS;
+  const plans = {};
+  Object.entries({ free: DEFAULT_PLANS.free, ...configured }).forEach(
+    ([key, plan]) => {
+      plans[key] = normalizePlan(key, plan);
+    }
+  );
+  return plans;
+};
+
+const { [FREE_PLAN_KEY]: FREE_PLAN, ...PLANS } = loadPlans();
+
+// Keys of the plans members can buy or be granted
+const PLAN_KEYS = Object.keys(PLANS);
+
+/**
+ * A plan members can buy or be granted, or undefined for an unknown key (and
+ * for "free", which is what members have without one).
+ * @param {string} key
+ */
+const getPlan = (key) => (Object.hasOwn(PLANS, key) ? PLANS[key] : undefined);
+
+module.exports = { FREE_PLAN, PLANS, PLAN_KEYS, getPlan };
@@ -0,0 +1,93 @@
+// utils/profileRelations.js
+// The viewer's shortlist and block relationships, used to filter and
+// annotate profile listings, and which profiles other members may see at all.
+const User = require("../models/User");
+const { activeAccountFilter } = require("./accountStatus");
+const { APPROVED_PROFILE_FILTER } = require("./moderation");
+
+// Profiles other users may see: active accounts that passed moderation
+const visibleProfileFilter = () => ({
+  ...activeAccountFilter(),
+  ...APPROVED_PROFILE_FILTER,
+});
+
+/**
+ * Loads the viewer along with everyone hidden from them: users they blocked
+ * and users who blocked them.
+ * @param {string} viewerId
+ * @returns {Promise<{ viewer: object|null, hiddenIds: Array, shortlist: Set<string> }>}
+ */
+const getViewerRelations = async (viewerId) => {
+  const [viewer, blockedBy] = await Promise.all([
+    User.findById(viewerId).select("+shortlistedProfiles +blockedUsers"),
+    User.find({ blockedUsers: viewerId }).distinct("_id"),
+  ]);
+  if (!viewer) {
+    return { viewer: null, hiddenIds: [], shortlist: new Set() };
+  }
+  return {
+    viewer,
+    hiddenIds: [...viewer.blockedUsers, ...blockedBy],
+    shortlist: new Set(viewer.shortlistedProfiles.map(String)),
+  };
+};
+
+/**
+ * Whether either user has blocked the other.
+ */
+const isBlockedBetween = async (userA, userB) => {
+  const blocked = await User.exists({
+    $or: [
+      { _id: userA, blockedUsers: userB },
+      { _id: userB, blockedUsers: userA },
+    ],
+  });
+  return !!blocked;
+};
+
+/**
+ * The member userId names, or null when the viewer may not see them. Blocked
+ * in either direction looks the same as a missing profile; inactive accounts
+ * and profiles awaiting or failing moderation are only visible to their
+ * owner and admins.
+ * @param {{ userId: string, role: string }} [viewer] - req.user; none for
+ *   anonymous viewers.
+ * @param {string} userId
+ * @param {string} [fields] - Projection, as for select().
+ */
+const findVisibleMember = async (viewer, userId, fields) => {
+  const isOwnerOrAdmin =
+    !!viewer &&
+    (viewer.role === "admin" || String(viewer.userId) === String(userId));
+  const member = await User.findOne({
+    _id: userId,
+    ...(!isOwnerOrAdmin && visibleProfileFilter()),
+  }).select(fields);
+  if (
+    !member ||
+    (viewer && (await isBlockedBetween(viewer.userId, member._id)))
+  ) {
+    return null;
+  }
+  return member;
+};
+
+/**
+ * Plain profile object with the viewer-specific isShortlisted flag.
+ */
+const annotateProfile = (profile, relations) => {
+  const plain = profile.toObject ? profile.toObject() : { ...profile };
+  delete plain.password;
+  delete plain.shortlistedProfiles;
+  delete plain.blockedUsers;
+  plain.isShortlisted = relations.shortlist.has(String(plain._id));
+  return plain;
+};
+
+module.exports = {
+  visibleProfileFilter,
+  getViewerRelations,
+  isBlockedBetween,
+  findVisibleMember,
+  annotateProfile,
+};
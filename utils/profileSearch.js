@@ -0,0 +1,186 @@
+// utils/profileSearch.js
+// Builds Mongo filters and facet pipelines for /api/profiles/search.
+
+// Query params matched (case-insensitively) against a field of the same name
+const CATEGORICAL_FIELDS = [
+  "gender",
+  "city",
+  "state",
+  "country",
+  "religion",
+  "caste",
+  "motherTongue",
+  "maritalStatus",
+  "educationLevel",
+  "occupation",
+  "diet",
+  "manglik",
+  "annualIncome", // Income band, stored as a range string e.g. "5-10 LPA"
+];
+
+const AGE_BANDS = [18, 25, 30, 35, 40, 50, 100]; // Lower bounds, last is a cap
+const HEIGHT_BANDS_CM = [120, 150, 160, 170, 180, 190, 241];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accepts ?city=Pune&city=Mumbai as well as ?city=Pune,Mumbai
+const parseMultiValue = (raw) =>
+  (Array.isArray(raw) ? raw : [raw])
+    .filter((value) => typeof value === "string")
+    .flatMap((value) => value.split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+const parseNumber = (raw) => {
+  if (raw === undefined || raw === "") return undefined;
+  const value = Number(raw);
+  return Number.isFinite(value) ? value : undefined;
+};
+
+// Date of birth of someone turning `years` old today
+const dateYearsAgo = (years) => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setFullYear(date.getFullYear() - years);
+  return date;
+};
+
+/**
+ * Turns request query params into per-field Mongo conditions. Kept per field
+ * so each facet can be counted with every filter except its own.
+ * @param {object} query - req.query
+ * @returns {object} Map of field name to Mongo condition.
+ */
+const buildSearchConditions = (query) => {
+  const conditions = {};
+
+  CATEGORICAL_FIELDS.forEach((field) => {
+    const values = parseMultiValue(query[field]);
+    if (values.length) {
+      conditions[field] = {
+        $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, "i")),
+      };
+    }
+  });
+
+  const minAge = parseNumber(query.minAge);
+  const maxAge = parseNumber(query.maxAge);
+  if (minAge !== undefined || maxAge !== undefined) {
+    conditions.dateOfBirth = {};
+    if (minAge !== undefined)
+      conditions.dateOfBirth.$lte = dateYearsAgo(minAge);
+    if (maxAge !== undefined) {
+      conditions.dateOfBirth.$gt = dateYearsAgo(maxAge + 1);
+    }
+  }
+
+  const minHeight = parseNumber(query.minHeight);
+  const maxHeight = parseNumber(query.maxHeight);
+  if (minHeight !== undefined || maxHeight !== undefined) {
+    conditions.heightCm = {};
+    if (minHeight !== undefined) conditions.heightCm.$gte = minHeight;
+    if (maxHeight !== undefined) conditions.heightCm.$lte = maxHeight;
+  }
+
+  return conditions;
+};
+
+const withoutField = (conditions, field) => {
+  const rest = { ...conditions };
+  delete rest[field];
+  return rest;
+};
+
+const bandLabels = (bounds) =>
+  bounds
+    .slice(0, -1)
+    .map((lower, i) =>
+      i === bounds.length - 2 ? `${lower}+` : `${lower}-${bounds[i + 1] - 1}`
+    );
+
+/**
+ * Builds a $facet stage counting profiles per option of every filter, plus a
+ * formatter that shapes its output into { field: [{ value, count }] }.
+ * @param {object} conditions - Output of buildSearchConditions.
+ * @returns {{ stage: object, format: Function }}
+ */
+const buildSearchFacets = (conditions) => {
+  const facets = {};
+
+  CATEGORICAL_FIELDS.forEach((field) => {
+    facets[field] = [
+      { $match: withoutField(conditions, field) },
+      { $match: { [field]: { $nin: [null, ""] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ];
+  });
+
+  // Age bands bucket on date of birth, so boundaries run oldest first
+  const ageBounds = [...AGE_BANDS].reverse().map(dateYearsAgo);
+  const ageLabels = bandLabels(AGE_BANDS).reverse();
+  facets.ageBand = [
+    { $match: withoutField(conditions, "dateOfBirth") },
+    {
+      $bucket: {
+        groupBy: "$dateOfBirth",
+        boundaries: ageBounds,
+        default: "other",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ];
+
+  const heightLabels = bandLabels(HEIGHT_BANDS_CM);
+  facets.heightBand = [
+    { $match: withoutField(conditions, "heightCm") },
+    { $match: { heightCm: { $type: "number" } } },
+    {
+      $bucket: {
+        groupBy: "$heightCm",
+        boundaries: HEIGHT_BANDS_CM,
+        default: "other",
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ];
+
+  const labelBuckets = (buckets, bounds, labels) =>
+    (buckets || [])
+      .filter(({ _id }) => _id !== "other")
+      .map(({ _id, count }) => ({
+        value: labels[bounds.findIndex((b) => b.valueOf() === _id.valueOf())],
+        count,
+      }));
+
+  const format = (raw) => {
+    const result = {};
+    CATEGORICAL_FIELDS.forEach((field) => {
+      result[field] = (raw[field] || []).map(({ _id, count }) => ({
+        value: _id,
+        count,
+      }));
+    });
+    // Youngest band first
+    result.ageBand = labelBuckets(raw.ageBand, ageBounds, ageLabels).reverse();
+    result.heightBand = labelBuckets(
+      raw.heightBand,
+      HEIGHT_BANDS_CM,
+      heightLabels
+    );
+    return result;
+  };
+
+  return { stage: { $facet: facets }, format };
+};
+
+module.exports = {
+  CATEGORICAL_FIELDS,
+  AGE_BANDS,
+  bandLabels,
+  dateYearsAgo,
+  escapeRegex,
+  parseMultiValue,
+  buildSearchConditions,
+  buildSearchFacets,
+};
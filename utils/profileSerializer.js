@@ -0,0 +1,231 @@
+// utils/profileSerializer.js
+// What each viewer gets to see of a profile:
+//   owner, admins - everything except credentials
+//   members       - the member projection; email and mobile number only where
+//                   the owner's privacy settings (User.privacy) allow it and,
+//                   unless the two are connected, the viewer unlocked them
+//                   with a contact view of their plan (utils/subscriptions.js)
+//   anonymous     - the public projection, never contact details
+// Photos always go through utils/photoAccess first.
+const User = require("../models/User");
+const Interest = require("../models/Interest");
+const { presentProfiles } = require("./photoAccess");
+const { calculateAge } = require("./matching");
+const { unlockedContactIds } = require("./subscriptions");
+
+// Never sent, whoever is asking
+const SECRET_FIELDS = [
+  "password",
+  "passwordChangedAt",
+  "passwordResetTokenHash",
+  "passwordResetExpires",
+  "shortlistedProfiles",
+  "blockedUsers",
+];
+
+// Account details and settings only the owner and admins see
+const MEMBER_HIDDEN_FIELDS = [
+  "email",
+  "mobileNumber",
+  "role",
+  "isActive",
+  "emailVerified",
+  "mobileVerified",
+  "privacy",
+  "photoVisibility",
+  "highlightedUntil",
+  // Account status and moderation, set by admins
+  "suspendedUntil",
+  "statusReason",
+  "statusChangedAt",
+  "statusChangedBy",
+  "moderation",
+];
+
+// Review details kept on each photo's sizes (see utils/moderation.js)
+const PHOTO_REVIEW_FIELDS = ["status", "reasonCode", "note", "reviewedAt"];
+
+// Everything an anonymous visitor sees; age replaces the date of birth
+const PUBLIC_FIELDS = [
+  "_id",
+  "name",
+  "gender",
+  "heightCm",
+  "maritalStatus",
+  "motherTongue",
+  "religion",
+  "city",
+  "state",
+  "country",
+  "educationLevel",
+  "occupation",
+  "profileCreatedBy",
+  "bio",
+  "profilePicture",
+  "profilePictureSizes",
+  "photos",
+  "photoSizes",
+  "photosLocked",
+  "isHighlighted",
+  "createdAt",
+];
+
+// Which audiences each privacy setting reaches
+const REACH = {
+  nobody: [],
+  connections: ["connections"],
+  members: ["connections", "members"],
+  everyone: ["connections", "members", "everyone"],
+};
+
+const PRIVACY_SETTINGS = ["email", "mobile", "lastName"];
+const CONTACT_SETTINGS = ["email", "mobile"];
+
+// Profiles loaded without their privacy settings get the schema defaults
+const privacyOf = (profile) =>
+  PRIVACY_SETTINGS.reduce((privacy, setting) => {
+    privacy[setting] =
+      (profile.privacy && profile.privacy[setting]) ||
+      User.schema.path(`privacy.${setting}`).defaultValue;
+    return privacy;
+  }, {});
+
+/**
+ * Whether the profile's privacy settings show its email or mobile number to
+ * the audience ("connections" or "members").
+ */
+const sharesContacts = (profile, audience) => {
+  const privacy = privacyOf(profile);
+  return CONTACT_SETTINGS.some((setting) =>
+    REACH[privacy[setting]].includes(audience)
+  );
+};
+
+// Listed first in searches while the owner's plan includes it
+const isHighlighted = (profile) =>
+  !!profile.highlightedUntil &&
+  new Date(profile.highlightedUntil).getTime() > Date.now();
+
+const withoutReview = (sizes) => {
+  const rest = { ...sizes };
+  PHOTO_REVIEW_FIELDS.forEach((field) => delete rest[field]);
+  return rest;
+};
+
+// "Priya Sharma" -> "Priya S."
+const maskLastName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  if (parts.length < 2) return name;
+  return `${parts[0]} ${parts[parts.length - 1][0]}.`;
+};
+
+const isOwnerOrAdmin = (profile, viewer) =>
+  !!viewer &&
+  (viewer.role === "admin" || String(viewer.userId) === String(profile._id));
+
+const serialize = (profile, viewer, isConnected, contactsUnlocked) => {
+  SECRET_FIELDS.forEach((field) => delete profile[field]);
+  profile.isHighlighted = isHighlighted(profile);
+  if (isOwnerOrAdmin(profile, viewer)) return profile;
+
+  if (profile.profilePictureSizes) {
+    profile.profilePictureSizes = withoutReview(profile.profilePictureSizes);
+  }
+  if (profile.photoSizes) {
+    profile.photoSizes = profile.photoSizes.map(withoutReview);
+  }
+
+  const privacy = privacyOf(profile);
+  let audience = "everyone";
+  if (viewer) audience = isConnected ? "connections" : "members";
+  const allows = (setting) => REACH[privacy[setting]].includes(audience);
+
+  if (profile.name && !allows("lastName")) {
+    profile.name = maskLastName(profile.name);
+  }
+
+  if (!viewer) {
+    const publicProfile = {};
+    PUBLIC_FIELDS.forEach((field) => {
+      if (profile[field] !== undefined) publicProfile[field] = profile[field];
+    });
+    if (profile.dateOfBirth) {
+      publicProfile.age = calculateAge(profile.dateOfBirth);
+    }
+    return publicProfile;
+  }
+
+  const memberProfile = { ...profile };
+  MEMBER_HIDDEN_FIELDS.forEach((field) => delete memberProfile[field]);
+  const showsContacts = isConnected || contactsUnlocked;
+  if (profile.email !== undefined && showsContacts && allows("email")) {
+    memberProfile.email = profile.email;
+  }
+  if (profile.mobileNumber !== undefined && showsContacts && allows("mobile")) {
+    memberProfile.mobileNumber = profile.mobileNumber;
+  }
+  return memberProfile;
+};
+
+/**
+ * Profiles (documents, plain objects or populated summaries) as the viewer
+ * may see them. Nullish entries pass through unchanged.
+ * @param {Array<object>} profiles
+ * @param {object|undefined} viewer - req.user, or undefined when anonymous.
+ * @returns {Promise<Array<object>>} plain objects
+ */
+const serializeProfiles = async (profiles, viewer) => {
+  const presented = await presentProfiles(profiles, viewer);
+
+  // Connections only matter for settings that mention them, and for contact
+  // details, which connections see without unlocking them
+  const connectionIds = presented
+    .filter(
+      (profile) =>
+        profile &&
+        viewer &&
+        !isOwnerOrAdmin(profile, viewer) &&
+        (Object.values(privacyOf(profile)).includes("connections") ||
+          sharesContacts(profile, "members"))
+    )
+    .map((profile) => profile._id);
+  const connected = connectionIds.length
+    ? await Interest.connectedIds(viewer.userId, connectionIds)
+    : new Set();
+
+  // Contact details shared with members, which the viewer must have unlocked
+  const contactIds = presented
+    .filter(
+      (profile) =>
+        profile &&
+        viewer &&
+        !isOwnerOrAdmin(profile, viewer) &&
+        !connected.has(String(profile._id)) &&
+        sharesContacts(profile, "members")
+    )
+    .map((profile) => profile._id);
+  const unlocked = contactIds.length
+    ? await unlockedContactIds(viewer.userId, contactIds)
+    : new Set();
+
+  return presented.map((profile) =>
+    profile
+      ? serialize(
+          profile,
+          viewer,
+          connected.has(String(profile._id)),
+          unlocked.has(String(profile._id))
+        )
+      : profile
+  );
+};
+
+const serializeProfile = async (profile, viewer) =>
+  (await serializeProfiles([profile], viewer))[0];
+
+module.exports = {
+  PRIVACY_SETTINGS,
+  sharesContacts,
+  serializeProfiles,
+  serializeProfile,
+};
@@ -0,0 +1,136 @@
+// utils/profileUpdate.js
+// Partial (PATCH-style) updates of a user document, limited to a whitelist of
+// fields. Nested objects such as partnerPreferences are merged key by key;
+// arrays and plain values replace what was there. Schema validation and the
+// model's hooks (password hashing, moderation, isVerified) run on save.
+const User = require("../models/User");
+
+// Profile details and settings users manage themselves
+const PROFILE_FIELDS = [
+  "name",
+  "gender",
+  "dateOfBirth",
+  "heightCm",
+  "weightKg",
+  "maritalStatus",
+  "motherTongue",
+  "physicalStatus",
+  "bodyType",
+  "complexion",
+  "profileCreatedBy",
+  "city",
+  "state",
+  "country",
+  "religion",
+  "caste",
+  "subCaste",
+  "gothra",
+  "manglik",
+  "educationLevel",
+  "educationField",
+  "occupation",
+  "annualIncome",
+  "fatherStatus",
+  "motherStatus",
+  "numberOfSiblings",
+  "siblingsMarried",
+  "familyType",
+  "familyValues",
+  "diet",
+  "smokingHabits",
+  "drinkingHabits",
+  "bio",
+  "photoVisibility",
+  "privacy",
+  "partnerPreferences",
+];
+
+// Admins can also edit the account itself. Status, moderation and photos
+// have their own endpoints.
+const ADMIN_FIELDS = [
+  ...PROFILE_FIELDS,
+  "email",
+  "mobileNumber",
+  "password",
+  "role",
+  "emailVerified",
+  "mobileVerified",
+];
+
+// Changed, but never echoed back
+const REDACTED_PATHS = ["password"];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date);
+
+// { partnerPreferences: { ageRange: { min: 25 } } }
+//   -> { "partnerPreferences.ageRange.min": 25 }
+const flattenUpdate = (update, prefix = "") =>
+  Object.entries(update).reduce((paths, [key, value]) => {
+    const path = prefix + key;
+    if (isPlainObject(value) && User.schema.pathType(path) === "nested") {
+      Object.assign(paths, flattenUpdate(value, `${path}.`));
+    } else {
+      paths[path] = value;
+    }
+    return paths;
+  }, {});
+
+/**
+ * Splits a request body into schema paths that may be updated and the ones
+ * that may not (unknown, read-only or not in allowedFields).
+ * @param {object} body
+ * @param {Array<string>} allowedFields - Top-level fields, e.g. PROFILE_FIELDS.
+ * @returns {{ accepted: object, rejected: Array<string> }} accepted maps dotted
+ *   paths to values.
+ */
+const resolveUpdatePaths = (body, allowedFields) => {
+  const accepted = {};
+  const rejected = [];
+  Object.entries(flattenUpdate(body || {})).forEach(([path, value]) => {
+    const field = path.split(".")[0];
+    if (
+      allowedFields.includes(field) &&
+      User.schema.pathType(path) === "real"
+    ) {
+      accepted[path] = value;
+    } else {
+      rejected.push(path);
+    }
+  });
+  return { accepted, rejected };
+};
+
+// JSON-safe copy, so later changes to the document don't leak into it
+const snapshot = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Sets the given paths on the document (not saved) and reports what changed.
+ * Values equal to the current ones are not reported.
+ * @param {object} user - User document.
+ * @param {object} paths - From resolveUpdatePaths().accepted.
+ * @returns {object} { [path]: { from, to } }, or { redacted: true } for secrets.
+ */
+const applyUpdate = (user, paths) => {
+  const changes = {};
+  Object.entries(paths).forEach(([path, value]) => {
+    const before = snapshot(user.get(path));
+    user.set(path, value);
+    if (!user.isModified(path)) return;
+    changes[path] = REDACTED_PATHS.includes(path)
+      ? { redacted: true }
+      : { from: before, to: snapshot(user.get(path)) };
+  });
+  return changes;
+};
+
+module.exports = {
+  PROFILE_FIELDS,
+  ADMIN_FIELDS,
+  resolveUpdatePaths,
+  applyUpdate,
+};
@@ -0,0 +1,84 @@
+// utils/realtime.js
+// Registry of open WebSocket connections per user, so any part of the app
+// can push an event to a user's devices.
+const clients = new Map(); // userId -> Set<WebSocket>
+
+// Close code for connections ended by the server because the session or the
+// account behind them no longer allows access
+const SESSION_ENDED = 4001;
+
+/**
+ * @param {string} userId
+ * @param {WebSocket} socket
+ * @param {string} [sessionId] - Session the connection's access token is for.
+ */
+const addClient = (userId, socket, sessionId) => {
+  const key = String(userId);
+  socket.sessionId = sessionId && String(sessionId);
+  if (!clients.has(key)) clients.set(key, new Set());
+  clients.get(key).add(socket);
+};
+
+const removeClient = (userId, socket) => {
+  const key = String(userId);
+  const sockets = clients.get(key);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) clients.delete(key);
+};
+
+const OPEN = 1; // WebSocket.OPEN
+
+/**
+ * Sends an event to every open connection of a user.
+ * @returns {number} How many connections it was delivered to.
+ */
+const emitToUser = (userId, event) => {
+  const sockets = clients.get(String(userId));
+  if (!sockets) return 0;
+  const payload = JSON.stringify(event);
+  let delivered = 0;
+  sockets.forEach((socket) => {
+    if (socket.readyState === OPEN) {
+      socket.send(payload);
+      delivered += 1;
+    }
+  });
+  return delivered;
+};
+
+const isOnline = (userId) => clients.has(String(userId));
+
+const closeSockets = (sockets, reason) =>
+  sockets.forEach((socket) => socket.close(SESSION_ENDED, reason));
+
+/**
+ * Closes every connection of a user, e.g. when their account is deactivated.
+ */
+const disconnectUser = (userId, reason = "Account is not active") => {
+  const sockets = clients.get(String(userId));
+  if (sockets) closeSockets([...sockets], reason);
+};
+
+/**
+ * Closes the connections opened with any of the given sessions.
+ * @param {Array<string>} sessionIds
+ */
+const disconnectSessions = (sessionIds, reason = "Session has ended") => {
+  const ended = new Set(sessionIds.map(String));
+  clients.forEach((sockets) =>
+    closeSockets(
+      [...sockets].filter((socket) => ended.has(socket.sessionId)),
+      reason
+    )
+  );
+};
+
+module.exports = {
+  addClient,
+  removeClient,
+  emitToUser,
+  isOnline,
+  disconnectUser,
+  disconnectSessions,
+};
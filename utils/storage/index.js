@@ -0,0 +1,53 @@
+// utils/storage/index.js
+// Storage backend for uploaded files, chosen with STORAGE_DRIVER:
+//   local (default) - files under uploads/ (or the UPLOADS_DIR directory),
+//                     served by this server
+//   s3              - any S3-compatible bucket, so several instances can share files
+// Files are addressed by key, e.g. "profile-pics/photos-123-full.webp"; the
+// database keeps the driver's public URL for each key.
+const path = require("path");
+const createLocalDriver = require("./localDriver");
+const createS3Driver = require("./s3Driver");
+
+const SIGNED_URL_TTL_SECONDS =
+  parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 15 * 60;
+
+const createDriver = (name = process.env.STORAGE_DRIVER || "local") => {
+  if (name === "local") {
+    return createLocalDriver({
+      root: process.env.UPLOADS_DIR || path.join(__dirname, "../../uploads"),
+      signingSecret:
+        process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    });
+  }
+  if (name === "s3") {
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      publicBaseUrl: process.env.S3_PUBLIC_URL,
+    });
+  }
+  throw new Error(`Unknown storage driver: ${name}`);
+};
+
+let driver;
+const getStorage = () => {
+  if (!driver) driver = createDriver();
+  return driver;
+};
+
+/**
+ * Signed, expiring URL for a stored file, given the URL kept in the database.
+ * Returns the URL unchanged if it does not belong to the active driver.
+ */
+const signedUrlFor = async (url, expiresInSeconds = SIGNED_URL_TTL_SECONDS) => {
+  const storage = getStorage();
+  const key = storage.keyFromUrl(url);
+  return key ? storage.getSignedUrl(key, expiresInSeconds) : url;
+};
+
+module.exports = { createDriver, getStorage, signedUrlFor };
@@ -0,0 +1,83 @@
+// utils/storage/localDriver.js
+// Stores files under uploads/ (see UPLOADS_DIR in index.js) on this machine.
+// Nothing there is served directly: files are only reachable through signed
+// URLs at /api/files (see routes/fileRoutes.js), which checks the signature
+// and expiry. The /uploads/<key> "public" URL is what the database stores to
+// name a file (see keyFromUrl), not a link that is served.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const createLocalDriver = ({ root, signingSecret }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const sign = (key, expires) =>
+    crypto
+      .createHmac("sha256", signingSecret)
+      .update(`${key}:${expires}`)
+      .digest("hex");
+
+  return {
+    name: "local",
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    publicUrl(key) {
+      return `/uploads/${key}`;
+    },
+
+    // Maps a URL this driver produced back to its key, or null
+    keyFromUrl(url) {
+      if (typeof url !== "string" || !url.startsWith("/uploads/")) return null;
+      return url.slice("/uploads/".length);
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      const query = new URLSearchParams({
+        expires: String(expires),
+        signature: sign(key, expires),
+      });
+      return `/api/files/${key}?${query}`;
+    },
+
+    verifySignature(key, expires, signature) {
+      if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+        return false;
+      }
+      const expected = Buffer.from(sign(key, expires));
+      const given = Buffer.from(String(signature));
+      return (
+        expected.length === given.length &&
+        crypto.timingSafeEqual(expected, given)
+      );
+    },
+
+    filePath: resolveKey,
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,91 @@
+// utils/storage/s3Driver.js
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2, ...). Point
+// S3_ENDPOINT at a local MinIO-style server and set S3_FORCE_PATH_STYLE=true
+// for development.
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+const createS3Driver = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicBaseUrl,
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  // Where objects are publicly reachable (bucket policy or CDN in front)
+  const baseUrl = (
+    publicBaseUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, "");
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+      return key;
+    },
+
+    async get(key) {
+      const result = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      );
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    publicUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    keyFromUrl(url) {
+      if (typeof url !== "string" || !url.startsWith(`${baseUrl}/`)) {
+        return null;
+      }
+      return url.slice(baseUrl.length + 1);
+    },
+
+    async getSignedUrl(key, expiresInSeconds) {
+      return getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn: expiresInSeconds }
+      );
+    },
+  };
+};
+
+module.exports = createS3Driver;
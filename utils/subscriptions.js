@@ -0,0 +1,343 @@
+// utils/subscriptions.js
+// Members' plans (see utils/plans.js) and the checks on what they entitle
+// them to. A plan starts with a paid checkout or an admin grant. Getting the
+// plan a member already has adds its time and contact views to the current
+// subscription; another plan replaces it from now on.
+const User = require("../models/User");
+const Message = require("../models/Message");
+const Payment = require("../models/Payment");
+const Subscription = require("../models/Subscription");
+const { FREE_PLAN, getPlan } = require("./plans");
+const { WEBHOOK_STATUSES } = require("./payments");
+const { DAY_MS } = require("./dateRange");
+const {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("./errorHandler");
+
+const startOfToday = () => {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const entitlementsOf = (subscription) => {
+  if (!subscription) return FREE_PLAN.entitlements;
+  const { contactViews, messagesPerDay, highlightedProfile } =
+    subscription.entitlements;
+  return { contactViews, messagesPerDay, highlightedProfile };
+};
+
+// What is left of a limit; null when there is no limit
+const remaining = (limit, used) =>
+  limit == null ? null : Math.max(limit - used, 0);
+
+const messagesSentToday = (userId) =>
+  Message.countDocuments({
+    sender: userId,
+    createdAt: { $gte: startOfToday() },
+  });
+
+// Keeps User.highlightedUntil, which searches sort on, in step with the plan
+const syncHighlight = (userId, subscription) =>
+  User.updateOne(
+    { _id: userId },
+    subscription && entitlementsOf(subscription).highlightedProfile
+      ? { $set: { highlightedUntil: subscription.endsAt } }
+      : { $unset: { highlightedUntil: 1 } }
+  );
+
+/**
+ * The member's plan, its entitlements and how much of them is used.
+ * @param {string} userId
+ */
+const describeMembership = async (userId) => {
+  const [subscription, messagesToday] = await Promise.all([
+    Subscription.findCurrent(userId),
+    messagesSentToday(userId),
+  ]);
+  const entitlements = entitlementsOf(subscription);
+  const contactViewsUsed = subscription ? subscription.contactViewsUsed : 0;
+  const plan = subscription ? getPlan(subscription.plan) : FREE_PLAN;
+  return {
+    plan: subscription ? subscription.plan : FREE_PLAN.key,
+    // Plans dropped from the configuration keep their key as name
+    name: plan ? plan.name : subscription.plan,
+    subscription: subscription && {
+      id: subscription._id,
+      startsAt: subscription.startsAt,
+      endsAt: subscription.endsAt,
+      source: subscription.source,
+    },
+    entitlements,
+    usage: {
+      contactViewsUsed,
+      contactViewsLeft: remaining(entitlements.contactViews, contactViewsUsed),
+      messagesToday,
+      messagesLeftToday: remaining(entitlements.messagesPerDay, messagesToday),
+    },
+  };
+};
+
+/**
+ * Starts the plan for the member, or extends it when it is their current one.
+ * @param {string} userId
+ * @param {string} planKey - Key in utils/plans.js.
+ * @param {object} options
+ * @param {string} options.source - "checkout" or "admin".
+ * @param {number} [options.days] - Instead of the plan's duration.
+ * @param {string} [options.payment] - Payment that paid for it.
+ * @param {string} [options.grantedBy] - Admin who granted it.
+ * @returns {Promise<object>} The current subscription.
+ */
+const grantPlan = async (
+  userId,
+  planKey,
+  { source, days, payment, grantedBy }
+) => {
+  const plan = getPlan(planKey);
+  if (!plan) throw new Error(`Unknown membership plan: ${planKey}`);
+  const duration = (days || plan.durationDays) * DAY_MS;
+
+  let subscription = await Subscription.findCurrent(userId);
+  if (subscription && subscription.plan === plan.key) {
+    subscription.endsAt = new Date(subscription.endsAt.getTime() + duration);
+    const { contactViews } = subscription.entitlements;
+    subscription.entitlements.contactViews =
+      contactViews == null || plan.entitlements.contactViews == null
+        ? null
+        : contactViews + plan.entitlements.contactViews;
+  } else {
+    const previous = subscription;
+    if (previous) {
+      previous.status = "replaced";
+      await previous.save();
+    }
+    const now = new Date();
+    subscription = new Subscription({
+      user: userId,
+      plan: plan.key,
+      startsAt: now,
+      endsAt: new Date(now.getTime() + duration),
+      entitlements: plan.entitlements,
+      // Contacts unlocked before stay unlocked, without using up new views
+      contactsViewed: previous ? previous.contactsViewed : [],
+      source,
+    });
+  }
+  if (payment) subscription.payments.push(payment);
+  if (grantedBy) subscription.grantedBy = grantedBy;
+  await subscription.save();
+  await syncHighlight(userId, subscription);
+  return subscription;
+};
+
+/**
+ * Moves the end of the member's current subscription by the given days.
+ * @returns {Promise<object|null>} The subscription, or null without one.
+ */
+const extendSubscription = async (userId, days, { grantedBy } = {}) => {
+  const subscription = await Subscription.findCurrent(userId);
+  if (!subscription) return null;
+  subscription.endsAt = new Date(subscription.endsAt.getTime() + days * DAY_MS);
+  if (grantedBy) subscription.grantedBy = grantedBy;
+  await subscription.save();
+  await syncHighlight(userId, subscription);
+  return subscription;
+};
+
+/**
+ * Ends the member's current subscription now; they are back on the free plan.
+ * @returns {Promise<object|null>} The subscription, or null without one.
+ */
+const cancelSubscription = async (userId) => {
+  const subscription = await Subscription.findCurrent(userId);
+  if (!subscription) return null;
+  subscription.status = "cancelled";
+  subscription.cancelledAt = new Date();
+  await subscription.save();
+  await syncHighlight(userId, null);
+  return subscription;
+};
+
+// A grant that has not linked its subscription after this long is taken to
+// have died with its process, and the next webhook for the payment grants it
+// again. One that fails with an error frees the payment at once.
+const GRANT_RETRY_AFTER_MS = 60 * 1000;
+
+// Grants the plan a paid payment bought and links the subscription to it. A
+// subscription already listing the payment comes from an earlier attempt that
+// failed before linking it.
+const grantPaidPlan = async (payment) => {
+  const subscription =
+    (await Subscription.findOne({ payments: payment._id })) ||
+    (await grantPlan(payment.user, payment.plan, {
+      source: "checkout",
+      payment: payment._id,
+    }));
+  payment.subscription = subscription._id;
+  await payment.save();
+};
+
+/**
+ * Records the outcome of a checkout reported by the provider's webhook. A
+ * paid checkout grants its plan. Providers may send the same webhook more
+ * than once; only the first one for a payment changes anything, unless
+ * granting the plan failed, which a later one retries.
+ * @param {string} provider - Name of the provider.
+ * @param {{ providerPaymentId: string, status: string }} event
+ * @returns {Promise<{ payment: object, settled: boolean }>} settled is false
+ *   when the payment had already been settled.
+ */
+const settlePayment = async (provider, { providerPaymentId, status }) => {
+  if (typeof providerPaymentId !== "string") {
+    throw new ValidationError("Invalid payment id");
+  }
+  if (!WEBHOOK_STATUSES.includes(status)) {
+    throw new ValidationError(`Unknown payment status: ${status}`);
+  }
+  const now = new Date();
+  let payment = await Payment.findOneAndUpdate(
+    { provider, providerPaymentId, status: "pending" },
+    {
+      $set: {
+        status,
+        ...(status === "paid" && { paidAt: now, grantStartedAt: now }),
+      },
+    },
+    { new: true }
+  );
+  if (!payment && status === "paid") {
+    // A paid payment whose grant failed, claimed so only one retry grants it
+    payment = await Payment.findOneAndUpdate(
+      {
+        provider,
+        providerPaymentId,
+        status: "paid",
+        subscription: { $exists: false },
+        grantStartedAt: {
+          $not: { $gt: new Date(now.getTime() - GRANT_RETRY_AFTER_MS) },
+        },
+      },
+      { $set: { grantStartedAt: now } },
+      { new: true }
+    );
+  }
+  if (!payment) {
+    const settled = await Payment.findOne({ provider, providerPaymentId });
+    if (!settled) throw new NotFoundError("Payment not found");
+    return { payment: settled, settled: false };
+  }
+
+  if (payment.status === "paid") {
+    try {
+      await grantPaidPlan(payment);
+    } catch (err) {
+      // Leave it to the provider's retry of the webhook
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $unset: { grantStartedAt: 1 } }
+      );
+      throw err;
+    }
+  }
+  return { payment, settled: true };
+};
+
+/**
+ * Unlocks a profile's contact details for the member, using one of their
+ * plan's contact views unless that profile is already unlocked. Fails with
+ * PLAN_REQUIRED on the free plan and ENTITLEMENT_EXHAUSTED when the views
+ * are used up.
+ * @returns {Promise<object>} The member's subscription.
+ */
+const useContactView = async (userId, profileId) => {
+  const subscription = await Subscription.findCurrent(userId);
+  if (!subscription) {
+    throw new ForbiddenError(
+      "Viewing contact details needs a membership plan.",
+      { code: "PLAN_REQUIRED", details: { entitlement: "contactViews" } }
+    );
+  }
+  const isUnlocked = (sub) =>
+    sub.contactsViewed.some((id) => id.equals(profileId));
+  if (isUnlocked(subscription)) return subscription;
+
+  const updated = await Subscription.findOneAndUpdate(
+    {
+      _id: subscription._id,
+      contactsViewed: { $ne: profileId },
+      $or: [
+        { "entitlements.contactViews": null },
+        {
+          $expr: { $lt: ["$contactViewsUsed", "$entitlements.contactViews"] },
+        },
+      ],
+    },
+    {
+      $addToSet: { contactsViewed: profileId },
+      $inc: { contactViewsUsed: 1 },
+    },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  // Another request may have unlocked the same profile meanwhile
+  const latest = await Subscription.findById(subscription._id);
+  if (latest && isUnlocked(latest)) return latest;
+  const limit = subscription.entitlements.contactViews;
+  throw new ForbiddenError(
+    `You have used all ${limit} contact views of your plan.`,
+    {
+      code: "ENTITLEMENT_EXHAUSTED",
+      details: { entitlement: "contactViews", limit },
+    }
+  );
+};
+
+/**
+ * Which of the given profiles' contact details the member has unlocked with
+ * their current plan.
+ * @returns {Promise<Set<string>>}
+ */
+const unlockedContactIds = async (userId, profileIds) => {
+  const subscription =
+    await Subscription.findCurrent(userId).select("contactsViewed");
+  if (!subscription) return new Set();
+  const wanted = new Set(profileIds.map(String));
+  return new Set(
+    subscription.contactsViewed.map(String).filter((id) => wanted.has(id))
+  );
+};
+
+/**
+ * Fails with ENTITLEMENT_EXHAUSTED once the member has sent the messages
+ * their plan allows today.
+ */
+const assertCanSendMessage = async (userId) => {
+  const { messagesPerDay } = entitlementsOf(
+    await Subscription.findCurrent(userId)
+  );
+  if (messagesPerDay == null) return;
+  if ((await messagesSentToday(userId)) >= messagesPerDay) {
+    throw new ForbiddenError(
+      `Your plan allows ${messagesPerDay} messages a day. Upgrade your plan to send more today.`,
+      {
+        code: "ENTITLEMENT_EXHAUSTED",
+        details: { entitlement: "messagesPerDay", limit: messagesPerDay },
+      }
+    );
+  }
+};
+
+module.exports = {
+  describeMembership,
+  grantPlan,
+  extendSubscription,
+  cancelSubscription,
+  settlePayment,
+  useContactView,
+  unlockedContactIds,
+  assertCanSendMessage,
+};
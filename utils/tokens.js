@@ -0,0 +1,149 @@
+// utils/tokens.js
+// Short-lived JWT access tokens plus rotating, server-side refresh tokens.
+// A refresh token looks like "<sessionId>.<secret>"; only a hash of the
+// secret is stored on the Session.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { disconnectSessions } = require("./realtime");
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Rough "Browser on OS" label for the sessions list
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ];
+  const browser = browsers.find(([, re]) => re.test(userAgent));
+  const os = systems.find(([, re]) => re.test(userAgent));
+  if (!browser && !os) return userAgent ? "Other client" : "Unknown device";
+  return `${browser ? browser[0] : "App"} on ${os ? os[0] : "unknown OS"}`;
+};
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { userId: user._id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+
+/**
+ * Starts a new session for the user on the requesting device.
+ * @param {object} user - User document.
+ * @param {import('express').Request} req - Used for user agent and IP.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: string }>}
+ */
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const userAgent = req.get("User-Agent") || "";
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: newExpiry(),
+  });
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Swaps a refresh token for a new access/refresh pair. Presenting an already
+ * rotated token is treated as theft and revokes the whole session.
+ * @param {string} refreshToken
+ * @param {import('express').Request} req - Used to record the latest IP.
+ * @returns {Promise<{ token, refreshToken, expiresIn, user } | null>} null when refused.
+ */
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split(".");
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isAccountActive()) return null;
+
+  // Swap the hash only if it is still the presented one, so of two requests
+  // with the same token only the first gets new tokens
+  const nextSecret = crypto.randomBytes(32).toString("hex");
+  const rotated = await Session.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashSecret(secret),
+      revokedAt: null,
+    },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(nextSecret),
+        lastUsedAt: new Date(),
+        ip: req.ip,
+        expiresAt: newExpiry(),
+      },
+    }
+  );
+  if (!rotated) {
+    await revokeSessions({ _id: session._id }, "refresh_token_reuse");
+    return null;
+  }
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    user,
+  };
+};
+
+/**
+ * Revokes sessions matching the filter (e.g. { user } or { _id, user }) and
+ * closes the WebSocket connections opened with them.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+const revokeSessions = async (filter, reason) => {
+  const revokedAt = new Date();
+  const result = await Session.updateMany(
+    { ...filter, revokedAt: { $exists: false } },
+    { revokedAt, revokedReason: reason }
+  );
+  if (result.modifiedCount > 0) {
+    const sessionIds = await Session.distinct("_id", {
+      ...filter,
+      revokedAt,
+      revokedReason: reason,
+    });
+    disconnectSessions(sessionIds);
+  }
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessions,
+  describeDevice,
+};
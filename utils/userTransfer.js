@@ -0,0 +1,269 @@
+// utils/userTransfer.js
+// Bulk import of users from CSV and export of user lists (CSV or JSON) for
+// the admin panel. Imported users are created the way POST /api/admin/users
+// creates them: verified, active and already approved.
+const crypto = require("crypto");
+const User = require("../models/User");
+const { PROFILE_FIELDS, resolveUpdatePaths } = require("./profileUpdate");
+const { describeAccountStatus } = require("./accountStatus");
+const { describeReview } = require("./moderation");
+const { ValidationError } = require("./errorHandler");
+const { parseCsv } = require("./csv");
+
+// Every row's password is hashed on save, which takes a while
+const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 500;
+
+// Columns an import may have. Nested fields use dotted names
+// ("partnerPreferences.ageRange.min"); list values are separated by ";".
+const IMPORT_FIELDS = ["email", "mobileNumber", "password", ...PROFILE_FIELDS];
+const LIST_SEPARATOR = ";";
+
+// Checked against the other rows and the existing users
+const UNIQUE_FIELDS = ["email", "mobileNumber"];
+
+// Schema paths under the given top-level fields, nested ones expanded
+const leafPaths = (fields) =>
+  fields.flatMap((field) =>
+    User.schema.pathType(field) === "nested"
+      ? Object.keys(User.schema.paths).filter((path) =>
+          path.startsWith(`${field}.`)
+        )
+      : [field]
+  );
+
+// Exports hold what an import takes (without the password) plus read-only
+// account details. Secrets such as password hashes and reset tokens are
+// never exported.
+const EXPORT_FIELDS = [
+  ...IMPORT_FIELDS.filter((field) => field !== "password"),
+  "role",
+  "emailVerified",
+  "mobileVerified",
+  "createdAt",
+];
+const EXPORT_COLUMNS = [
+  "_id",
+  ...leafPaths(EXPORT_FIELDS),
+  "accountStatus",
+  "moderationStatus",
+];
+
+const isListPath = (path) => User.schema.path(path).instance === "Array";
+
+// --- Import ---
+
+/**
+ * Unsaved user for one CSV row. Empty cells are left out so schema defaults
+ * apply. Without a password column a random one is set; the member chooses
+ * their own through "forgot password".
+ */
+const buildUser = (values, adminId) => {
+  const user = new User({
+    role: "user",
+    emailVerified: true,
+    mobileVerified: true,
+    isActive: true,
+    moderation: {
+      status: "approved",
+      reviewedAt: new Date(),
+      reviewedBy: adminId,
+    },
+  });
+  Object.entries(values).forEach(([path, value]) => {
+    if (value === "") return;
+    user.set(
+      path,
+      isListPath(path)
+        ? value
+            .split(LIST_SEPARATOR)
+            .map((item) => item.trim())
+            .filter(Boolean)
+        : value
+    );
+  });
+  if (!user.password) user.password = crypto.randomBytes(24).toString("hex");
+  return user;
+};
+
+// [{ field, message }] for every schema validation error of the user
+const validationErrors = async (user) => {
+  try {
+    await user.validate();
+    return [];
+  } catch (err) {
+    if (err.name !== "ValidationError") throw err;
+    return Object.values(err.errors).map((e) => ({
+      field: e.path,
+      message: e.message,
+    }));
+  }
+};
+
+// Adds to each row's conflicts the email and mobile numbers already used by
+// an earlier row or by an existing user. Runs after validationErrors, so
+// mobile numbers are in their stored E.164 form (see models/User.js).
+const findConflicts = async (rows) => {
+  const firstLine = {};
+  UNIQUE_FIELDS.forEach((field) => {
+    firstLine[field] = new Map();
+    rows.forEach((row) => {
+      const value = row.user[field];
+      if (!value) return;
+      if (firstLine[field].has(value)) {
+        row.conflicts.push({ field, value, line: firstLine[field].get(value) });
+      } else {
+        firstLine[field].set(value, row.line);
+      }
+    });
+  });
+
+  const existing = await User.find({
+    $or: UNIQUE_FIELDS.map((field) => ({
+      [field]: { $in: [...firstLine[field].keys()] },
+    })),
+  }).select(UNIQUE_FIELDS.join(" "));
+  rows.forEach((row) => {
+    existing.forEach((other) => {
+      UNIQUE_FIELDS.forEach((field) => {
+        if (row.user[field] && row.user[field] === other[field]) {
+          row.conflicts.push({
+            field,
+            value: row.user[field],
+            userId: other._id,
+          });
+        }
+      });
+    });
+  });
+};
+
+const hasProblems = (row) => row.errors.length > 0 || row.conflicts.length > 0;
+
+const rowStatus = (row) => {
+  if (row.created) return "created";
+  if (row.errors.length > 0) return "invalid";
+  if (row.conflicts.length > 0) return "conflict";
+  return "valid";
+};
+
+/**
+ * Validates every row of a CSV file against the User schema, checks email
+ * and mobile number conflicts, and (unless dryRun) creates the users.
+ * By default nothing is created when any row has a problem; with skipInvalid
+ * the rows without problems are created anyway.
+ * @param {string} text - CSV with a header row of IMPORT_FIELDS paths.
+ * @param {{ dryRun?: boolean, skipInvalid?: boolean, adminId: string }} options
+ * @returns {Promise<object>} { committed, summary, rows, created }: rows[].line
+ *   is the row's line in the file, created the new users as { line, user }
+ *   (user is the document). Throws a 400
+ *   error for files that cannot be imported at all (unknown columns, no rows,
+ *   too many rows).
+ */
+const importUsers = async (text, { dryRun = false, skipInvalid, adminId }) => {
+  const { columns, records } = parseCsv(text);
+  const { rejected } = resolveUpdatePaths(
+    Object.fromEntries(columns.map((column) => [column, ""])),
+    IMPORT_FIELDS
+  );
+  if (rejected.length > 0) {
+    throw new ValidationError(`Unknown columns: ${rejected.join(", ")}`);
+  }
+  if (records.length === 0) {
+    throw new ValidationError("The file has no rows to import.");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(
+      `At most ${MAX_IMPORT_ROWS} rows can be imported at once.`
+    );
+  }
+
+  const rows = [];
+  for (const { line, values } of records) {
+    const user = buildUser(values, adminId);
+    rows.push({
+      line,
+      user,
+      errors: await validationErrors(user),
+      conflicts: [],
+    });
+  }
+  await findConflicts(rows);
+
+  const committed = !dryRun && (skipInvalid || !rows.some(hasProblems));
+  if (committed) {
+    for (const row of rows.filter((r) => !hasProblems(r))) {
+      try {
+        await row.user.save(); // Hashes the password
+        row.created = true;
+      } catch (err) {
+        // Taken by someone else since the check above
+        if (err.code !== 11000) throw err;
+        const [field] = Object.keys(err.keyValue);
+        row.conflicts.push({ field, value: row.user[field] });
+      }
+    }
+  }
+
+  const results = rows.map((row) => ({
+    line: row.line,
+    status: rowStatus(row),
+    userId: row.created ? row.user._id : undefined,
+    errors: row.errors,
+    conflicts: row.conflicts,
+  }));
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    committed,
+    summary: {
+      total: results.length,
+      valid: count("valid"),
+      created: count("created"),
+      invalid: count("invalid"),
+      conflict: count("conflict"),
+    },
+    rows: results,
+    created: rows
+      .filter((row) => row.created)
+      .map(({ line, user }) => ({ line, user })),
+  };
+};
+
+// --- Export ---
+
+const exportValue = (user, column) => {
+  if (column === "accountStatus") return describeAccountStatus(user).status;
+  if (column === "moderationStatus") {
+    return describeReview(user.moderation).status;
+  }
+  const value = user.get(column);
+  return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+};
+
+/**
+ * One export row as CSV cells, in EXPORT_COLUMNS order.
+ * @param {object} user - User document.
+ */
+const exportCsvValues = (user) =>
+  EXPORT_COLUMNS.map((column) => exportValue(user, column));
+
+/**
+ * One export row as JSON, nested fields kept as objects.
+ * @param {object} user - User document.
+ */
+const exportJson = (user) => {
+  const plain = user.toObject();
+  const entry = { _id: plain._id };
+  EXPORT_FIELDS.forEach((field) => {
+    entry[field] = plain[field];
+  });
+  entry.accountStatus = describeAccountStatus(user).status;
+  entry.moderationStatus = describeReview(user.moderation).status;
+  return entry;
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  importUsers,
+  exportCsvValues,
+  exportJson,
+};
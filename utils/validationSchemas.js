@@ -0,0 +1,340 @@
+// utils/validationSchemas.js
+// Request schemas for the routes that take user input. They are plain data:
+// middleware/validate.js (validateSchema) turns them into express-validator
+// chains, and GET /api/schemas hands the same rules to clients. Rules for
+// user fields are read from models/User.js (types, enums, ranges, required),
+// so forms, routes and the model agree.
+//
+// A field rule is { type, required?, enum?, min?, max?, minLength?,
+// maxLength?, pattern?, minAge?, maxAge?, countryField?, defaultCountry?,
+// items? } where type is one of string, number, integer, boolean, date,
+// email, mobile, objectId or array (items is the rule for each element).
+// Mobile numbers are checked against the country in countryField (or
+// defaultCountry) and converted to E.164 (see utils/mobile.js).
+const User = require("../models/User");
+const { PROFILE_FIELDS, ADMIN_FIELDS } = require("./profileUpdate");
+const { dateYearsAgo } = require("./profileSearch");
+const { PLAN_KEYS } = require("./plans");
+const { WEBHOOK_STATUSES } = require("./payments");
+const {
+  MOBILE_FORMATS,
+  DEFAULT_MOBILE_FORMAT,
+  normalizeMobile,
+  isValidMobile,
+} = require("./mobile");
+
+// Members must be adults, within the ages partner preferences allow
+const { min: MIN_AGE, max: MAX_AGE } = User.schema.path(
+  "partnerPreferences.ageRange.min"
+).options;
+
+/**
+ * Whether a date of birth gives an age from minAge to maxAge (inclusive).
+ * @param {string|Date} value
+ */
+const isAgeWithin = (value, minAge, maxAge) => {
+  const date = new Date(value);
+  return (
+    (minAge === undefined || date <= dateYearsAgo(minAge)) &&
+    (maxAge === undefined || date > dateYearsAgo(maxAge + 1))
+  );
+};
+
+// Uploads. maxBytes and maxCount are what middleware/upload.js enforces.
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const FILE_RULES = {
+  profileImage: {
+    field: "profileImage",
+    types: IMAGE_TYPES,
+    maxBytes: 5 * 1024 * 1024,
+    maxCount: 1,
+  },
+  photos: {
+    field: "photos",
+    types: IMAGE_TYPES,
+    maxBytes: 5 * 1024 * 1024,
+    // Also the most photos a gallery can hold (User.photos)
+    maxCount: parseInt(process.env.MAX_PROFILE_PHOTOS, 10) || 6,
+  },
+  csv: {
+    field: "file",
+    types: ["text/csv"],
+    extensions: [".csv"],
+    maxBytes: 2 * 1024 * 1024,
+    maxCount: 1,
+    required: true,
+  },
+};
+
+// Rules the model cannot express
+const FIELD_OVERRIDES = {
+  email: { type: "email" },
+  // Without a country in the request, the number is read as one from the
+  // country new users get by default
+  mobileNumber: {
+    type: "mobile",
+    countryField: "country",
+    defaultCountry: User.schema.path("country").defaultValue,
+  },
+  dateOfBirth: { minAge: MIN_AGE, maxAge: MAX_AGE },
+  numberOfSiblings: { type: "integer" },
+  siblingsMarried: { type: "integer" },
+  "partnerPreferences.ageRange.min": { type: "integer" },
+  "partnerPreferences.ageRange.max": { type: "integer" },
+};
+
+const TYPES = {
+  String: "string",
+  Number: "number",
+  Date: "date",
+  Boolean: "boolean",
+  ObjectId: "objectId",
+};
+
+// Mongoose options may be [value, message]
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+const schemaTypeRule = (schemaType) => {
+  const { options } = schemaType;
+  if (schemaType.instance === "Array") {
+    return { type: "array", items: schemaTypeRule(schemaType.caster) };
+  }
+  const rule = { type: TYPES[schemaType.instance] || "string" };
+  if (schemaType.enumValues && schemaType.enumValues.length > 0) {
+    rule.enum = schemaType.enumValues;
+  }
+  [
+    ["min", "min"],
+    ["max", "max"],
+    ["minlength", "minLength"],
+    ["maxlength", "maxLength"],
+  ].forEach(([option, key]) => {
+    if (options[option] !== undefined) rule[key] = optionValue(options[option]);
+  });
+  return rule;
+};
+
+/**
+ * Rule for a User schema path. Required only when the model requires the
+ * field and has no default for it.
+ * @param {string} path - Dotted User path, e.g. "partnerPreferences.diet".
+ */
+const modelRule = (path) => {
+  const schemaType = User.schema.path(path);
+  const { required, default: defaultValue } = schemaType.options;
+  return {
+    ...schemaTypeRule(schemaType),
+    ...(optionValue(required) && defaultValue === undefined
+      ? { required: true }
+      : {}),
+    ...FIELD_OVERRIDES[path],
+  };
+};
+
+// Every User path under the given top-level fields, nested ones expanded
+const modelRules = (fields, { optional = false, prefix = "" } = {}) => {
+  const rules = {};
+  fields.forEach((field) => {
+    const paths =
+      User.schema.pathType(field) === "nested"
+        ? Object.keys(User.schema.paths).filter((path) =>
+            path.startsWith(`${field}.`)
+          )
+        : [field];
+    paths.forEach((path) => {
+      const rule = modelRule(path);
+      if (optional) {
+        delete rule.required;
+        // Partial updates keep the stored country (see models/User.js)
+        delete rule.defaultCountry;
+      }
+      rules[path.slice(prefix.length)] = rule;
+    });
+  });
+  return rules;
+};
+
+const required = (rule) => ({ ...rule, required: true });
+
+const email = { type: "email", required: true };
+const newPassword = modelRule("password");
+const channel = { type: "string", enum: ["email", "mobile"], required: true };
+const plan = { type: "string", enum: PLAN_KEYS, required: true };
+const planDays = { type: "integer", min: 1, max: 3650 };
+const reason = { type: "string", maxLength: 500 };
+
+// Profile details asked for at registration (the rest are set later)
+const REGISTRATION_FIELDS = PROFILE_FIELDS.filter(
+  (field) =>
+    !["photoVisibility", "privacy", "partnerPreferences"].includes(field)
+);
+// Fields an admin fills in for an offline user
+const OFFLINE_USER_FIELDS = [
+  "name",
+  "email",
+  "password",
+  "mobileNumber",
+  "gender",
+  "dateOfBirth",
+  "city",
+  "state",
+  "country",
+  "maritalStatus",
+  "religion",
+  "motherTongue",
+  "educationLevel",
+  "occupation",
+  "annualIncome",
+];
+
+/**
+ * Schemas by name. Each has the route it belongs to, where its fields are
+ * read from (body), the field rules by dotted path and, for uploads, the
+ * file rules.
+ */
+const SCHEMAS = {
+  register: {
+    route: "POST /api/auth/register",
+    location: "body",
+    fields: modelRules([
+      "email",
+      "password",
+      "mobileNumber",
+      ...REGISTRATION_FIELDS,
+    ]),
+    files: { profileImage: FILE_RULES.profileImage },
+  },
+  login: {
+    route: "POST /api/auth/login",
+    location: "body",
+    fields: { email, password: { type: "string", required: true } },
+  },
+  sendVerification: {
+    route: "POST /api/auth/verify/send",
+    location: "body",
+    fields: { channel },
+  },
+  confirmVerification: {
+    route: "POST /api/auth/verify/confirm",
+    location: "body",
+    fields: {
+      channel,
+      code: { type: "string", pattern: "^\\d{6}$", required: true },
+    },
+  },
+  forgotPassword: {
+    route: "POST /api/auth/forgot-password",
+    location: "body",
+    fields: { email },
+  },
+  resetPassword: {
+    route: "POST /api/auth/reset-password",
+    location: "body",
+    fields: {
+      token: { type: "string", required: true },
+      password: newPassword,
+    },
+  },
+  requestUnlock: {
+    route: "POST /api/auth/unlock/request",
+    location: "body",
+    fields: { email },
+  },
+  unlockAccount: {
+    route: "POST /api/auth/unlock",
+    location: "body",
+    fields: { token: { type: "string", required: true } },
+  },
+  changePassword: {
+    route: "POST /api/auth/change-password",
+    location: "body",
+    fields: {
+      currentPassword: { type: "string", required: true },
+      newPassword,
+    },
+  },
+  refresh: {
+    route: "POST /api/auth/refresh",
+    location: "body",
+    fields: { refreshToken: { type: "string", required: true } },
+  },
+  updateProfile: {
+    route: "PATCH /api/profiles/me",
+    location: "body",
+    fields: modelRules(PROFILE_FIELDS, { optional: true }),
+  },
+  updatePreferences: {
+    route: "PATCH /api/profiles/me/preferences",
+    location: "body",
+    fields: modelRules(["partnerPreferences"], {
+      optional: true,
+      prefix: "partnerPreferences.",
+    }),
+  },
+  uploadPicture: {
+    route: "POST /api/profiles/me/upload-picture",
+    location: "body",
+    // userId: admins uploading for another user
+    fields: { userId: { type: "objectId" } },
+    files: { profileImage: required(FILE_RULES.profileImage) },
+  },
+  uploadPhotos: {
+    route: "POST /api/profiles/me/photos",
+    location: "body",
+    fields: {},
+    files: { photos: required(FILE_RULES.photos) },
+  },
+  checkout: {
+    route: "POST /api/subscriptions/checkout",
+    location: "body",
+    fields: { plan },
+  },
+  mockCheckout: {
+    route: "POST /api/subscriptions/mock-checkout/:id",
+    location: "body",
+    fields: {
+      outcome: { type: "string", enum: WEBHOOK_STATUSES, required: true },
+    },
+  },
+  adminLogin: {
+    route: "POST /api/admin/auth/login",
+    location: "body",
+    fields: { email, password: { type: "string", required: true } },
+  },
+  createUser: {
+    route: "POST /api/admin/users",
+    location: "body",
+    fields: modelRules(OFFLINE_USER_FIELDS),
+  },
+  updateUser: {
+    route: "PATCH /api/admin/users/:id",
+    location: "body",
+    fields: modelRules(ADMIN_FIELDS, { optional: true }),
+  },
+  importUsers: {
+    route: "POST /api/admin/users/import",
+    location: "body",
+    fields: {},
+    files: { file: FILE_RULES.csv },
+  },
+  grantPlan: {
+    route: "POST /api/admin/users/:id/subscription",
+    location: "body",
+    fields: { plan, days: planDays, reason },
+  },
+  extendPlan: {
+    route: "POST /api/admin/users/:id/subscription/extend",
+    location: "body",
+    fields: { days: required(planDays), reason },
+  },
+};
+
+module.exports = {
+  SCHEMAS,
+  FILE_RULES,
+  MOBILE_FORMATS,
+  DEFAULT_MOBILE_FORMAT,
+  isValidMobile,
+  normalizeMobile,
+  isAgeWithin,
+};